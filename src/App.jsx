@@ -1,10 +1,17 @@
 import React, { useState } from 'react';
 import './App.css';
 import HandTrackingTest from './ui/HandTrackingTest';
+import HandTargeting from './ui/HandTargeting';
+import DwellTarget from './ui/DwellTarget';
+
+// Learning modules on the home screen
+const MODULES = ['Shapes', 'Animals', 'Colors'];
 
 function App() {
   const [activeModule, setActiveModule] = useState(null);
   const [showHandTrackingTest, setShowHandTrackingTest] = useState(false);
+  // The camera is only turned on once asked for
+  const [handControl, setHandControl] = useState(false);
 
   const handleModuleSelect = (moduleName) => {
     console.log(`Selected module: ${moduleName}`);
@@ -56,43 +63,54 @@ function App() {
     );
   }
 
-  // Render the home/welcome view when no module is active
+  // Render the home/welcome view when no module is active. Modules can be
+  // chosen by hand as well as with the mouse, once hand control is on.
   return (
-    <div className="app">
-      <header>
-        <h1>HandiLearn</h1>
-        <p>Educational Platform for Toddlers</p>
-      </header>
+    <HandTargeting enabled={handControl}>
+      <div className="app">
+        <header>
+          <h1>HandiLearn</h1>
+          <p>Educational Platform for Toddlers</p>
+        </header>
 
-      <main>
-        <div className="welcome-container">
-          <h2>Welcome to HandiLearn!</h2>
-          <p>Select a learning module to begin:</p>
-        </div>
+        <main>
+          <div className="welcome-container">
+            <h2>Welcome to HandiLearn!</h2>
+            <p>Select a learning module to begin:</p>
+            <button
+              className="hand-control-button"
+              onClick={() => setHandControl(!handControl)}
+            >
+              {handControl ? 'Stop hand control' : 'Use hand control'}
+            </button>
+          </div>
 
-        <div className="module-selector">
-          <div className="module-buttons">
-            <button onClick={() => handleModuleSelect('Shapes')}>Shapes</button>
-            <button onClick={() => handleModuleSelect('Animals')}>Animals</button>
-            <button onClick={() => handleModuleSelect('Colors')}>Colors</button>
+          <div className="module-selector">
+            <div className="module-buttons">
+              {MODULES.map(moduleName => (
+                <DwellTarget key={moduleName} onSelect={() => handleModuleSelect(moduleName)}>
+                  <button onClick={() => handleModuleSelect(moduleName)}>{moduleName}</button>
+                </DwellTarget>
+              ))}
+            </div>
           </div>
-        </div>
 
-        <div className="dev-tools">
-          <h3>Development Tools</h3>
-          <button
-            className="dev-button"
-            onClick={() => setShowHandTrackingTest(true)}
-          >
-            Hand Tracking Test
-          </button>
-        </div>
-      </main>
+          <div className="dev-tools">
+            <h3>Development Tools</h3>
+            <button
+              className="dev-button"
+              onClick={() => setShowHandTrackingTest(true)}
+            >
+              Hand Tracking Test
+            </button>
+          </div>
+        </main>
 
-      <footer>
-        <p>HandiLearn - Version 1.0.0</p>
-      </footer>
-    </div>
+        <footer>
+          <p>HandiLearn - Version 1.0.0</p>
+        </footer>
+      </div>
+    </HandTargeting>
   );
 }
 
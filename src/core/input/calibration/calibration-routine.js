@@ -0,0 +1,238 @@
+// src/core/input/calibration/calibration-routine.js
+
+/**
+ * Calibration Routine
+ * Guides a child through a short sequence of poses (open hand, fist, pinch,
+ * point, then moving the hand around) while measuring their palm size,
+ * finger extension ratios and motion range. The result is a calibration
+ * profile whose thresholds replace the adult-tuned defaults.
+ */
+import { distance3D } from '../gestures/geometry.js';
+import { DEFAULT_THRESHOLDS } from '../gestures/thresholds.js';
+
+// Poses the child is asked to hold, in order
+export const CALIBRATION_STEPS = [
+  { name: 'open', instruction: 'Show me your open hand, fingers spread wide' },
+  { name: 'fist', instruction: 'Make a fist' },
+  { name: 'pinch', instruction: 'Touch your thumb and pointing finger together' },
+  { name: 'point', instruction: 'Point up with one finger' },
+  { name: 'reach', instruction: 'Move your hand all around, as far as you can' }
+];
+
+// Palm size (wrist to middle finger base) the default thresholds were tuned for
+const REFERENCE_PALM_SIZE = 0.15;
+
+// Version written into profiles so older ones can be recognised later
+export const CALIBRATION_PROFILE_VERSION = 1;
+
+class CalibrationRoutine {
+  /**
+   * @param {InputManager} inputManager - Initialized input manager that is tracking
+   * @param {Object} [options]
+   * @param {Number} [options.settleTime=1000] - Time to form each pose before sampling (ms)
+   * @param {Number} [options.sampleTime=1500] - Time to sample each pose (ms)
+   * @param {Number} [options.minSamples=10] - Frames with a visible hand needed per pose
+   */
+  constructor(inputManager, options = {}) {
+    this.inputManager = inputManager;
+    this.settleTime = options.settleTime ?? 1000;
+    this.sampleTime = options.sampleTime ?? 1500;
+    this.minSamples = options.minSamples ?? 10;
+
+    this.stepChangeCallbacks = [];
+    this.isRunning = false;
+    this.unsubscribe = null;
+    this.rejectRun = null;
+  }
+
+  /**
+   * Register callback for step changes, e.g. to show the next instruction
+   * @param {Function} callback - Called with { name, instruction, index, total }
+   * @returns {Function} - Function to unregister the callback
+   */
+  onStepChange(callback) {
+    this.stepChangeCallbacks.push(callback);
+    return () => {
+      this.stepChangeCallbacks = this.stepChangeCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Run the calibration
+   * @returns {Promise<Object>} - Resolves with the calibration profile
+   */
+  start() {
+    if (this.isRunning) {
+      return Promise.reject(new Error('Calibration already running'));
+    }
+
+    this.isRunning = true;
+
+    return new Promise((resolve, reject) => {
+      this.rejectRun = reject;
+
+      const samples = {};
+      let stepIndex = -1;
+      let stepStartTime = 0;
+
+      const nextStep = () => {
+        stepIndex++;
+
+        if (stepIndex >= CALIBRATION_STEPS.length) {
+          this.finish();
+          resolve(this.buildProfile(samples));
+          return;
+        }
+
+        const step = CALIBRATION_STEPS[stepIndex];
+        samples[step.name] = [];
+        stepStartTime = Date.now();
+
+        this.stepChangeCallbacks.forEach(callback => callback({
+          name: step.name,
+          instruction: step.instruction,
+          index: stepIndex,
+          total: CALIBRATION_STEPS.length
+        }));
+      };
+
+      this.unsubscribe = this.inputManager.onHandUpdate(results => {
+        if (!this.isRunning || !results.multiHandLandmarks ||
+            results.multiHandLandmarks.length === 0) return;
+
+        const elapsed = Date.now() - stepStartTime;
+
+        // Give the child time to form the pose before sampling
+        if (elapsed < this.settleTime) return;
+
+        const stepSamples = samples[CALIBRATION_STEPS[stepIndex].name];
+        stepSamples.push(this.measure(results.multiHandLandmarks[0]));
+
+        if (elapsed >= this.settleTime + this.sampleTime &&
+            stepSamples.length >= this.minSamples) {
+          nextStep();
+        }
+      });
+
+      nextStep();
+    });
+  }
+
+  /**
+   * Abandon a running calibration. The promise returned by start() rejects.
+   */
+  cancel() {
+    if (!this.isRunning) return;
+
+    const reject = this.rejectRun;
+    this.finish();
+    reject(new Error('Calibration cancelled'));
+  }
+
+  /**
+   * Stop listening for hand updates
+   */
+  finish() {
+    this.isRunning = false;
+    this.rejectRun = null;
+
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Take the measurements used for calibration from one hand
+   * @param {Array} landmarks - Hand landmarks
+   * @returns {Object} - Measurements for this frame
+   */
+  measure(landmarks) {
+    const wrist = landmarks[0];
+
+    // Tip-to-wrist / base-to-wrist ratio for the index to pinky fingers,
+    // matching the distance test in GestureEngine.isFingerExtendedImproved
+    const fingerRatios = [1, 2, 3, 4].map(fingerIndex => (
+      distance3D(landmarks[fingerIndex * 4 + 4], wrist) /
+      distance3D(landmarks[fingerIndex * 4 + 1], wrist)
+    ));
+
+    // Tip-to-pinky-base / IP-to-pinky-base ratio, as in GestureEngine.isThumbExtended
+    const thumbRatio = distance3D(landmarks[4], landmarks[17]) /
+                       distance3D(landmarks[3], landmarks[17]);
+
+    return {
+      palmSize: distance3D(wrist, landmarks[9]),
+      fingerRatios,
+      thumbRatio,
+      pinchDistance: distance3D(landmarks[4], landmarks[8]),
+      wrist: { x: wrist.x, y: wrist.y }
+    };
+  }
+
+  /**
+   * Turn collected samples into a calibration profile
+   * @param {Object} samples - Measurements per step name
+   * @returns {Object} - Calibration profile
+   */
+  buildProfile(samples) {
+    const all = Object.values(samples).flat();
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    const palmSize = average(all.map(sample => sample.palmSize));
+    const palmScale = palmSize / REFERENCE_PALM_SIZE;
+
+    // Motion range of the wrist while moving around
+    const reachX = samples.reach.map(sample => sample.wrist.x);
+    const reachY = samples.reach.map(sample => sample.wrist.y);
+    const motionRange = {
+      x: Math.max(...reachX) - Math.min(...reachX),
+      y: Math.max(...reachY) - Math.min(...reachY)
+    };
+
+    // Extension ratios: put each threshold between the extended and curled
+    // measurements. The index finger sits closer to curled, matching the
+    // looser criteria the detector uses for pointing.
+    const extendedIndex = average([...samples.open, ...samples.point].map(sample => sample.fingerRatios[0]));
+    const curledIndex = average(samples.fist.map(sample => sample.fingerRatios[0]));
+    const extendedOthers = average(samples.open.flatMap(sample => sample.fingerRatios.slice(1)));
+    const curledOthers = average([...samples.fist, ...samples.point].flatMap(sample => sample.fingerRatios.slice(1)));
+    const extendedThumb = average(samples.open.map(sample => sample.thumbRatio));
+    const curledThumb = average(samples.fist.map(sample => sample.thumbRatio));
+
+    // Pinch: a little above the measured pinch, well short of an open hand
+    const pinched = average(samples.pinch.map(sample => sample.pinchDistance));
+    const spread = average(samples.open.map(sample => sample.pinchDistance));
+    const pinchDistance = clamp(pinched + (spread - pinched) * 0.15, 0.02, 0.1);
+
+    // Movement thresholds scale with hand size, and swipes must fit inside
+    // the range the child can actually reach
+    const reachRange = Math.max(motionRange.x, motionRange.y);
+
+    const thresholds = {
+      pinchDistance,
+      pinchRelease: pinchDistance * (DEFAULT_THRESHOLDS.pinchRelease / DEFAULT_THRESHOLDS.pinchDistance),
+      waveDelta: clamp(DEFAULT_THRESHOLDS.waveDelta * palmScale, 0.01, 0.06),
+      swipeDistance: clamp(
+        Math.min(DEFAULT_THRESHOLDS.swipeDistance * palmScale, reachRange * 0.4),
+        0.05,
+        0.3
+      ),
+      swipeVelocity: clamp(DEFAULT_THRESHOLDS.swipeVelocity * palmScale, 0.2, 1),
+      indexExtensionRatio: clamp(curledIndex + (extendedIndex - curledIndex) * 0.4, 1.0, 1.6),
+      fingerExtensionRatio: clamp((curledOthers + extendedOthers) / 2, 1.0, 1.6),
+      thumbExtensionRatio: clamp((curledThumb + extendedThumb) / 2, 1.0, 1.4)
+    };
+
+    return {
+      version: CALIBRATION_PROFILE_VERSION,
+      createdAt: new Date().toISOString(),
+      palmSize,
+      motionRange,
+      thresholds
+    };
+  }
+}
+
+export default CalibrationRoutine;
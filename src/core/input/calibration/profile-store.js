@@ -0,0 +1,69 @@
+// src/core/input/calibration/profile-store.js
+
+/**
+ * Calibration Profile Store
+ * Saves and reloads calibration profiles per child in localStorage.
+ * Profiles are plain JSON, so they can also be exported and imported as-is.
+ */
+import { CALIBRATION_PROFILE_VERSION } from './calibration-routine.js';
+
+const STORAGE_PREFIX = 'handilearn.calibration.';
+
+/**
+ * Save a calibration profile for a child
+ * @param {String} childId - Identifier of the child
+ * @param {Object} profile - Profile produced by CalibrationRoutine
+ */
+export function saveCalibrationProfile(childId, profile) {
+  localStorage.setItem(STORAGE_PREFIX + childId, JSON.stringify(profile));
+}
+
+/**
+ * Load the saved calibration profile for a child
+ * @param {String} childId - Identifier of the child
+ * @returns {Object|null} - The profile, or null if none is saved or it is unreadable
+ */
+export function loadCalibrationProfile(childId) {
+  const stored = localStorage.getItem(STORAGE_PREFIX + childId);
+  if (!stored) return null;
+
+  try {
+    const profile = JSON.parse(stored);
+
+    // Ignore profiles written by a different calibration format
+    if (profile.version !== CALIBRATION_PROFILE_VERSION || !profile.thresholds) {
+      console.warn(`Ignoring outdated calibration profile for '${childId}'`);
+      return null;
+    }
+
+    return profile;
+  } catch (error) {
+    console.error(`Failed to read calibration profile for '${childId}':`, error);
+    return null;
+  }
+}
+
+/**
+ * Delete the saved calibration profile for a child
+ * @param {String} childId - Identifier of the child
+ */
+export function deleteCalibrationProfile(childId) {
+  localStorage.removeItem(STORAGE_PREFIX + childId);
+}
+
+/**
+ * List the children that have a saved calibration profile
+ * @returns {Array<String>} - Child identifiers
+ */
+export function listCalibrationProfiles() {
+  const childIds = [];
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(STORAGE_PREFIX)) {
+      childIds.push(key.slice(STORAGE_PREFIX.length));
+    }
+  }
+
+  return childIds;
+}
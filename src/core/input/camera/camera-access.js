@@ -0,0 +1,157 @@
+// src/core/input/camera/camera-access.js
+
+/**
+ * Camera Access
+ * Lists cameras, opens them with the requested device, resolution and frame
+ * rate, and turns getUserMedia failures into errors with a `reason` the UI
+ * can explain (see CAMERA_ERRORS).
+ */
+
+// Reasons given on camera errors
+export const CAMERA_ERRORS = {
+  DENIED: 'denied', // The user or browser blocked camera access
+  NOT_FOUND: 'not-found', // No camera, or the chosen one is gone
+  IN_USE: 'in-use', // Another application holds the camera
+  CONSTRAINTS: 'constraints', // No camera supports the requested settings
+  UNSUPPORTED: 'unsupported', // The browser has no camera API (or the page isn't secure)
+  UNKNOWN: 'unknown'
+};
+
+// getUserMedia error names, including older browser variants
+const ERROR_REASONS = {
+  NotAllowedError: CAMERA_ERRORS.DENIED,
+  PermissionDeniedError: CAMERA_ERRORS.DENIED,
+  SecurityError: CAMERA_ERRORS.DENIED,
+  NotFoundError: CAMERA_ERRORS.NOT_FOUND,
+  DevicesNotFoundError: CAMERA_ERRORS.NOT_FOUND,
+  NotReadableError: CAMERA_ERRORS.IN_USE,
+  TrackStartError: CAMERA_ERRORS.IN_USE,
+  AbortError: CAMERA_ERRORS.IN_USE,
+  OverconstrainedError: CAMERA_ERRORS.CONSTRAINTS,
+  ConstraintNotSatisfiedError: CAMERA_ERRORS.CONSTRAINTS
+};
+
+const ERROR_MESSAGES = {
+  [CAMERA_ERRORS.DENIED]: 'Camera access was denied',
+  [CAMERA_ERRORS.NOT_FOUND]: 'No camera was found',
+  [CAMERA_ERRORS.IN_USE]: 'The camera is in use by another application',
+  [CAMERA_ERRORS.CONSTRAINTS]: 'No camera supports the requested settings',
+  [CAMERA_ERRORS.UNSUPPORTED]: 'Camera access is not supported in this browser',
+  [CAMERA_ERRORS.UNKNOWN]: 'The camera could not be started'
+};
+
+/**
+ * Create an Error carrying a camera error reason
+ * @param {String} reason - One of CAMERA_ERRORS
+ * @param {Error} [cause] - The original error
+ * @returns {Error} - Error with `reason` and `cause` set
+ */
+export function createCameraError(reason, cause) {
+  const detail = cause && cause.message ? `: ${cause.message}` : '';
+  const error = new Error(`${ERROR_MESSAGES[reason]}${detail}`);
+  error.reason = reason;
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Check that the browser can open cameras
+ * @returns {Boolean} - Whether getUserMedia is available
+ */
+export function isCameraSupported() {
+  return typeof navigator !== 'undefined' &&
+    !!navigator.mediaDevices &&
+    typeof navigator.mediaDevices.getUserMedia === 'function';
+}
+
+/**
+ * List the video input devices. Labels are empty until the user has granted
+ * camera access once.
+ * @returns {Promise} - Resolves to an array of { deviceId, groupId, label }
+ */
+export async function listVideoInputDevices() {
+  if (!isCameraSupported()) {
+    throw createCameraError(CAMERA_ERRORS.UNSUPPORTED);
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map(({ deviceId, groupId, label }) => ({ deviceId, groupId, label }));
+}
+
+/**
+ * Ask the browser whether camera access is granted, without prompting
+ * @returns {Promise} - Resolves to 'granted', 'denied', 'prompt', or
+ *   'unknown' where the browser can't tell
+ */
+export async function queryCameraPermission() {
+  try {
+    const status = await navigator.permissions.query({ name: 'camera' });
+    return status.state;
+  } catch (error) {
+    // Not every browser can query the camera permission
+    return 'unknown';
+  }
+}
+
+/**
+ * Build getUserMedia video constraints from the camera options
+ * @param {Object} options - Resolved input options
+ * @returns {Object} - MediaTrackConstraints
+ */
+export function getVideoConstraints(options) {
+  const { cameraDeviceId, cameraFacingMode, cameraWidth, cameraHeight, cameraFrameRate } = options;
+  const constraints = {};
+
+  // A chosen device wins over the facing mode
+  if (cameraDeviceId) {
+    constraints.deviceId = { exact: cameraDeviceId };
+  } else if (cameraFacingMode) {
+    constraints.facingMode = cameraFacingMode;
+  }
+
+  // Resolution and frame rate are preferences, so any camera still works
+  if (cameraWidth) constraints.width = { ideal: cameraWidth };
+  if (cameraHeight) constraints.height = { ideal: cameraHeight };
+  if (cameraFrameRate) constraints.frameRate = { ideal: cameraFrameRate };
+
+  return constraints;
+}
+
+/**
+ * Open a camera
+ * @param {Object} options - Resolved input options
+ * @returns {Promise} - Resolves to the MediaStream; rejects with an Error
+ *   whose `reason` is one of CAMERA_ERRORS
+ */
+export async function openCamera(options) {
+  if (!isCameraSupported()) {
+    throw createCameraError(CAMERA_ERRORS.UNSUPPORTED);
+  }
+
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      video: getVideoConstraints(options)
+    });
+  } catch (error) {
+    let reason = ERROR_REASONS[error.name] || CAMERA_ERRORS.UNKNOWN;
+
+    // An exact device that no longer matches has been unplugged
+    if (reason === CAMERA_ERRORS.CONSTRAINTS && error.constraint === 'deviceId') {
+      reason = CAMERA_ERRORS.NOT_FOUND;
+    }
+
+    throw createCameraError(reason, error);
+  }
+}
+
+/**
+ * Stop all tracks of a stream, turning the camera off
+ * @param {MediaStream} stream - Stream from openCamera
+ */
+export function closeCamera(stream) {
+  if (stream) {
+    stream.getTracks().forEach(track => track.stop());
+  }
+}
@@ -0,0 +1,317 @@
+// src/core/input/cursor/hand-cursor.js
+
+/**
+ * Hand Cursor
+ * Turns a landmark (the index fingertip by default) into a smoothed
+ * screen-space cursor for each tracked hand. Only an active region of the
+ * camera picture is mapped to the screen, so a small hand movement can reach
+ * every corner. Cursors are shown when a hand enters the region and hidden
+ * when it leaves it or stops being tracked.
+ */
+import OneEuroFilter from '../filters/one-euro-filter.js';
+
+// Part of the camera picture mapped to the screen, in normalized coordinates
+// of the picture as the user sees it (mirrored when `mirror` is on).
+// x and y are the centre; a null height keeps the screen's aspect ratio.
+export const DEFAULT_ACTIVE_REGION = { x: 0.5, y: 0.5, width: 0.6, height: null };
+
+// Camera aspect ratio assumed when the provider reports no camera settings
+const DEFAULT_CAMERA_ASPECT_RATIO = 4 / 3;
+
+class HandCursor {
+  /**
+   * @param {InputManager} inputManager - Initialized input manager
+   * @param {Object} [options]
+   * @param {Number} [options.landmark=8] - Landmark the cursor follows (8: index fingertip)
+   * @param {Object} [options.activeRegion] - { x, y, width, height } (see DEFAULT_ACTIVE_REGION)
+   * @param {Boolean} [options.mirror=true] - Mirror x, to match a mirrored camera view
+   * @param {HTMLElement} [options.element] - Element the cursor moves over; the whole window if not given
+   * @param {Boolean} [options.smooth=true] - Smooth the cursor position
+   * @param {Number} [options.minCutoff=1.0] - Smoothing at rest (Hz); lower is smoother
+   * @param {Number} [options.beta=5.0] - How quickly smoothing eases off with speed
+   * @param {Number} [options.regionMargin=0.1] - How far outside the region (as a share of
+   *   its size) a hand may go, pinned to the edge, before its cursor hides
+   * @param {Number} [options.hideDelay=300] - How long a hand may go unseen before its cursor hides (ms)
+   * @param {Number} [options.cameraAspectRatio] - Camera width / height; read from
+   *   the camera settings if not given
+   */
+  constructor(inputManager, options = {}) {
+    this.inputManager = inputManager;
+    this.landmark = options.landmark ?? 8;
+    this.activeRegion = { ...DEFAULT_ACTIVE_REGION, ...(options.activeRegion || {}) };
+    this.mirror = options.mirror ?? true;
+    this.element = options.element ?? null;
+    this.smooth = options.smooth ?? true;
+    this.minCutoff = options.minCutoff ?? 1.0;
+    this.beta = options.beta ?? 5.0;
+    this.regionMargin = options.regionMargin ?? 0.1;
+    this.hideDelay = options.hideDelay ?? 300;
+    this.cameraAspectRatio = options.cameraAspectRatio ?? null;
+
+    // Per hand, by hand ID: { cursor, visible, filters, hideTimer }
+    this.hands = {};
+
+    this.moveCallbacks = [];
+    this.showCallbacks = [];
+    this.hideCallbacks = [];
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start following hands
+   */
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.inputManager.onHandUpdate(results => this.update(results));
+  }
+
+  /**
+   * Stop following hands and hide all cursors
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    Object.keys(this.hands).forEach(handId => this.removeHand(handId));
+  }
+
+  /**
+   * Change the part of the camera picture mapped to the screen
+   * @param {Object} region - { x, y, width, height }; values not given are kept
+   */
+  setActiveRegion(region) {
+    this.activeRegion = { ...this.activeRegion, ...region };
+  }
+
+  /**
+   * Register callback for cursor movement, called on every frame for each
+   * visible cursor
+   * @param {Function} callback - Called with the cursor (see getCursors)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onMove(callback) {
+    this.moveCallbacks.push(callback);
+    return () => {
+      this.moveCallbacks = this.moveCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for a cursor appearing, when a hand enters the active region
+   * @param {Function} callback - Called with the cursor
+   * @returns {Function} - Function to unregister the callback
+   */
+  onShow(callback) {
+    this.showCallbacks.push(callback);
+    return () => {
+      this.showCallbacks = this.showCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for a cursor disappearing, when its hand leaves the
+   * active region or is no longer tracked
+   * @param {Function} callback - Called with the cursor at its last position
+   * @returns {Function} - Function to unregister the callback
+   */
+  onHide(callback) {
+    this.hideCallbacks.push(callback);
+    return () => {
+      this.hideCallbacks = this.hideCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Get the visible cursors
+   * @returns {Array} - { handId, handedness, x, y (px within the element or
+   *   window), clientX, clientY (px in the viewport), normalizedX,
+   *   normalizedY (0-1 across the element or window) } for each visible cursor
+   */
+  getCursors() {
+    return Object.values(this.hands)
+      .filter(hand => hand.visible)
+      .map(hand => ({ ...hand.cursor }));
+  }
+
+  /**
+   * Move the cursors to the hands in a frame
+   * @param {Object} results - Hand results from onHandUpdate
+   * @param {Number} [timestamp] - Time of the frame (ms)
+   */
+  update(results, timestamp = Date.now()) {
+    const { multiHandLandmarks = [], multiHandedness = [], multiHandIds } = results;
+    const bounds = this.getBounds();
+    const region = this.getRegion(bounds);
+
+    multiHandLandmarks.forEach((landmarks, handIndex) => {
+      const handedness = multiHandedness[handIndex].label;
+      const handId = multiHandIds ? multiHandIds[handIndex] : `${handedness}_${handIndex}`;
+      const point = landmarks[this.landmark];
+
+      // Position within the active region, 0-1 inside it
+      const { x: regionX, y: regionY } = this.toRegion(point, region);
+
+      const margin = this.regionMargin;
+      const inRegion = regionX >= -margin && regionX <= 1 + margin &&
+        regionY >= -margin && regionY <= 1 + margin;
+
+      if (!inRegion) {
+        this.removeHand(handId);
+        return;
+      }
+
+      const hand = this.hands[handId] || this.addHand(handId);
+
+      let normalizedX = Math.min(Math.max(regionX, 0), 1);
+      let normalizedY = Math.min(Math.max(regionY, 0), 1);
+      if (this.smooth) {
+        normalizedX = hand.filters.x.filter(normalizedX, timestamp);
+        normalizedY = hand.filters.y.filter(normalizedY, timestamp);
+      }
+
+      hand.cursor = {
+        handId,
+        handedness,
+        x: normalizedX * bounds.width,
+        y: normalizedY * bounds.height,
+        clientX: bounds.left + normalizedX * bounds.width,
+        clientY: bounds.top + normalizedY * bounds.height,
+        normalizedX,
+        normalizedY
+      };
+
+      // Hide the cursor if the hand isn't seen again in time
+      clearTimeout(hand.hideTimer);
+      hand.hideTimer = setTimeout(() => this.removeHand(handId), this.hideDelay);
+
+      if (!hand.visible) {
+        hand.visible = true;
+        this.showCallbacks.forEach(callback => callback({ ...hand.cursor }));
+      }
+
+      this.moveCallbacks.forEach(callback => callback({ ...hand.cursor }));
+    });
+  }
+
+  /**
+   * Map a point in the camera picture onto the screen, without smoothing.
+   * Points outside the active region are pinned to its edge.
+   * @param {Object} point - Point with normalized x,y coordinates, e.g. a landmark
+   * @returns {Object} - { x, y, clientX, clientY, normalizedX, normalizedY } (see getCursors)
+   */
+  toScreen(point) {
+    const bounds = this.getBounds();
+    const { x: regionX, y: regionY } = this.toRegion(point, this.getRegion(bounds));
+    const normalizedX = Math.min(Math.max(regionX, 0), 1);
+    const normalizedY = Math.min(Math.max(regionY, 0), 1);
+
+    return {
+      x: normalizedX * bounds.width,
+      y: normalizedY * bounds.height,
+      clientX: bounds.left + normalizedX * bounds.width,
+      clientY: bounds.top + normalizedY * bounds.height,
+      normalizedX,
+      normalizedY
+    };
+  }
+
+  /**
+   * Get where a point in the camera picture is within the active region
+   * @param {Object} point - Point with normalized x,y coordinates
+   * @param {Object} region - Active region from getRegion()
+   * @returns {Object} - { x, y }, 0-1 inside the region
+   */
+  toRegion(point, region) {
+    const x = this.mirror ? 1 - point.x : point.x;
+    return {
+      x: (x - region.left) / region.width,
+      y: (point.y - region.top) / region.height
+    };
+  }
+
+  /**
+   * Start following a hand
+   * @param {String} handId - Persistent hand ID
+   * @returns {Object} - The hand's state
+   */
+  addHand(handId) {
+    const filterOptions = { minCutoff: this.minCutoff, beta: this.beta };
+    const hand = {
+      cursor: null,
+      visible: false,
+      hideTimer: null,
+      filters: {
+        x: new OneEuroFilter(filterOptions),
+        y: new OneEuroFilter(filterOptions)
+      }
+    };
+
+    this.hands[handId] = hand;
+    return hand;
+  }
+
+  /**
+   * Stop following a hand, hiding its cursor
+   * @param {String} handId - Persistent hand ID
+   */
+  removeHand(handId) {
+    const hand = this.hands[handId];
+    if (!hand) return;
+
+    clearTimeout(hand.hideTimer);
+    delete this.hands[handId];
+
+    if (hand.visible) {
+      this.hideCallbacks.forEach(callback => callback({ ...hand.cursor }));
+    }
+  }
+
+  /**
+   * Get the area the cursor moves over
+   * @returns {Object} - { left, top, width, height } in viewport pixels
+   */
+  getBounds() {
+    if (this.element) {
+      const { left, top, width, height } = this.element.getBoundingClientRect();
+      return { left, top, width, height };
+    }
+    return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  /**
+   * Get the active region as edges in normalized picture coordinates. Without
+   * a height, the region gets the screen's shape, so moving the hand the same
+   * distance across or down moves the cursor the same distance.
+   * @param {Object} bounds - Area the cursor moves over, from getBounds()
+   * @returns {Object} - { left, top, width, height }
+   */
+  getRegion(bounds) {
+    const { x, y, width } = this.activeRegion;
+    let { height } = this.activeRegion;
+
+    if (!height) {
+      const screenAspectRatio = bounds.width / bounds.height || 1;
+      height = Math.min(width * this.getCameraAspectRatio() / screenAspectRatio, 1);
+    }
+
+    return { left: x - width / 2, top: y - height / 2, width, height };
+  }
+
+  /**
+   * Get the camera picture's width / height
+   * @returns {Number} - Aspect ratio
+   */
+  getCameraAspectRatio() {
+    if (this.cameraAspectRatio) return this.cameraAspectRatio;
+
+    const settings = this.inputManager.getCameraSettings();
+    if (settings && settings.width && settings.height) {
+      return settings.width / settings.height;
+    }
+    return DEFAULT_CAMERA_ASPECT_RATIO;
+  }
+}
+
+export default HandCursor;
@@ -0,0 +1,41 @@
+// src/core/input/filters/ema-filter.js
+
+/**
+ * Exponential Moving Average Filter
+ * Fixed-strength low-pass filter for a single value. Cheaper and more
+ * predictable than the One Euro filter, but lags equally at every speed.
+ */
+class EmaFilter {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.alpha=0.5] - Weight of each new value (0-1); lower is smoother
+   */
+  constructor({ alpha = 0.5 } = {}) {
+    this.alpha = alpha;
+    this.reset();
+  }
+
+  /**
+   * Forget the filter history
+   */
+  reset() {
+    this.lastValue = null;
+  }
+
+  /**
+   * Filter the next value
+   * @param {Number} value - Raw value
+   * @returns {Number} - Filtered value
+   */
+  filter(value) {
+    if (this.lastValue === null) {
+      this.lastValue = value;
+      return value;
+    }
+
+    this.lastValue = this.lastValue + this.alpha * (value - this.lastValue);
+    return this.lastValue;
+  }
+}
+
+export default EmaFilter;
@@ -0,0 +1,114 @@
+// src/core/input/filters/landmark-filter.js
+
+/**
+ * Landmark Filter
+ * Smooths hand landmarks between the tracker and the consumers. Every
+ * coordinate of every landmark of every hand gets its own filter instance,
+ * so state never leaks between joints or hands.
+ */
+import OneEuroFilter from './one-euro-filter.js';
+import EmaFilter from './ema-filter.js';
+
+// Filter factories by name. Each receives the input options and returns an
+// object with filter(value, timestamp) and reset().
+const filterFactories = {
+  'one-euro': options => new OneEuroFilter({
+    minCutoff: options.oneEuroMinCutoff,
+    beta: options.oneEuroBeta,
+    dCutoff: options.oneEuroDCutoff
+  }),
+  'ema': options => new EmaFilter({ alpha: options.emaAlpha })
+};
+
+/**
+ * Make a filter available to the `smoothing` option
+ * @param {String} name - Name to select the filter by
+ * @param {Function} factory - Called with the input options, returns a filter
+ */
+export function registerLandmarkFilter(name, factory) {
+  filterFactories[name] = factory;
+}
+
+class LandmarkFilter {
+  /**
+   * @param {Object} options - Resolved input options
+   */
+  constructor(options) {
+    this.options = options;
+
+    // Per-hand arrays of { x, y, z } filters, keyed by hand ID
+    this.handFilters = {};
+  }
+
+  /**
+   * Apply new options. Filter state is dropped since the old filters no
+   * longer match the settings.
+   * @param {Object} options - Resolved input options
+   */
+  setOptions(options) {
+    this.options = options;
+    this.reset();
+  }
+
+  /**
+   * Forget all filter history
+   */
+  reset() {
+    this.handFilters = {};
+  }
+
+  /**
+   * Smooth a frame of results
+   * @param {Object} results - Results in the MediaPipe Hands shape
+   * @param {Number} [timestamp] - Time of the frame (ms)
+   * @returns {Object} - Copy of the results with smoothed multiHandLandmarks,
+   *   or the results unchanged if smoothing is off
+   */
+  apply(results, timestamp = Date.now()) {
+    const { smoothing } = this.options;
+    if (!smoothing || smoothing === 'none') return results;
+
+    if (!filterFactories[smoothing]) {
+      throw new Error(`Unknown landmark filter '${smoothing}'`);
+    }
+
+    const { multiHandLandmarks, multiHandedness } = results;
+    const seenHands = {};
+
+    const smoothedLandmarks = multiHandLandmarks.map((landmarks, handIndex) => {
+      // Prefer persistent hand IDs so filter state follows the hand
+      const handKey = results.multiHandIds
+        ? results.multiHandIds[handIndex]
+        : `${multiHandedness[handIndex].label}_${handIndex}`;
+      seenHands[handKey] = true;
+
+      if (!this.handFilters[handKey]) {
+        this.handFilters[handKey] = landmarks.map(() => ({
+          x: filterFactories[smoothing](this.options),
+          y: filterFactories[smoothing](this.options),
+          z: filterFactories[smoothing](this.options)
+        }));
+      }
+
+      const filters = this.handFilters[handKey];
+
+      return landmarks.map((landmark, i) => ({
+        ...landmark,
+        x: filters[i].x.filter(landmark.x, timestamp),
+        y: filters[i].y.filter(landmark.y, timestamp),
+        z: filters[i].z.filter(landmark.z, timestamp)
+      }));
+    });
+
+    // Hands that left the frame start fresh when they come back
+    Object.keys(this.handFilters).forEach(handKey => {
+      if (!seenHands[handKey]) {
+        delete this.handFilters[handKey];
+      }
+    });
+
+    return { ...results, multiHandLandmarks: smoothedLandmarks };
+  }
+}
+
+export default LandmarkFilter;
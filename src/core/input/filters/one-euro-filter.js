@@ -0,0 +1,77 @@
+// src/core/input/filters/one-euro-filter.js
+
+/**
+ * One Euro Filter
+ * Speed-adaptive low-pass filter for a single value (Casiez et al., 2012).
+ * Slow movements are smoothed heavily to remove jitter; fast movements are
+ * smoothed lightly so the output doesn't lag behind the hand.
+ */
+class OneEuroFilter {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.minCutoff=1.0] - Cutoff frequency at rest (Hz); lower is smoother
+   * @param {Number} [options.beta=0] - How quickly the cutoff rises with speed; higher lags less
+   * @param {Number} [options.dCutoff=1.0] - Cutoff frequency for the speed estimate (Hz)
+   */
+  constructor({ minCutoff = 1.0, beta = 0, dCutoff = 1.0 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  /**
+   * Forget the filter history
+   */
+  reset() {
+    this.lastValue = null;
+    this.lastDerivative = 0;
+    this.lastTime = null;
+  }
+
+  /**
+   * Filter the next value
+   * @param {Number} value - Raw value
+   * @param {Number} timestamp - Time of the value (ms)
+   * @returns {Number} - Filtered value
+   */
+  filter(value, timestamp) {
+    if (this.lastValue === null) {
+      this.lastValue = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+
+    // Time since the last value, in seconds
+    const dt = (timestamp - this.lastTime) / 1000;
+    if (dt <= 0) return this.lastValue;
+
+    // Smoothed speed of change
+    const derivative = (value - this.lastValue) / dt;
+    const smoothedDerivative = this.lastDerivative +
+      this.alpha(this.dCutoff, dt) * (derivative - this.lastDerivative);
+
+    // Cutoff rises with speed
+    const cutoff = this.minCutoff + this.beta * Math.abs(smoothedDerivative);
+    const filtered = this.lastValue + this.alpha(cutoff, dt) * (value - this.lastValue);
+
+    this.lastValue = filtered;
+    this.lastDerivative = smoothedDerivative;
+    this.lastTime = timestamp;
+
+    return filtered;
+  }
+
+  /**
+   * Smoothing factor for a cutoff frequency and time step
+   * @param {Number} cutoff - Cutoff frequency (Hz)
+   * @param {Number} dt - Time step (s)
+   * @returns {Number} - Smoothing factor between 0 and 1
+   */
+  alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+}
+
+export default OneEuroFilter;
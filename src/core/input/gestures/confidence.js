@@ -0,0 +1,56 @@
+// src/core/input/gestures/confidence.js
+
+/**
+ * Confidence Helpers
+ * Turn threshold tests into confidences: a detection that only just passes
+ * its thresholds is reported at 0.5, one well past them at 1.
+ */
+
+/**
+ * Test a measurement against a threshold, keeping how clear the result was
+ * @param {Number} value - Measured value
+ * @param {Number} threshold - The test passes above this value
+ * @param {Number} range - Distance from the threshold at which the result is certain
+ * @returns {Object} - { passed, margin }, margin from 0 (on the threshold) to 1 (certain)
+ */
+export function testAbove(value, threshold, range) {
+  return {
+    passed: value > threshold,
+    margin: Math.min(Math.abs(value - threshold) / range, 1)
+  };
+}
+
+/**
+ * Combine tests that must all pass. A pass is as clear as the weakest test;
+ * a fail as clear as the most clearly failed test.
+ * @param {Array} tests - Results of testAbove
+ * @returns {Object} - { passed, margin }
+ */
+export function allOf(tests) {
+  const failed = tests.filter(test => !test.passed);
+  return failed.length === 0
+    ? { passed: true, margin: Math.min(...tests.map(test => test.margin)) }
+    : { passed: false, margin: Math.max(...failed.map(test => test.margin)) };
+}
+
+/**
+ * Combine tests of which one passing is enough
+ * @param {Array} tests - Results of testAbove
+ * @returns {Object} - { passed, margin }
+ */
+export function anyOf(tests) {
+  const passed = tests.filter(test => test.passed);
+  return passed.length > 0
+    ? { passed: true, margin: Math.max(...passed.map(test => test.margin)) }
+    : { passed: false, margin: Math.min(...tests.map(test => test.margin)) };
+}
+
+/**
+ * Turn a decision margin into a confidence: 0.5 for a borderline decision,
+ * 1 for a clear one
+ * @param {Number} margin - Margin from 0 to 1
+ * @returns {Number} - Confidence from 0.5 to 1
+ */
+export function marginToConfidence(margin) {
+  return 0.5 + margin / 2;
+}
@@ -0,0 +1,171 @@
+// src/core/input/gestures/custom-gestures.js
+
+/**
+ * Custom Gestures
+ * Declarative gesture definitions that are evaluated by the gesture engine
+ * next to the built-in gestures.
+ *
+ * A definition looks like:
+ *
+ *   {
+ *     name: 'peace',
+ *     fingers: { index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' },
+ *     distances: [{ from: 'index', to: 'middle', min: 0.06 }],
+ *     orientation: { finger: 'index', direction: ['up', 'top-left', 'top-right'] },
+ *     palm: { facing: 'camera', roll: { min: -30, max: 30 } },
+ *     handedness: 'Right'
+ *   }
+ *
+ * Every section except `name` is optional. Fingers left out of `fingers`
+ * may be in any state. `palm` constrains the hand's orientation (see
+ * hand-orientation.js): which way the palm faces, and roll, pitch and yaw
+ * ranges in degrees.
+ */
+import { distance3D } from './geometry.js';
+
+// Fingers that can be constrained in `fingers`
+export const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Fingertip landmark index per finger, used by `distances` and `orientation`
+export const FINGERTIP_LANDMARKS = {
+  thumb: 4,
+  index: 8,
+  middle: 12,
+  ring: 16,
+  pinky: 20
+};
+
+// Directions understood by `orientation`, as reported by point gestures
+export const DIRECTIONS = [
+  'up', 'down', 'left', 'right',
+  'top-left', 'top-right', 'bottom-left', 'bottom-right',
+  'forward', 'backward'
+];
+
+// Angles that can be constrained in `palm`
+export const PALM_ANGLES = ['roll', 'pitch', 'yaw'];
+
+/**
+ * Check that a gesture definition is well formed
+ * @param {Object} definition - Gesture definition
+ * @throws {Error} - If the definition is invalid
+ */
+export function validateGestureDefinition(definition) {
+  if (!definition || typeof definition.name !== 'string' || definition.name === '') {
+    throw new Error('Invalid gesture definition: a name is required');
+  }
+
+  const { name, fingers, distances, orientation, palm, handedness } = definition;
+
+  if (fingers) {
+    Object.entries(fingers).forEach(([finger, state]) => {
+      if (!FINGER_NAMES.includes(finger)) {
+        throw new Error(`Invalid gesture definition '${name}': unknown finger '${finger}'`);
+      }
+      if (!['extended', 'curled', 'any'].includes(state)) {
+        throw new Error(`Invalid gesture definition '${name}': finger state must be 'extended', 'curled' or 'any'`);
+      }
+    });
+  }
+
+  if (distances) {
+    if (!Array.isArray(distances)) {
+      throw new Error(`Invalid gesture definition '${name}': distances must be an array`);
+    }
+    distances.forEach(rule => {
+      if (!(rule.from in FINGERTIP_LANDMARKS) || !(rule.to in FINGERTIP_LANDMARKS)) {
+        throw new Error(`Invalid gesture definition '${name}': distance rules need 'from' and 'to' fingertips`);
+      }
+      if (rule.min === undefined && rule.max === undefined) {
+        throw new Error(`Invalid gesture definition '${name}': distance rules need a 'min' or 'max'`);
+      }
+    });
+  }
+
+  if (orientation) {
+    const directions = [].concat(orientation.direction);
+    if (!(orientation.finger in FINGERTIP_LANDMARKS)) {
+      throw new Error(`Invalid gesture definition '${name}': orientation needs a fingertip`);
+    }
+    if (directions.some(direction => !DIRECTIONS.includes(direction))) {
+      throw new Error(`Invalid gesture definition '${name}': unknown orientation direction`);
+    }
+  }
+
+  if (palm) {
+    if (palm.facing !== undefined && !['camera', 'away'].includes(palm.facing)) {
+      throw new Error(`Invalid gesture definition '${name}': palm facing must be 'camera' or 'away'`);
+    }
+    PALM_ANGLES.filter(angle => palm[angle] !== undefined).forEach(angle => {
+      if (palm[angle].min === undefined && palm[angle].max === undefined) {
+        throw new Error(`Invalid gesture definition '${name}': palm ${angle} needs a 'min' or 'max'`);
+      }
+    });
+  }
+
+  if (handedness && !['Left', 'Right'].includes(handedness)) {
+    throw new Error(`Invalid gesture definition '${name}': handedness must be 'Left' or 'Right'`);
+  }
+}
+
+/**
+ * Test a hand against a gesture definition
+ * @param {Object} definition - Validated gesture definition
+ * @param {Object} hand - Hand being evaluated
+ * @param {Array} hand.landmarks - Hand landmarks
+ * @param {String} hand.handedness - 'Left' or 'Right'
+ * @param {Object} hand.fingerStates - Extension state per finger
+ * @param {Function} hand.getDirection - Returns the pointing direction of a fingertip
+ * @param {Object} hand.orientation - Hand orientation from getHandOrientation()
+ * @returns {Boolean} - True if every constraint in the definition holds
+ */
+export function matchesGestureDefinition(definition, hand) {
+  const { fingers, distances, orientation, palm, handedness } = definition;
+
+  if (handedness && hand.handedness !== handedness) return false;
+
+  // Finger extension states
+  if (fingers) {
+    const fingersMatch = Object.entries(fingers).every(([finger, state]) => {
+      if (state === 'any') return true;
+      return hand.fingerStates[finger] === (state === 'extended');
+    });
+    if (!fingersMatch) return false;
+  }
+
+  // Fingertip distance rules
+  if (distances) {
+    const distancesMatch = distances.every(rule => {
+      const distance = distance3D(
+        hand.landmarks[FINGERTIP_LANDMARKS[rule.from]],
+        hand.landmarks[FINGERTIP_LANDMARKS[rule.to]]
+      );
+      if (rule.min !== undefined && distance < rule.min) return false;
+      if (rule.max !== undefined && distance > rule.max) return false;
+      return true;
+    });
+    if (!distancesMatch) return false;
+  }
+
+  // Orientation constraint
+  if (orientation) {
+    const directions = [].concat(orientation.direction);
+    if (!directions.includes(hand.getDirection(orientation.finger))) return false;
+  }
+
+  // Palm orientation
+  if (palm) {
+    if (palm.facing !== undefined &&
+        hand.orientation.palmFacing !== (palm.facing === 'camera')) return false;
+
+    const anglesMatch = PALM_ANGLES.filter(angle => palm[angle] !== undefined).every(angle => {
+      const value = hand.orientation[angle];
+      if (palm[angle].min !== undefined && value < palm[angle].min) return false;
+      if (palm[angle].max !== undefined && value > palm[angle].max) return false;
+      return true;
+    });
+    if (!anglesMatch) return false;
+  }
+
+  return true;
+}
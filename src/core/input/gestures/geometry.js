@@ -0,0 +1,106 @@
+// src/core/input/gestures/geometry.js
+
+/**
+ * Geometry helpers
+ * Small vector utilities shared by the gesture detectors. Points and vectors
+ * are plain objects with x, y, z components in MediaPipe's normalized space.
+ */
+
+/**
+ * Calculate vector between two points
+ * @param {Object} a - First point with x,y,z coordinates
+ * @param {Object} b - Second point with x,y,z coordinates
+ * @returns {Object} - Vector from a to b
+ */
+export function vectorBetween(a, b) {
+  return {
+    x: b.x - a.x,
+    y: b.y - a.y,
+    z: b.z - a.z
+  };
+}
+
+/**
+ * Normalize vector to unit length
+ * @param {Object} v - Vector with x,y,z components
+ * @returns {Object} - Normalized vector
+ */
+export function normalizeVector(v) {
+  const length = Math.sqrt(v.x*v.x + v.y*v.y + v.z*v.z);
+  if (length === 0) return { x: 0, y: 0, z: 0 };
+
+  return {
+    x: v.x / length,
+    y: v.y / length,
+    z: v.z / length
+  };
+}
+
+/**
+ * Calculate dot product of two vectors
+ * @param {Object} a - First vector with x,y,z components
+ * @param {Object} b - Second vector with x,y,z components
+ * @returns {Number} - Dot product of vectors
+ */
+export function dotProduct(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+/**
+ * Calculate 3D distance between two points
+ * @param {Object} a - First point with x,y,z coordinates
+ * @param {Object} b - Second point with x,y,z coordinates
+ * @returns {Number} - Distance between points
+ */
+export function distance3D(a, b) {
+  return Math.sqrt(
+    Math.pow(a.x - b.x, 2) +
+    Math.pow(a.y - b.y, 2) +
+    Math.pow(a.z - b.z, 2)
+  );
+}
+
+/**
+ * Calculate distance between two points in the picture plane, ignoring depth
+ * @param {Object} a - First point with x,y coordinates
+ * @param {Object} b - Second point with x,y coordinates
+ * @returns {Number} - Distance between points
+ */
+export function distance2D(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Calculate the point halfway between two points
+ * @param {Object} a - First point with x,y,z coordinates
+ * @param {Object} b - Second point with x,y,z coordinates
+ * @returns {Object} - Midpoint
+ */
+export function midpoint(a, b) {
+  return {
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
+    z: (a.z + b.z) / 2
+  };
+}
+
+// Landmarks averaged to find the centre of the palm: the wrist and the
+// base of each finger
+const PALM_LANDMARKS = [0, 5, 9, 13, 17];
+
+/**
+ * Calculate the centre of the palm
+ * @param {Array} landmarks - Hand landmarks
+ * @returns {Object} - Palm centre with x,y,z coordinates
+ */
+export function palmCenter(landmarks) {
+  const center = { x: 0, y: 0, z: 0 };
+
+  PALM_LANDMARKS.forEach(index => {
+    center.x += landmarks[index].x / PALM_LANDMARKS.length;
+    center.y += landmarks[index].y / PALM_LANDMARKS.length;
+    center.z += landmarks[index].z / PALM_LANDMARKS.length;
+  });
+
+  return center;
+}
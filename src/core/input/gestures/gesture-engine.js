@@ -0,0 +1,1001 @@
+// src/core/input/gestures/gesture-engine.js
+
+/**
+ * Gesture Engine
+ * Provider-independent gesture recognition. Takes landmark frames in the
+ * MediaPipe results shape from any provider and emits detected gestures,
+ * so every provider runs through the same detection code.
+ */
+import { vectorBetween, normalizeVector, dotProduct, distance3D, midpoint, palmCenter } from './geometry.js';
+import {
+  FINGERTIP_LANDMARKS,
+  validateGestureDefinition,
+  matchesGestureDefinition
+} from './custom-gestures.js';
+import TwoHandDetector from './two-hand-detector.js';
+import GestureLifecycle from './gesture-lifecycle.js';
+import StrokeRecognizer from './stroke-recognizer.js';
+import { getHandOrientation } from './hand-orientation.js';
+import { DEFAULT_THRESHOLDS } from './thresholds.js';
+import { testAbove, allOf, anyOf, marginToConfidence } from './confidence.js';
+import { resolveOptions } from '../options.js';
+
+// How far past their thresholds finger measurements must be to be certain
+const FINGER_RATIO_RANGE = 0.3;
+const FINGER_ALIGNMENT_RANGE = 0.3;
+const FINGER_SEPARATION_RANGE = 0.3;
+
+class GestureEngine {
+  /**
+   * @param {String|Object} [options] - Input options or preset name (see options.js)
+   */
+  constructor(options) {
+    this.gestureCallbacks = [];
+    this.gestureEventCallbacks = [];
+
+    // Timing options
+    this.options = resolveOptions(options);
+
+    // Detector thresholds, replaced by a calibration profile
+    this.thresholds = { ...DEFAULT_THRESHOLDS };
+
+    // Registered custom gesture definitions, in registration order
+    this.customGestures = [];
+
+    // Gestures that need both hands (clap, stretch, hands-together)
+    this.twoHandDetector = new TwoHandDetector();
+
+    // Start, update, hold and end events of held static gestures
+    this.lifecycle = new GestureLifecycle(this.options);
+
+    // Shapes drawn in the air with a held point or pinch
+    this.strokeRecognizer = new StrokeRecognizer(this.options);
+
+    // Time of the frame being processed
+    this.currentTime = Date.now();
+
+    // Per-hand detection state
+    this.resetState();
+
+    // Debug mode - set to true to enable console logging
+    this.debugMode = false;
+  }
+
+  /**
+   * Reset all per-hand gesture detection state. Held gestures end.
+   */
+  resetState() {
+    // Unfinished strokes are dropped rather than recognized
+    this.strokeRecognizer.resetState();
+    this.lifecycle.endAll(event => this.handleLifecycleEvent(event));
+    this.lifecycle.resetState();
+
+    // For gesture detection
+    this.lastGesture = {};
+    this.lastGestureTime = {};
+    this.gestureConfidence = {};
+
+    // For wave detection
+    this.wavePositions = {};
+    this.waveDirectionChanges = {};
+    this.waveStartTime = {};
+    this.waveLastDirection = {};
+
+    // For pinch detection
+    this.lastPinchDistance = {};
+    this.isPinching = {};
+    this.pinchStartTime = {};
+
+    // For swipe detection
+    this.swipePositions = {};
+    this.swipeStartTime = {};
+    this.swipeLastPosition = {};
+    this.swipeVelocity = {};
+    this.lastSwipeTime = {};
+
+    // For finger counting
+    this.lastCount = {};
+    this.pendingCount = {};
+    this.pendingCountTime = {};
+
+    // For two-hand detection
+    this.twoHandDetector.resetState();
+  }
+
+  /**
+   * Replace the timing options
+   * @param {String|Object} options - Input options or preset name
+   */
+  setOptions(options) {
+    this.options = resolveOptions(options);
+    this.lifecycle.setOptions(this.options);
+    this.strokeRecognizer.setOptions(this.options);
+  }
+
+  /**
+   * Override detector thresholds, e.g. from a calibration profile.
+   * Thresholds not given fall back to the defaults.
+   * @param {Object|null} thresholds - Thresholds to use, or null for the defaults
+   */
+  setThresholds(thresholds) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(thresholds || {}) };
+  }
+
+  /**
+   * Register callback for gesture recognition
+   * @param {Function} callback - Function to call with gesture data
+   * @param {Object} [options]
+   * @param {Number} [options.minConfidence=0] - Only report gestures at least
+   *   this confident (0-1)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureDetected(callback, options = {}) {
+    const subscriber = { callback, minConfidence: options.minConfidence ?? 0 };
+    this.gestureCallbacks.push(subscriber);
+    return () => {
+      this.gestureCallbacks = this.gestureCallbacks.filter(existing => existing !== subscriber);
+    };
+  }
+
+  /**
+   * Register callback for the lifecycle of held point, open, grab and pinch
+   * gestures (see gesture-lifecycle.js)
+   * @param {Function} callback - Called with each gesturestart, gestureupdate,
+   *   gesturehold and gestureend event
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureEvent(callback) {
+    this.gestureEventCallbacks.push(callback);
+    return () => {
+      this.gestureEventCallbacks = this.gestureEventCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Unregister all gesture callbacks
+   */
+  clearCallbacks() {
+    this.gestureCallbacks = [];
+    this.gestureEventCallbacks = [];
+  }
+
+  /**
+   * Register a custom gesture definition. Custom gestures are checked before
+   * the built-in static gestures, so a more specific pose (e.g. thumbs-up)
+   * wins over the general one it overlaps (grab).
+   * @param {Object} definition - Gesture definition (see custom-gestures.js)
+   * @returns {Function} - Function to unregister the gesture
+   */
+  registerGesture(definition) {
+    validateGestureDefinition(definition);
+
+    if (this.customGestures.some(existing => existing.name === definition.name)) {
+      throw new Error(`Gesture '${definition.name}' is already registered`);
+    }
+
+    this.customGestures.push(definition);
+    return () => {
+      this.customGestures = this.customGestures.filter(existing => existing !== definition);
+    };
+  }
+
+  /**
+   * Run gesture detection on a frame of landmark results
+   * @param {Object} results - Results in the MediaPipe Hands shape
+   *   ({ multiHandLandmarks, multiHandedness })
+   * @param {Number} [timestamp] - Time of the frame (ms). Replays pass the
+   *   recorded time so detection doesn't depend on playback speed.
+   */
+  processResults(results, timestamp = Date.now()) {
+    if (!results || !results.multiHandLandmarks) return;
+
+    // Time of the frame being processed, used by all detectors
+    this.currentTime = timestamp;
+
+    const { multiHandLandmarks, multiHandedness } = results;
+
+    // Persistent hand IDs from the hand tracker, if the provider has one
+    const handIds = multiHandLandmarks.map((landmarks, handIndex) => (
+      results.multiHandIds
+        ? results.multiHandIds[handIndex]
+        : `${multiHandedness[handIndex].label}_${handIndex}`
+    ));
+
+    if (this.gestureCallbacks.length === 0 && this.gestureEventCallbacks.length === 0) return;
+
+    const notifyEvent = event => this.handleLifecycleEvent(event);
+
+    // Hands that left the picture end their gestures
+    this.lifecycle.endMissingHands(handIds, this.currentTime, notifyEvent);
+
+    // Two-hand state and the combined count need both hands in this frame
+    if (multiHandLandmarks.length < 2) {
+      this.twoHandDetector.resetState();
+      delete this.lastCount.total;
+      delete this.pendingCount.total;
+    }
+
+    if (multiHandLandmarks.length === 0) return;
+
+    // Per-hand finger counts, combined below when both hands are visible
+    const handCounts = [];
+
+    multiHandLandmarks.forEach((landmarks, handIndex) => {
+      const handedness = multiHandedness[handIndex].label; // 'Left' or 'Right'
+      const handId = handIds[handIndex];
+
+      // How sure MediaPipe is that this is a hand; scales every confidence
+      const handScore = multiHandedness[handIndex].score ?? 1;
+
+      const { states: fingerStates, confidences: fingerConfidences } = this.measureFingers(landmarks);
+
+      // First detect static gestures (point, open, grab, pinch). The built-ins
+      // always run so pinch state stays current, but a matching custom
+      // gesture takes the report.
+      const builtInGesture = this.detectStaticGesture(
+        landmarks, handedness, handId, fingerStates, fingerConfidences, handScore
+      );
+      const staticGesture =
+        this.detectCustomGesture(landmarks, handedness, fingerStates, fingerConfidences, handScore) ||
+        builtInGesture;
+
+      // Follow the built-in gesture's lifecycle, even when a custom gesture
+      // takes the report
+      this.lifecycle.update(handId, handedness, builtInGesture, landmarks, this.currentTime, notifyEvent);
+
+      // Detect wave gesture (temporal pattern)
+      this.detectWaveGesture(landmarks[0], handId, handedness, handScore);
+
+      // Detect swipe gesture (temporal pattern)
+      this.detectSwipeGesture(landmarks[0], handId, handedness, handScore);
+
+      // Count raised fingers
+      handCounts.push({
+        handId,
+        handedness,
+        count: this.detectCountGesture(landmarks, handedness, handId, fingerStates, fingerConfidences, handScore),
+        confidence: this.getCountConfidence(fingerConfidences, handScore)
+      });
+
+      // Report static gesture if detected and different from last time.
+      // A held gesture is reported again now and then, marked as a repeat;
+      // the lifecycle events above follow it frame by frame.
+      const isRepeat = !!staticGesture && this.lastGesture[handId] === staticGesture.name;
+      if (staticGesture &&
+          (!isRepeat ||
+           this.currentTime - this.lastGestureTime[handId] > this.options.gestureRepeatInterval)) {
+
+        this.notifyGesture(isRepeat ? { ...staticGesture, repeat: true } : staticGesture, handedness, landmarks, handId);
+        this.lastGesture[handId] = staticGesture.name;
+        this.lastGestureTime[handId] = this.currentTime;
+      }
+    });
+
+    // Two-hand gestures
+    if (multiHandLandmarks.length >= 2) {
+      this.twoHandDetector.detect(
+        multiHandLandmarks[0],
+        multiHandLandmarks[1],
+        this.currentTime,
+        gesture => this.notifyGesture({ ...gesture, handIds: handIds.slice(0, 2) }, 'Both', null),
+        (multiHandedness[0].score ?? 1) * (multiHandedness[1].score ?? 1)
+      );
+    }
+
+    // Combined count across both hands
+    if (handCounts.length === 2) {
+      const total = handCounts[0].count + handCounts[1].count;
+      if (this.updateCount('total', total)) {
+        this.notifyGesture({
+          name: 'count',
+          count: total,
+          hands: handCounts,
+          handIds: handCounts.map(hand => hand.handId),
+          confidence: Math.min(handCounts[0].confidence, handCounts[1].confidence)
+        }, 'Both', null);
+      }
+    } else {
+      delete this.lastCount.total;
+      delete this.pendingCount.total;
+    }
+  }
+
+  /**
+   * Notify gesture callbacks about a detected gesture
+   * @param {Object} gesture - The detected gesture
+   * @param {String} handedness - 'Left' or 'Right'
+   * @param {Array} landmarks - Hand landmarks
+   * @param {String} [handId] - Persistent ID of the hand, added to the gesture
+   */
+  notifyGesture(gesture, handedness, landmarks, handId) {
+    if (handId) {
+      gesture = { ...gesture, handId };
+    }
+
+    if (this.gestureCallbacks.length > 0) {
+      this.gestureCallbacks.forEach(({ callback, minConfidence }) => {
+        // Gestures without a confidence always pass
+        if (gesture.confidence === undefined || gesture.confidence >= minConfidence) {
+          callback(gesture, handedness, landmarks);
+        }
+      });
+    }
+  }
+
+  /**
+   * Pass a lifecycle event from this engine's detection to the stroke
+   * recognizer and the gesture event callbacks
+   * @param {Object} event - Event from GestureLifecycle
+   */
+  handleLifecycleEvent(event) {
+    this.notifyGestureEvent(event);
+    this.strokeRecognizer.handleGestureEvent(event, shape => {
+      this.notifyGesture(shape, event.handedness, null, event.handId);
+    });
+  }
+
+  /**
+   * Notify gesture event callbacks about a lifecycle event
+   * @param {Object} event - Event from GestureLifecycle
+   */
+  notifyGestureEvent(event) {
+    this.gestureEventCallbacks.forEach(callback => callback(event));
+  }
+
+  /**
+   * Detect back-and-forth wave gesture
+   * @param {Object} wrist - Wrist landmark
+   * @param {String} handId - Unique hand identifier
+   * @param {String} handedness - 'Left' or 'Right'
+   * @param {Number} handScore - MediaPipe's confidence in the hand (0-1)
+   */
+  detectWaveGesture(wrist, handId, handedness, handScore) {
+    const now = this.currentTime;
+
+    // Initialize wave detection state for this hand if needed
+    if (!this.wavePositions[handId]) {
+      this.wavePositions[handId] = [];
+      this.waveDirectionChanges[handId] = 0;
+      this.waveStartTime[handId] = now;
+      this.waveLastDirection[handId] = null;
+    }
+
+    // Add current position to history
+    this.wavePositions[handId].push({
+      x: wrist.x,
+      y: wrist.y,
+      time: now
+    });
+
+    // Keep only recent positions (within the wave window)
+    while (this.wavePositions[handId].length > 0 &&
+           now - this.wavePositions[handId][0].time > this.options.waveWindow) {
+      this.wavePositions[handId].shift();
+    }
+
+    // Need at least 3 positions to detect direction changes
+    if (this.wavePositions[handId].length < 3) return;
+
+    // Check if we should reset wave detection (it's been too long)
+    if (now - this.waveStartTime[handId] > this.options.waveWindow + 1000) {
+      this.waveDirectionChanges[handId] = 0;
+      this.waveStartTime[handId] = now;
+      this.waveLastDirection[handId] = null;
+    }
+
+    // Get the most recent positions
+    const positions = this.wavePositions[handId];
+    const current = positions[positions.length - 1];
+    const previous = positions[positions.length - 3]; // Skip one position to reduce noise
+
+    // Calculate horizontal movement
+    const deltaX = current.x - previous.x;
+
+    // Skip if movement is too small
+    if (Math.abs(deltaX) < this.thresholds.waveDelta) return;
+
+    // Determine direction (simplify to left/right)
+    const direction = deltaX > 0 ? 'right' : 'left';
+
+    // Check for direction change
+    if (this.waveLastDirection[handId] !== null &&
+        this.waveLastDirection[handId] !== direction) {
+
+      // Increment direction change counter
+      this.waveDirectionChanges[handId]++;
+
+      // If we've detected enough direction changes in the time window, it's a wave
+      if (this.waveDirectionChanges[handId] >= 2 &&
+          now - this.waveStartTime[handId] < this.options.waveWindow) {
+
+        // Wider waves are clearer: confidence grows with the side-to-side
+        // range beyond the smallest counted stroke
+        const xs = positions.map(position => position.x);
+        const range = Math.max(...xs) - Math.min(...xs);
+        const { waveDelta } = this.thresholds;
+        const movement = testAbove(range, waveDelta, waveDelta * 4);
+
+        // Notify about wave gesture
+        this.notifyGesture({
+          name: 'wave',
+          confidence: marginToConfidence(movement.margin) * handScore
+        }, handedness, null, handId);
+
+        // Reset wave detection after successful detection
+        this.waveDirectionChanges[handId] = 0;
+        this.waveStartTime[handId] = now + 1000; // Add cooldown
+      }
+    }
+
+    // Update last direction
+    this.waveLastDirection[handId] = direction;
+  }
+
+  /**
+   * Detect swipe gestures in different directions
+   * @param {Object} wrist - Wrist landmark
+   * @param {String} handId - Unique hand identifier
+   * @param {String} handedness - 'Left' or 'Right'
+   * @param {Number} handScore - MediaPipe's confidence in the hand (0-1)
+   */
+  detectSwipeGesture(wrist, handId, handedness, handScore) {
+    const now = this.currentTime;
+
+    // Initialize swipe detection state for this hand if needed
+    if (!this.swipePositions[handId]) {
+      this.swipePositions[handId] = [];
+      this.swipeStartTime[handId] = now;
+      this.swipeLastPosition[handId] = { x: wrist.x, y: wrist.y, time: now };
+      this.swipeVelocity[handId] = { x: 0, y: 0 };
+      this.lastSwipeTime[handId] = 0;
+    }
+
+    // Check if enough time has passed since last swipe detection
+    // to prevent multiple swipe detections for the same gesture
+    if (now - this.lastSwipeTime[handId] < this.options.swipeCooldown) {
+      return;
+    }
+
+    // Add current position to history
+    this.swipePositions[handId].push({
+      x: wrist.x,
+      y: wrist.y,
+      time: now
+    });
+
+    // Keep only recent positions (last 0.5 seconds)
+    while (this.swipePositions[handId].length > 0 &&
+           now - this.swipePositions[handId][0].time > 500) {
+      this.swipePositions[handId].shift();
+    }
+
+    // Need at least 5 positions to detect a smooth swipe
+    if (this.swipePositions[handId].length < 5) return;
+
+    // Get the first and last positions for overall movement
+    const positions = this.swipePositions[handId];
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+
+    // Calculate time difference
+    const timeDiff = (last.time - first.time) / 1000; // in seconds
+
+    // Calculate total displacement
+    const deltaX = last.x - first.x;
+    const deltaY = last.y - first.y;
+
+    // Calculate velocity (units per second)
+    const velocityX = deltaX / timeDiff;
+    const velocityY = deltaY / timeDiff;
+
+    // Only detect swipes with significant movement and velocity
+    const SWIPE_THRESHOLD = this.thresholds.swipeDistance; // Minimum displacement
+    const VELOCITY_THRESHOLD = this.thresholds.swipeVelocity; // Minimum velocity
+
+    // Calculate absolute values for comparisons
+    const absDeltaX = Math.abs(deltaX);
+    const absDeltaY = Math.abs(deltaY);
+    const absVelocityX = Math.abs(velocityX);
+    const absVelocityY = Math.abs(velocityY);
+
+    // Check if the movement is significant enough to be a swipe
+    if ((absDeltaX > SWIPE_THRESHOLD || absDeltaY > SWIPE_THRESHOLD) &&
+        (absVelocityX > VELOCITY_THRESHOLD || absVelocityY > VELOCITY_THRESHOLD)) {
+
+      // Determine swipe direction
+      let swipeDirection = '';
+
+      // Check if movement is more horizontal or vertical
+      if (absDeltaX > absDeltaY) {
+        // Horizontal swipe
+        swipeDirection = deltaX > 0 ? 'right' : 'left';
+      } else {
+        // Vertical swipe
+        swipeDirection = deltaY > 0 ? 'down' : 'up';
+      }
+
+      // Confidence from how far the velocity beat its threshold, and how
+      // clearly the movement went one way rather than diagonally. (The
+      // distance is always borderline here, as swipes are reported as soon
+      // as they are long enough.)
+      const velocityTest = testAbove(Math.max(absVelocityX, absVelocityY), VELOCITY_THRESHOLD, VELOCITY_THRESHOLD);
+      const axisMargin = Math.abs(absDeltaX - absDeltaY) / Math.max(absDeltaX, absDeltaY);
+      const margin = Math.min(velocityTest.margin, axisMargin);
+
+      // Create swipe gesture with direction and speed info
+      const swipeGesture = {
+        name: 'swipe',
+        direction: swipeDirection,
+        speed: Math.sqrt(velocityX*velocityX + velocityY*velocityY),
+        confidence: marginToConfidence(margin) * handScore
+      };
+
+      // Notify about swipe gesture
+      this.notifyGesture(swipeGesture, handedness, null, handId);
+
+      // Update last swipe time to prevent rapid consecutive detections
+      this.lastSwipeTime[handId] = now;
+
+      // Reset swipe tracking for new detection
+      this.swipePositions[handId] = [];
+      this.swipeStartTime[handId] = now;
+    }
+  }
+
+  /**
+   * Evaluate registered custom gestures against a hand
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @param {String} handedness - 'Left' or 'Right'
+   * @param {Object} fingerStates - Extension state per finger from measureFingers()
+   * @param {Object} fingerConfidences - Confidence in each finger state from measureFingers()
+   * @param {Number} handScore - MediaPipe's confidence in the hand (0-1)
+   * @returns {Object|null} - First matching custom gesture or null
+   */
+  detectCustomGesture(landmarks, handedness, fingerStates, fingerConfidences, handScore) {
+    if (this.customGestures.length === 0) return null;
+
+    const wrist = landmarks[0];
+    const hand = {
+      landmarks,
+      handedness,
+      fingerStates,
+      orientation: getHandOrientation(landmarks, handedness),
+      getDirection: finger => {
+        const tip = landmarks[FINGERTIP_LANDMARKS[finger]];
+        return this.getPointingDirection(tip.x - wrist.x, tip.y - wrist.y, tip.z - wrist.z);
+      }
+    };
+
+    const definition = this.customGestures.find(candidate => matchesGestureDefinition(candidate, hand));
+    if (!definition) return null;
+
+    // As confident as the least clear of the fingers the definition constrains
+    const constrained = Object.entries(definition.fingers || {})
+      .filter(([, state]) => state !== 'any')
+      .map(([finger]) => fingerConfidences[finger]);
+    const confidence = constrained.length > 0 ? Math.min(...constrained) : 1;
+
+    return { name: definition.name, confidence: confidence * handScore };
+  }
+
+  /**
+   * Detect the number of raised fingers (0-5, thumb included) on one hand.
+   * A count is reported once it has been held steady, and again whenever it
+   * changes.
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @param {String} handedness - 'Left' or 'Right'
+   * @param {String} handId - Unique identifier for this hand
+   * @param {Object} fingerStates - Extension state per finger from measureFingers()
+   * @param {Object} fingerConfidences - Confidence in each finger state from measureFingers()
+   * @param {Number} handScore - MediaPipe's confidence in the hand (0-1)
+   * @returns {Number} - Current number of raised fingers
+   */
+  detectCountGesture(landmarks, handedness, handId, fingerStates, fingerConfidences, handScore) {
+    const fingers = Object.keys(fingerStates).filter(finger => fingerStates[finger]);
+    const count = fingers.length;
+
+    if (this.updateCount(handId, count)) {
+      this.notifyGesture({
+        name: 'count',
+        count,
+        fingers,
+        confidence: this.getCountConfidence(fingerConfidences, handScore)
+      }, handedness, landmarks, handId);
+    }
+
+    return count;
+  }
+
+  /**
+   * Confidence in a finger count: every finger has to be read right
+   * @param {Object} fingerConfidences - Confidence in each finger state from measureFingers()
+   * @param {Number} handScore - MediaPipe's confidence in the hand (0-1)
+   * @returns {Number} - Confidence (0-1)
+   */
+  getCountConfidence(fingerConfidences, handScore) {
+    return Math.min(...Object.values(fingerConfidences)) * handScore;
+  }
+
+  /**
+   * Debounce a finger count so a finger flickering between states doesn't
+   * produce a burst of count gestures
+   * @param {String} key - Hand identifier, or 'total' for the combined count
+   * @param {Number} count - Count seen in this frame
+   * @returns {Boolean} - True if the count has settled on a new value
+   */
+  updateCount(key, count) {
+    const now = this.currentTime;
+
+    if (this.pendingCount[key] !== count) {
+      this.pendingCount[key] = count;
+      this.pendingCountTime[key] = now;
+    }
+
+    // Require the count to hold for 150ms before reporting it
+    if (count === this.lastCount[key] || now - this.pendingCountTime[key] < 150) {
+      return false;
+    }
+
+    this.lastCount[key] = count;
+    return true;
+  }
+
+  /**
+   * Detect static gestures (point, open, grab, pinch) with direction information
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @param {String} handedness - 'Left' or 'Right'
+   * @param {String} handId - Unique identifier for this hand
+   * @param {Object} fingerStates - Extension state per finger from measureFingers()
+   * @param {Object} fingerConfidences - Confidence in each finger state from measureFingers()
+   * @param {Number} handScore - MediaPipe's confidence in the hand (0-1)
+   * @returns {Object|null} - Detected gesture or null
+   */
+  detectStaticGesture(landmarks, handedness, handId, fingerStates, fingerConfidences, handScore) {
+    const {
+      index: indexFingerExtended,
+      middle: middleFingerExtended,
+      ring: ringFingerExtended,
+      pinky: pinkyFingerExtended
+    } = fingerStates;
+
+    // Get the wrist and important finger landmarks
+    const wrist = landmarks[0];
+    const indexTip = landmarks[8];
+    const thumbTip = landmarks[4];
+
+    // PINCH gesture - thumb and index finger close together
+    const thumbIndexDistance = distance3D(thumbTip, indexTip);
+
+    // Initialize pinch detection state for this hand if needed
+    if (this.lastPinchDistance[handId] === undefined) {
+      this.lastPinchDistance[handId] = thumbIndexDistance;
+      this.isPinching[handId] = false;
+      this.pinchStartTime[handId] = 0;
+    }
+
+    // Pinch thresholds
+    const PINCH_DISTANCE_THRESHOLD = this.thresholds.pinchDistance; // How close thumb and index need to be to detect pinch
+    const PINCH_STATE_CHANGE_THRESHOLD = this.thresholds.pinchRelease; // How much distance needs to change to switch pinch state
+
+    // Detect pinch gesture
+    const wasPinching = this.isPinching[handId];
+
+    // Check for significant distance change to avoid flickering
+    if (!wasPinching && thumbIndexDistance < PINCH_DISTANCE_THRESHOLD) {
+      // Start pinching
+      this.isPinching[handId] = true;
+      this.pinchStartTime[handId] = this.currentTime;
+    } else if (wasPinching && thumbIndexDistance > PINCH_DISTANCE_THRESHOLD + PINCH_STATE_CHANGE_THRESHOLD) {
+      // Stop pinching when fingers move significantly apart
+      this.isPinching[handId] = false;
+    }
+
+    // Update last distance
+    this.lastPinchDistance[handId] = thumbIndexDistance;
+
+    // If pinching, return pinch gesture
+    if (this.isPinching[handId]) {
+      const pinchDuration = this.currentTime - this.pinchStartTime[handId];
+
+      // Borderline while releasing, certain with the fingertips touching
+      const strength = Math.max(0, 1 - thumbIndexDistance / PINCH_DISTANCE_THRESHOLD);
+
+      return {
+        name: 'pinch',
+        strength,
+        duration: pinchDuration,
+        position: midpoint(thumbTip, indexTip), // Between the fingertips
+        confidence: marginToConfidence(strength) * handScore
+      };
+    }
+
+    // The four-finger gestures are as confident as their least clear finger
+    const fourFingerConfidence = Math.min(
+      fingerConfidences.index,
+      fingerConfidences.middle,
+      fingerConfidences.ring,
+      fingerConfidences.pinky
+    ) * handScore;
+
+    // POINT gesture - only index finger extended
+    if (indexFingerExtended &&
+        !middleFingerExtended &&
+        !ringFingerExtended &&
+        !pinkyFingerExtended) {
+
+      // Calculate pointing direction (relative to wrist)
+      const dx = indexTip.x - wrist.x;
+      const dy = indexTip.y - wrist.y;
+      const dz = indexTip.z - wrist.z;
+
+      // Log coordinates for debugging if enabled
+      if (this.debugMode) {
+        console.log(`Point vector: dx=${dx.toFixed(3)}, dy=${dy.toFixed(3)}, dz=${dz.toFixed(3)}`);
+      }
+
+      // Classify the pointing direction
+      const pointingDirection = this.getPointingDirection(dx, dy, dz);
+
+      return {
+        name: 'point',
+        direction: pointingDirection,
+        confidence: fourFingerConfidence,
+        vector: { dx, dy, dz } // Include vector for debugging
+      };
+    }
+
+    // OPEN hand gesture - all fingers extended
+    if (indexFingerExtended &&
+        middleFingerExtended &&
+        ringFingerExtended &&
+        pinkyFingerExtended) {
+      return { name: 'open', confidence: fourFingerConfidence };
+    }
+
+    // GRAB gesture - no fingers extended
+    if (!indexFingerExtended &&
+        !middleFingerExtended &&
+        !ringFingerExtended &&
+        !pinkyFingerExtended) {
+      return {
+        name: 'grab',
+        confidence: fourFingerConfidence,
+        position: palmCenter(landmarks)
+      };
+    }
+
+    // No recognized gesture
+    return null;
+  }
+
+  /**
+   * Classify a wrist-relative vector into a pointing direction
+   * @param {Number} dx - Horizontal component
+   * @param {Number} dy - Vertical component
+   * @param {Number} dz - Depth component
+   * @returns {String} - One of up, down, left, right, the four diagonals
+   *   (top-left, top-right, bottom-left, bottom-right), forward or backward
+   */
+  getPointingDirection(dx, dy, dz) {
+    // Calculate magnitudes in different planes
+    const horizontalMag = Math.abs(dx);
+    const verticalMag = Math.abs(dy);
+    const depthMag = Math.abs(dz);
+
+    let pointingDirection = null;
+
+    // Forward detection is most important - reduce threshold to make it easier to detect
+    // For improved forward detection, check if z-component is significant
+    if (depthMag > 0.05 && depthMag > horizontalMag * 0.5 && depthMag > verticalMag * 0.5) {
+      // Pointing toward or away from the camera
+      pointingDirection = dz < 0 ? 'forward' : 'backward';
+
+      if (this.debugMode) {
+        console.log(`Detected ${pointingDirection} pointing with z=${dz.toFixed(3)}`);
+      }
+    }
+    // If not pointing forward/backward, check for diagonal directions
+    else {
+      // Determine if movement is more horizontal, vertical, or diagonal
+      const isSignificantHorizontal = horizontalMag > 0.03;
+      const isSignificantVertical = verticalMag > 0.03;
+
+      // For diagonal detection, need significant components in both directions
+      if (isSignificantHorizontal && isSignificantVertical) {
+        // It's a diagonal direction - determine which quadrant
+        if (dx > 0 && dy < 0) {
+          pointingDirection = 'top-right';
+        } else if (dx < 0 && dy < 0) {
+          pointingDirection = 'top-left';
+        } else if (dx > 0 && dy > 0) {
+          pointingDirection = 'bottom-right';
+        } else if (dx < 0 && dy > 0) {
+          pointingDirection = 'bottom-left';
+        }
+      }
+      // If not diagonal, determine if it's a cardinal direction
+      else if (horizontalMag > verticalMag) {
+        // Pointing horizontally
+        pointingDirection = dx > 0 ? 'right' : 'left';
+      } else {
+        // Pointing vertically
+        pointingDirection = dy > 0 ? 'down' : 'up';
+      }
+    }
+
+    return pointingDirection;
+  }
+
+  /**
+   * Determine which fingers are extended
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @returns {Object} - Map of finger name to extended (true) or curled (false)
+   */
+  getFingerStates(landmarks) {
+    return this.measureFingers(landmarks).states;
+  }
+
+  /**
+   * Determine which fingers are extended, and how clearly
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @returns {Object} - { states, confidences }: per finger name, extended
+   *   (true) or curled (false), and the confidence in that (0.5-1)
+   */
+  measureFingers(landmarks) {
+    const states = {};
+    const confidences = {};
+
+    ['thumb', 'index', 'middle', 'ring', 'pinky'].forEach((finger, fingerIndex) => {
+      const { passed, margin } = this.measureFingerExtension(landmarks, fingerIndex);
+      states[finger] = passed;
+      confidences[finger] = marginToConfidence(margin);
+    });
+
+    return { states, confidences };
+  }
+
+  /**
+   * Significantly improved finger extension detection that works in all directions
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @param {Number} fingerIndex - Index of the finger (0=thumb, 1=index, 2=middle, 3=ring, 4=pinky)
+   * @returns {Boolean} - True if the finger is extended
+   */
+  isFingerExtendedImproved(landmarks, fingerIndex) {
+    return this.measureFingerExtension(landmarks, fingerIndex).passed;
+  }
+
+  /**
+   * Test whether a finger is extended, keeping how far the measurements were
+   * from their thresholds
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @param {Number} fingerIndex - Index of the finger (0=thumb, 1=index, 2=middle, 3=ring, 4=pinky)
+   * @returns {Object} - { passed (extended), margin (0 borderline - 1 clear) }
+   */
+  measureFingerExtension(landmarks, fingerIndex) {
+    // The thumb bends sideways across the palm rather than toward the wrist,
+    // so it needs its own test
+    if (fingerIndex === 0) {
+      return this.measureThumbExtension(landmarks);
+    }
+
+    // Index mapping for different finger joints
+    const mcpIndex = fingerIndex * 4 + 1;  // Base joint (metacarpophalangeal)
+    const pipIndex = fingerIndex * 4 + 2;  // Middle joint (proximal interphalangeal)
+    const dipIndex = fingerIndex * 4 + 3;  // End joint (distal interphalangeal)
+    const tipIndex = fingerIndex * 4 + 4;  // Finger tip
+
+    // Get the landmarks
+    const wrist = landmarks[0];
+    const mcp = landmarks[mcpIndex];
+    const pip = landmarks[pipIndex];
+    const dip = landmarks[dipIndex];
+    const tip = landmarks[tipIndex];
+
+    // METHOD 1: Distance-based approach
+    // In a curled finger, the tip is close to the base of the palm
+    // In an extended finger, the tip is far from the base
+    const tipToWristDist = distance3D(tip, wrist);
+    const mcpToWristDist = distance3D(mcp, wrist);
+
+    // Extended fingers have tips further from wrist than MCP joints
+    const distanceRatio = tipToWristDist / mcpToWristDist;
+
+    // METHOD 2: Straightness-based approach
+    // In a curled finger, there's significant bending at the joints
+    // In an extended finger, the joints form a relatively straight line
+
+    // Calculate vectors between joints
+    const wristToMcp = vectorBetween(wrist, mcp);
+    const mcpToPip = vectorBetween(mcp, pip);
+    const pipToDip = vectorBetween(pip, dip);
+    const dipToTip = vectorBetween(dip, tip);
+
+    // Normalize vectors
+    const wristToMcpNorm = normalizeVector(wristToMcp);
+    const mcpToPipNorm = normalizeVector(mcpToPip);
+    const pipToDipNorm = normalizeVector(pipToDip);
+    const dipToTipNorm = normalizeVector(dipToTip);
+
+    // Calculate angles between segments (dot product of normalized vectors)
+    // Values close to 1 mean segments are aligned (straight finger)
+    // Values close to 0 or negative mean segments are at an angle (bent finger)
+    const alignmentMcpPip = dotProduct(wristToMcpNorm, mcpToPipNorm);
+    const alignmentPipDip = dotProduct(mcpToPipNorm, pipToDipNorm);
+    const alignmentDipTip = dotProduct(pipToDipNorm, dipToTipNorm);
+
+    // COMBINED DECISION
+    // Different thresholds for index finger vs. other fingers
+    // Index finger is considered extended more liberally
+    if (fingerIndex === 1) {
+      // METHOD 3: Position-based method specially for index finger
+      // In certain hand orientations, the above methods can be unreliable,
+      // so check if the index tip is clearly separated from the middle tip
+      const middleTip = landmarks[12]; // Middle finger tip
+      const indexToMiddleDist = distance3D(tip, middleTip);
+      const mcpToMiddleDist = distance3D(mcp, middleTip);
+
+      // For index finger: looser criteria because pointing is important
+      return anyOf([
+        // Distance method - extended
+        testAbove(distanceRatio, this.thresholds.indexExtensionRatio, FINGER_RATIO_RANGE),
+        // Alignment method - somewhat straight
+        allOf([
+          testAbove(alignmentMcpPip, 0.5, FINGER_ALIGNMENT_RANGE),
+          testAbove(alignmentPipDip, 0.5, FINGER_ALIGNMENT_RANGE)
+        ]),
+        // Separation method - clearly separated
+        testAbove(indexToMiddleDist / mcpToMiddleDist, 0.7, FINGER_SEPARATION_RANGE)
+      ]);
+    } else {
+      // For other fingers: stricter criteria
+      return allOf([
+        // Distance method - clearly extended
+        testAbove(distanceRatio, this.thresholds.fingerExtensionRatio, FINGER_RATIO_RANGE),
+        // Alignment method - very straight
+        testAbove(alignmentMcpPip, 0.7, FINGER_ALIGNMENT_RANGE),
+        testAbove(alignmentPipDip, 0.7, FINGER_ALIGNMENT_RANGE)
+      ]);
+    }
+  }
+
+  /**
+   * Thumb extension detection
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @returns {Boolean} - True if the thumb is extended
+   */
+  isThumbExtended(landmarks) {
+    return this.measureThumbExtension(landmarks).passed;
+  }
+
+  /**
+   * Test whether the thumb is extended, keeping how clear the result was
+   * @param {Array} landmarks - Hand landmarks from MediaPipe
+   * @returns {Object} - { passed (extended), margin (0 borderline - 1 clear) }
+   */
+  measureThumbExtension(landmarks) {
+    const thumbMcp = landmarks[2];
+    const thumbIp = landmarks[3];
+    const thumbTip = landmarks[4];
+    const pinkyMcp = landmarks[17];
+
+    // METHOD 1: Distance-based approach
+    // A thumb folded across the palm brings its tip closer to the pinky side
+    // of the hand than its IP joint; an extended thumb reaches away from it
+    const tipToPinkyDist = distance3D(thumbTip, pinkyMcp);
+    const ipToPinkyDist = distance3D(thumbIp, pinkyMcp);
+    const distanceRatio = tipToPinkyDist / ipToPinkyDist;
+
+    // METHOD 2: Straightness-based approach
+    // The last two thumb segments line up when the thumb is extended
+    const mcpToIpNorm = normalizeVector(vectorBetween(thumbMcp, thumbIp));
+    const ipToTipNorm = normalizeVector(vectorBetween(thumbIp, thumbTip));
+    const alignmentIpTip = dotProduct(mcpToIpNorm, ipToTipNorm);
+
+    return allOf([
+      testAbove(distanceRatio, this.thresholds.thumbExtensionRatio, FINGER_RATIO_RANGE),
+      testAbove(alignmentIpTip, 0.6, FINGER_ALIGNMENT_RANGE)
+    ]);
+  }
+}
+
+export default GestureEngine;
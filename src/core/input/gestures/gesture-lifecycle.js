@@ -0,0 +1,220 @@
+// src/core/input/gestures/gesture-lifecycle.js
+
+/**
+ * Gesture Lifecycle
+ * Follows each hand's held static gesture (point, open, grab, pinch) from
+ * the frame it appears to the frame it goes away, so consumers can tell a
+ * gesture that is still held from one that was made again:
+ *
+ *   gesturestart  - the hand started the gesture
+ *   gestureupdate - every frame the gesture is still held, with its current
+ *                   position, and strength (pinch) or direction (point)
+ *   gesturehold   - the gesture has been held for one of the hold durations
+ *   gestureend    - the gesture stopped, with how long it was held
+ *
+ * All events of one held gesture carry the same gesture ID. A gesture
+ * missing for a frame or two (e.g. landmark noise) doesn't end until it has
+ * been gone for the end delay; changing to another gesture ends it at once.
+ */
+import { midpoint, palmCenter } from './geometry.js';
+
+// Event types
+export const GESTURE_EVENTS = {
+  START: 'gesturestart',
+  UPDATE: 'gestureupdate',
+  HOLD: 'gesturehold',
+  END: 'gestureend'
+};
+
+// Gestures with a lifecycle
+export const LIFECYCLE_GESTURES = ['point', 'open', 'grab', 'pinch'];
+
+class GestureLifecycle {
+  /**
+   * @param {Object} options - Resolved input options (see options.js)
+   */
+  constructor(options) {
+    this.nextGestureId = 1;
+    this.setOptions(options);
+    this.resetState();
+  }
+
+  /**
+   * Use new timing options
+   * @param {Object} options - Resolved input options
+   */
+  setOptions(options) {
+    this.holdDurations = [...options.gestureHoldDurations].sort((a, b) => a - b);
+    this.endDelay = options.gestureEndDelay;
+  }
+
+  /**
+   * Forget all held gestures without ending them (see endAll)
+   */
+  resetState() {
+    // Per hand, by hand ID: { gestureId, name, handId, handedness,
+    // startTime, lastSeenTime, holdsReached, details }
+    this.active = {};
+  }
+
+  /**
+   * Follow a hand's gesture in a new frame
+   * @param {String} handId - Persistent hand ID
+   * @param {String} handedness - 'Left' or 'Right'
+   * @param {Object|null} gesture - Static gesture detected in the frame
+   * @param {Array} landmarks - Hand landmarks
+   * @param {Number} now - Time of the frame (ms)
+   * @param {Function} notify - Called with each event
+   */
+  update(handId, handedness, gesture, landmarks, now, notify) {
+    const tracked = gesture && LIFECYCLE_GESTURES.includes(gesture.name) ? gesture : null;
+    let current = this.active[handId];
+
+    // Still held
+    if (current && tracked && tracked.name === current.name) {
+      current.handedness = handedness;
+      current.lastSeenTime = now;
+      current.details = this.getDetails(tracked, landmarks);
+
+      notify(this.createEvent(GESTURE_EVENTS.UPDATE, current, now));
+      this.checkHolds(current, now, notify);
+      return;
+    }
+
+    // Changed to another gesture, or gone for longer than the end delay
+    if (current && (tracked || now - current.lastSeenTime > this.endDelay)) {
+      this.end(handId, notify);
+      current = null;
+    }
+
+    if (tracked && !current) {
+      current = {
+        gestureId: this.nextGestureId++,
+        name: tracked.name,
+        handId,
+        handedness,
+        startTime: now,
+        lastSeenTime: now,
+        holdsReached: 0,
+        details: this.getDetails(tracked, landmarks)
+      };
+      this.active[handId] = current;
+
+      notify(this.createEvent(GESTURE_EVENTS.START, current, now));
+    }
+  }
+
+  /**
+   * End the gestures of hands that are no longer in view
+   * @param {Array} handIds - IDs of the hands in the frame
+   * @param {Number} now - Time of the frame (ms)
+   * @param {Function} notify - Called with each event
+   */
+  endMissingHands(handIds, now, notify) {
+    Object.values(this.active)
+      .filter(current => !handIds.includes(current.handId) &&
+        now - current.lastSeenTime > this.endDelay)
+      .forEach(current => this.end(current.handId, notify));
+  }
+
+  /**
+   * End every held gesture, e.g. when tracking stops
+   * @param {Function} notify - Called with each event
+   */
+  endAll(notify) {
+    Object.keys(this.active).forEach(handId => this.end(handId, notify));
+  }
+
+  /**
+   * End a hand's gesture. It ends when it was last seen.
+   * @param {String} handId - Persistent hand ID
+   * @param {Function} notify - Called with the end event
+   */
+  end(handId, notify) {
+    const current = this.active[handId];
+    if (!current) return;
+
+    delete this.active[handId];
+    notify(this.createEvent(GESTURE_EVENTS.END, current, current.lastSeenTime));
+  }
+
+  /**
+   * Send a hold event for each hold duration reached since the last frame
+   * @param {Object} current - Held gesture state
+   * @param {Number} now - Time of the frame (ms)
+   * @param {Function} notify - Called with each event
+   */
+  checkHolds(current, now, notify) {
+    while (current.holdsReached < this.holdDurations.length &&
+           now - current.startTime >= this.holdDurations[current.holdsReached]) {
+      const holdDuration = this.holdDurations[current.holdsReached];
+      current.holdsReached++;
+      notify(this.createEvent(GESTURE_EVENTS.HOLD, current, now, { holdDuration }));
+    }
+  }
+
+  /**
+   * Get what changes while a gesture is held
+   * @param {Object} gesture - Detected gesture
+   * @param {Array} landmarks - Hand landmarks
+   * @returns {Object} - { position, confidence } and the gesture's strength
+   *   (pinch) or direction and vector (point)
+   */
+  getDetails(gesture, landmarks) {
+    const details = {
+      position: this.getPosition(gesture.name, landmarks),
+      confidence: gesture.confidence
+    };
+
+    if (gesture.name === 'pinch') {
+      details.strength = gesture.strength;
+    } else if (gesture.name === 'point') {
+      details.direction = gesture.direction;
+      details.vector = gesture.vector;
+    }
+
+    return details;
+  }
+
+  /**
+   * Get where a gesture is: between the pinching fingertips, at the
+   * pointing fingertip, or at the centre of the palm
+   * @param {String} name - Gesture name
+   * @param {Array} landmarks - Hand landmarks
+   * @returns {Object} - Point with normalized x,y,z coordinates
+   */
+  getPosition(name, landmarks) {
+    if (name === 'pinch') return midpoint(landmarks[4], landmarks[8]);
+    if (name === 'point') {
+      const { x, y, z } = landmarks[8];
+      return { x, y, z };
+    }
+    return palmCenter(landmarks);
+  }
+
+  /**
+   * Build an event
+   * @param {String} type - One of GESTURE_EVENTS
+   * @param {Object} current - Held gesture state
+   * @param {Number} timestamp - Time of the event (ms)
+   * @param {Object} [extra] - Extra event fields
+   * @returns {Object} - { type, gestureId, name, handId, handedness,
+   *   startTime, timestamp, duration, ...details }
+   */
+  createEvent(type, current, timestamp, extra = {}) {
+    return {
+      type,
+      gestureId: current.gestureId,
+      name: current.name,
+      handId: current.handId,
+      handedness: current.handedness,
+      startTime: current.startTime,
+      timestamp,
+      duration: timestamp - current.startTime,
+      ...current.details,
+      ...extra
+    };
+  }
+}
+
+export default GestureLifecycle;
@@ -0,0 +1,98 @@
+// src/core/input/gestures/hand-orientation.js
+
+/**
+ * Hand Orientation
+ * How a hand is turned, measured from the plane through the wrist and the
+ * bases of the index and pinky fingers:
+ *
+ *   normal     - unit vector out of the palm
+ *   roll       - turn around the camera's axis, like turning a key held
+ *                towards the camera: 0 with the fingers' bases level, positive
+ *                turning clockwise in the camera picture (degrees, -180 to
+ *                180). An upright hand showing its back reads as ±180.
+ *   pitch      - fingers tipped towards (positive) or away from (negative)
+ *                the camera (degrees, -90 to 90)
+ *   yaw        - palm turned sideways around the fingers: 0 facing the
+ *                camera, ±180 showing the back of the hand (degrees)
+ *   palmFacing - the palm faces the camera
+ *
+ * MediaPipe labels handedness as if the picture were mirrored, so the palm's
+ * side of the plane depends on the handedness label. Depth is MediaPipe's
+ * estimate, so the angles are approximate.
+ */
+import { vectorBetween, normalizeVector } from './geometry.js';
+
+// Smallest share of the palm normal pointing at the camera for palmFacing
+// (0.5 is within 60 degrees of facing it straight on)
+const PALM_FACING_MIN = 0.5;
+
+/**
+ * Calculate the cross product of two vectors
+ * @param {Object} a - First vector with x,y,z components
+ * @param {Object} b - Second vector with x,y,z components
+ * @returns {Object} - Vector perpendicular to both
+ */
+function crossProduct(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+/**
+ * Convert radians to degrees
+ * @param {Number} radians - Angle in radians
+ * @returns {Number} - Angle in degrees
+ */
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+/**
+ * Measure how a hand is turned
+ * @param {Array} landmarks - Hand landmarks
+ * @param {String} handedness - 'Left' or 'Right', as labelled by MediaPipe
+ * @returns {Object} - { normal, roll, pitch, yaw, palmFacing }
+ */
+export function getHandOrientation(landmarks, handedness) {
+  const wrist = landmarks[0];
+
+  // Towards the fingers, and across the knuckles from thumb side to pinky side
+  const up = normalizeVector(vectorBetween(wrist, landmarks[9]));
+  let across = normalizeVector(vectorBetween(landmarks[5], landmarks[17]));
+
+  // MediaPipe's 'Left' is the user's right hand in the unmirrored camera
+  // picture, whose knuckles run the other way with the palm towards it
+  if (handedness === 'Left') {
+    across = { x: -across.x, y: -across.y, z: -across.z };
+  }
+
+  // Out of the palm; the camera looks along +z, so facing it is -z
+  const normal = normalizeVector(crossProduct(across, up));
+
+  return {
+    normal,
+    roll: toDegrees(Math.atan2(across.y, across.x)),
+    pitch: toDegrees(Math.atan2(-up.z, Math.hypot(up.x, up.y))),
+    yaw: toDegrees(Math.atan2(normal.x, -normal.z)),
+    palmFacing: -normal.z >= PALM_FACING_MIN
+  };
+}
+
+/**
+ * Add each hand's orientation to a frame of results
+ * @param {Object} results - Results in the MediaPipe Hands shape
+ * @returns {Object} - Copy of the results with a multiHandOrientations array
+ *   in the same order as multiHandLandmarks
+ */
+export function addHandOrientations(results) {
+  const { multiHandLandmarks = [], multiHandedness = [] } = results;
+
+  return {
+    ...results,
+    multiHandOrientations: multiHandLandmarks.map((landmarks, handIndex) => (
+      getHandOrientation(landmarks, multiHandedness[handIndex].label)
+    ))
+  };
+}
@@ -0,0 +1,80 @@
+// src/core/input/gestures/shape-templates.js
+
+/**
+ * Shape Templates
+ * Template strokes for the shapes children trace in the air, in the form
+ * StrokeMatcher takes. The matcher doesn't care where a stroke starts on a
+ * closed shape's corner or how it is turned, but does care about drawing
+ * direction, so each shape is listed both ways round, and polygons also
+ * from the middle of a side.
+ */
+
+// Shapes that can be recognized
+export const SHAPE_NAMES = ['circle', 'triangle', 'square', 'star', 'line', 'zigzag'];
+
+/**
+ * Points around a regular polygon, starting at the top, clockwise on screen
+ * @param {Number} corners - Number of corners
+ * @param {Number} [step=1] - Corners to advance each time (2 draws a star from 5)
+ * @returns {Array} - Corner points, back to the start
+ */
+function polygon(corners, step = 1) {
+  const points = [];
+  for (let i = 0; i <= corners; i++) {
+    const angle = -Math.PI / 2 + (2 * Math.PI * i * step) / corners;
+    points.push({ x: Math.cos(angle), y: Math.sin(angle) });
+  }
+  return points;
+}
+
+/**
+ * The same closed outline started halfway along its first side
+ * @param {Array} points - Closed outline (last point repeats the first)
+ * @returns {Array} - Outline from the middle of the first side, round to it again
+ */
+function fromMidSide(points) {
+  const middle = {
+    x: (points[0].x + points[1].x) / 2,
+    y: (points[0].y + points[1].y) / 2
+  };
+  return [middle, ...points.slice(1), middle];
+}
+
+/**
+ * A stroke and the same stroke drawn the other way
+ * @param {Array} points - Stroke points
+ * @returns {Array} - Both strokes
+ */
+function bothWays(points) {
+  return [points, [...points].reverse()];
+}
+
+/**
+ * A zigzag going up and down, left to right
+ * @param {Number} segments - Number of straight segments
+ * @returns {Array} - Zigzag points
+ */
+function zigzag(segments) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    points.push({ x: i, y: i % 2 === 0 ? 0 : 1 });
+  }
+  return points;
+}
+
+// Closed shapes drawn from a corner and from the middle of a side
+const triangle = polygon(3);
+const square = polygon(4).map(({ x, y }) => ({ x: x - y, y: x + y })); // Turned to sit on a side
+
+export const SHAPE_TEMPLATES = {
+  circle: bothWays(polygon(32)),
+  triangle: [...bothWays(triangle), ...bothWays(fromMidSide(triangle))],
+  square: [...bothWays(square), ...bothWays(fromMidSide(square))],
+  star: bothWays(polygon(5, 2)),
+  line: [[{ x: 0, y: 0 }, { x: 1, y: 0 }]],
+  // Four to six segments, starting upwards or downwards
+  zigzag: [4, 5, 6].flatMap(segments => [
+    ...bothWays(zigzag(segments)),
+    ...bothWays(zigzag(segments).map(({ x, y }) => ({ x, y: 1 - y })))
+  ])
+};
@@ -0,0 +1,265 @@
+// src/core/input/gestures/stroke-matcher.js
+
+/**
+ * Stroke Matcher
+ * Matches a drawn stroke against template strokes with the $1 unistroke
+ * recognizer (Wobbrock, Wilson and Li, 2007). Strokes are resampled to the
+ * same number of evenly spaced points, turned so the line from their centre
+ * to their first point is level, scaled into a square and centred, which
+ * makes matching independent of where, how large and at what angle a shape
+ * was drawn. The match is the template with the smallest average distance
+ * between corresponding points, after a fine search over the angle.
+ *
+ * Points are plain objects with x and y. Stroke direction matters, so a
+ * template should be added once for each way a shape may be drawn.
+ */
+import { distance2D } from './geometry.js';
+
+// Points every stroke is resampled to
+export const RESAMPLE_POINTS = 64;
+
+// Side of the square strokes are scaled into
+const SQUARE_SIZE = 250;
+
+// A stroke this much narrower than it is long is treated as one-dimensional
+// (a line) and scaled uniformly, so it isn't stretched into a square
+const ONE_DIMENSIONAL_RATIO = 0.3;
+
+// Angle search around the indicative angle (radians)
+const ANGLE_RANGE = Math.PI / 4;
+const ANGLE_PRECISION = Math.PI / 90;
+const GOLDEN_RATIO = 0.5 * (Math.sqrt(5) - 1);
+
+// Average point distance that scores 0
+const HALF_DIAGONAL = 0.5 * Math.sqrt(2 * SQUARE_SIZE * SQUARE_SIZE);
+
+/**
+ * Calculate the length of a stroke
+ * @param {Array} points - Stroke points
+ * @returns {Number} - Sum of the distances between consecutive points
+ */
+export function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distance2D(points[i - 1], points[i]);
+  }
+  return length;
+}
+
+/**
+ * Calculate the centre of a stroke's points
+ * @param {Array} points - Stroke points
+ * @returns {Object} - Point with x,y coordinates
+ */
+export function centroid(points) {
+  const sum = points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+/**
+ * Resample a stroke to evenly spaced points along its path
+ * @param {Array} points - Stroke points (at least one)
+ * @param {Number} [count] - Number of points to return
+ * @returns {Array} - New points with x,y coordinates
+ */
+export function resample(points, count = RESAMPLE_POINTS) {
+  const interval = pathLength(points) / (count - 1);
+  const source = points.map(({ x, y }) => ({ x, y }));
+  const resampled = [source[0]];
+
+  // Carry the distance covered since the last new point across segments
+  let covered = 0;
+  for (let i = 1; i < source.length; i++) {
+    const segment = distance2D(source[i - 1], source[i]);
+
+    if (interval > 0 && covered + segment >= interval) {
+      const t = (interval - covered) / segment;
+      const point = {
+        x: source[i - 1].x + t * (source[i].x - source[i - 1].x),
+        y: source[i - 1].y + t * (source[i].y - source[i - 1].y)
+      };
+      resampled.push(point);
+
+      // The new point starts the rest of this segment
+      source.splice(i, 0, point);
+      covered = 0;
+    } else {
+      covered += segment;
+    }
+  }
+
+  // Rounding can leave the last point out
+  while (resampled.length < count) {
+    const { x, y } = source[source.length - 1];
+    resampled.push({ x, y });
+  }
+
+  return resampled.slice(0, count);
+}
+
+/**
+ * Rotate points around their centre
+ * @param {Array} points - Points with x,y coordinates
+ * @param {Number} angle - Angle (radians)
+ * @returns {Array} - Rotated points
+ */
+function rotateBy(points, angle) {
+  const center = centroid(points);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return points.map(point => ({
+    x: (point.x - center.x) * cos - (point.y - center.y) * sin + center.x,
+    y: (point.x - center.x) * sin + (point.y - center.y) * cos + center.y
+  }));
+}
+
+/**
+ * Scale points into the matching square, keeping the proportions of
+ * one-dimensional strokes
+ * @param {Array} points - Points with x,y coordinates
+ * @returns {Array} - Scaled points
+ */
+function scaleToSquare(points) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const width = Math.max(...xs) - Math.min(...xs);
+  const height = Math.max(...ys) - Math.min(...ys);
+  const longest = Math.max(width, height) || 1;
+
+  const isOneDimensional = Math.min(width, height) / longest < ONE_DIMENSIONAL_RATIO;
+  const scaleX = SQUARE_SIZE / (isOneDimensional ? longest : width);
+  const scaleY = SQUARE_SIZE / (isOneDimensional ? longest : height);
+
+  return points.map(point => ({ x: point.x * scaleX, y: point.y * scaleY }));
+}
+
+/**
+ * Move points so their centre is at the origin
+ * @param {Array} points - Points with x,y coordinates
+ * @returns {Array} - Moved points
+ */
+function translateToOrigin(points) {
+  const center = centroid(points);
+  return points.map(point => ({ x: point.x - center.x, y: point.y - center.y }));
+}
+
+/**
+ * Bring a stroke into the form strokes are compared in
+ * @param {Array} points - Stroke points
+ * @returns {Array} - Resampled, rotated, scaled and centred points
+ */
+export function normalizeStroke(points) {
+  const resampled = resample(points);
+  const center = centroid(resampled);
+  const indicativeAngle = Math.atan2(center.y - resampled[0].y, center.x - resampled[0].x);
+
+  return translateToOrigin(scaleToSquare(rotateBy(resampled, -indicativeAngle)));
+}
+
+/**
+ * Average distance between corresponding points of two normalized strokes
+ * @param {Array} a - Normalized points
+ * @param {Array} b - Normalized points
+ * @returns {Number} - Average distance
+ */
+function pathDistance(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += distance2D(a[i], b[i]);
+  }
+  return total / a.length;
+}
+
+/**
+ * Distance between a stroke and a template at the angle where they match best
+ * @param {Array} points - Normalized stroke points
+ * @param {Array} template - Normalized template points
+ * @returns {Number} - Smallest average distance
+ */
+function distanceAtBestAngle(points, template) {
+  let from = -ANGLE_RANGE;
+  let to = ANGLE_RANGE;
+
+  // Golden section search
+  let x1 = GOLDEN_RATIO * from + (1 - GOLDEN_RATIO) * to;
+  let f1 = pathDistance(rotateBy(points, x1), template);
+  let x2 = (1 - GOLDEN_RATIO) * from + GOLDEN_RATIO * to;
+  let f2 = pathDistance(rotateBy(points, x2), template);
+
+  while (Math.abs(to - from) > ANGLE_PRECISION) {
+    if (f1 < f2) {
+      to = x2;
+      x2 = x1;
+      f2 = f1;
+      x1 = GOLDEN_RATIO * from + (1 - GOLDEN_RATIO) * to;
+      f1 = pathDistance(rotateBy(points, x1), template);
+    } else {
+      from = x1;
+      x1 = x2;
+      f1 = f2;
+      x2 = (1 - GOLDEN_RATIO) * from + GOLDEN_RATIO * to;
+      f2 = pathDistance(rotateBy(points, x2), template);
+    }
+  }
+
+  return Math.min(f1, f2);
+}
+
+class StrokeMatcher {
+  /**
+   * @param {Object} [templates] - Template name to an array of strokes, each
+   *   an array of points; several strokes per name cover the ways it may be drawn
+   */
+  constructor(templates = {}) {
+    // { name, points } with normalized points
+    this.templates = [];
+
+    Object.entries(templates).forEach(([name, strokes]) => {
+      strokes.forEach(points => this.addTemplate(name, points));
+    });
+  }
+
+  /**
+   * Add a template stroke
+   * @param {String} name - Name reported when a stroke matches it
+   * @param {Array} points - Template points with x,y coordinates
+   */
+  addTemplate(name, points) {
+    if (!Array.isArray(points) || points.length < 2) {
+      throw new Error(`Template '${name}' needs at least two points`);
+    }
+    this.templates.push({ name, points: normalizeStroke(points) });
+  }
+
+  /**
+   * Find the template a stroke matches best
+   * @param {Array} points - Stroke points with x,y coordinates
+   * @param {Array} [names] - Only consider templates with these names
+   * @returns {Object|null} - { name, score } with score from 0 to 1 (a
+   *   perfect match), or null without templates to match
+   */
+  recognize(points, names) {
+    const candidates = names
+      ? this.templates.filter(template => names.includes(template.name))
+      : this.templates;
+    if (candidates.length === 0 || points.length < 2) return null;
+
+    const normalized = normalizeStroke(points);
+
+    let best = null;
+    candidates.forEach(template => {
+      const distance = distanceAtBestAngle(normalized, template.points);
+      if (!best || distance < best.distance) {
+        best = { name: template.name, distance };
+      }
+    });
+
+    return {
+      name: best.name,
+      score: Math.max(0, 1 - best.distance / HALF_DIAGONAL)
+    };
+  }
+}
+
+export default StrokeMatcher;
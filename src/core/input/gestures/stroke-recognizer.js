@@ -0,0 +1,104 @@
+// src/core/input/gestures/stroke-recognizer.js
+
+/**
+ * Stroke Recognizer
+ * Lets children draw shapes in the air. A stroke starts when a hand starts
+ * pointing or pinching, follows the fingertip (or the pinch point) while the
+ * gesture is held, and ends when it is released. The finished stroke is
+ * matched against the shape templates and reported as a `shape` gesture:
+ *
+ *   { name: 'shape', shape: 'circle', score, confidence, path, duration, strokeGesture }
+ *
+ * `path` is the stroke resampled to evenly spaced points, in normalized
+ * camera coordinates, for drawing what was traced.
+ */
+import StrokeMatcher, { pathLength, resample } from './stroke-matcher.js';
+import { SHAPE_TEMPLATES } from './shape-templates.js';
+
+class StrokeRecognizer {
+  /**
+   * @param {Object} options - Resolved input options (see options.js)
+   */
+  constructor(options) {
+    this.matcher = new StrokeMatcher(SHAPE_TEMPLATES);
+    this.setOptions(options);
+    this.resetState();
+  }
+
+  /**
+   * Use new stroke options
+   * @param {Object} options - Resolved input options
+   */
+  setOptions(options) {
+    this.strokeGestures = options.strokeGestures;
+    this.minLength = options.shapeMinLength;
+    this.minScore = options.shapeMinScore;
+  }
+
+  /**
+   * Drop the strokes being drawn
+   */
+  resetState() {
+    // Per gesture ID: { gesture, points }
+    this.strokes = {};
+  }
+
+  /**
+   * Follow a gesture lifecycle event
+   * @param {Object} event - Event from GestureLifecycle
+   * @param {Function} notify - Called with a recognized shape gesture
+   */
+  handleGestureEvent(event, notify) {
+    if (!this.strokeGestures.includes(event.name)) return;
+
+    switch (event.type) {
+      case 'gesturestart':
+        this.strokes[event.gestureId] = { gesture: event.name, points: [event.position] };
+        break;
+
+      case 'gestureupdate': {
+        const stroke = this.strokes[event.gestureId];
+        if (stroke) stroke.points.push(event.position);
+        break;
+      }
+
+      case 'gestureend': {
+        const stroke = this.strokes[event.gestureId];
+        if (!stroke) return;
+
+        delete this.strokes[event.gestureId];
+        const shape = this.recognize(stroke.points);
+        if (shape) {
+          notify({ ...shape, duration: event.duration, strokeGesture: stroke.gesture });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Match a finished stroke against the shapes
+   * @param {Array} points - Stroke points in normalized camera coordinates
+   * @returns {Object|null} - Shape gesture without its timing, or null if the
+   *   stroke is too short or matches no shape well enough
+   */
+  recognize(points) {
+    if (pathLength(points) < this.minLength) return null;
+
+    const match = this.matcher.recognize(points);
+    if (!match || match.score < this.minScore) return null;
+
+    return {
+      name: 'shape',
+      shape: match.name,
+      score: match.score,
+      confidence: match.score,
+      path: resample(points)
+    };
+  }
+}
+
+export default StrokeRecognizer;
@@ -0,0 +1,26 @@
+// src/core/input/gestures/thresholds.js
+
+/**
+ * Detector Thresholds
+ * Default values for the distance and ratio thresholds used by the gesture
+ * detectors. They are tuned for adult hands; a calibration profile replaces
+ * them with values measured for a particular child.
+ */
+export const DEFAULT_THRESHOLDS = {
+  // How close thumb and index need to be to detect pinch
+  pinchDistance: 0.05,
+  // How much further apart they must move to release the pinch
+  pinchRelease: 0.02,
+  // Minimum horizontal wrist movement counted as a wave stroke
+  waveDelta: 0.03,
+  // Minimum wrist displacement for a swipe
+  swipeDistance: 0.15,
+  // Minimum wrist velocity for a swipe (units per second)
+  swipeVelocity: 0.5,
+  // Tip-to-wrist / base-to-wrist ratio above which the index finger is extended
+  indexExtensionRatio: 1.1,
+  // The same ratio for the middle, ring and pinky fingers
+  fingerExtensionRatio: 1.2,
+  // Tip-to-pinky-base / IP-to-pinky-base ratio above which the thumb is extended
+  thumbExtensionRatio: 1.1
+};
@@ -0,0 +1,189 @@
+// src/core/input/gestures/two-hand-detector.js
+
+/**
+ * Two-Hand Detector
+ * Detects gestures that need both hands at once: clap, stretch and
+ * hands-together. Distances are measured in palm sizes so the same
+ * thresholds work for small and large hands and at any camera distance.
+ */
+import { distance3D, palmCenter } from './geometry.js';
+import { testAbove, allOf, marginToConfidence } from './confidence.js';
+
+class TwoHandDetector {
+  constructor() {
+    this.resetState();
+  }
+
+  /**
+   * Reset all two-hand detection state
+   */
+  resetState() {
+    // Recent palm separations for clap detection
+    this.separationHistory = [];
+    this.lastClapTime = 0;
+
+    // For hands-together detection
+    this.togetherStartTime = null;
+    this.lastTogetherTime = 0;
+
+    // For stretch detection
+    this.stretchBaseline = null;
+    this.lastStretchScale = 1;
+  }
+
+  /**
+   * Run two-hand detection on a pair of hands
+   * @param {Array} landmarksA - Landmarks of the first hand
+   * @param {Array} landmarksB - Landmarks of the second hand
+   * @param {Number} now - Time of the frame (ms)
+   * @param {Function} notify - Called with each detected gesture
+   * @param {Number} [handScore=1] - Product of both hands' handedness scores;
+   *   gesture confidences are scaled by it
+   */
+  detect(landmarksA, landmarksB, now, notify, handScore = 1) {
+    // Palm size (wrist to middle finger base) as the unit of distance
+    const palmSize = (distance3D(landmarksA[0], landmarksA[9]) +
+                      distance3D(landmarksB[0], landmarksB[9])) / 2;
+    if (palmSize === 0) return;
+
+    const separation = distance3D(
+      this.getPalmCenter(landmarksA),
+      this.getPalmCenter(landmarksB)
+    ) / palmSize;
+
+    this.separationHistory.push({ separation, time: now });
+
+    // Keep only recent separations (last 0.3 seconds)
+    while (this.separationHistory.length > 0 &&
+           now - this.separationHistory[0].time > 300) {
+      this.separationHistory.shift();
+    }
+
+    this.detectClap(separation, now, notify, handScore);
+    this.detectHandsTogether(separation, now, notify, handScore);
+    this.detectStretch(separation, notify, handScore);
+  }
+
+  /**
+   * Detect palms meeting quickly
+   * @param {Number} separation - Current palm separation in palm sizes
+   * @param {Number} now - Current time
+   * @param {Function} notify - Called with the detected gesture
+   * @param {Number} handScore - Scale for the confidence
+   */
+  detectClap(separation, now, notify, handScore) {
+    const CLAP_CONTACT_DISTANCE = 1.0; // Palms closer than one palm size count as touching
+    const CLAP_APPROACH_DISTANCE = 1.5; // How far the palms must close within the window
+    const CLAP_MIN_SPEED = 5; // Closing speed needed, in palm sizes per second
+    const CLAP_APPROACH_RANGE = 1.0; // Extra closing distance for a certain clap
+    const CLAP_SPEED_RANGE = 5; // Extra speed for a certain clap
+
+    // Cooldown so one clap isn't reported on consecutive frames
+    if (now - this.lastClapTime < 500) return;
+
+    if (separation > CLAP_CONTACT_DISTANCE) return;
+
+    // The hands must have been well apart a moment ago
+    const widest = Math.max(...this.separationHistory.map(entry => entry.separation));
+    const approach = widest - separation;
+
+    const oldest = this.separationHistory[0];
+    const timeDiff = (now - oldest.time) / 1000; // in seconds
+    const speed = timeDiff > 0 ? approach / timeDiff : 0;
+
+    const result = allOf([
+      testAbove(approach, CLAP_APPROACH_DISTANCE, CLAP_APPROACH_RANGE),
+      testAbove(speed, CLAP_MIN_SPEED, CLAP_SPEED_RANGE)
+    ]);
+    if (!result.passed) return;
+
+    notify({
+      name: 'clap',
+      speed,
+      confidence: marginToConfidence(result.margin) * handScore
+    });
+
+    this.lastClapTime = now;
+  }
+
+  /**
+   * Detect both hands held together
+   * @param {Number} separation - Current palm separation in palm sizes
+   * @param {Number} now - Current time
+   * @param {Function} notify - Called with the detected gesture
+   * @param {Number} handScore - Scale for the confidence
+   */
+  detectHandsTogether(separation, now, notify, handScore) {
+    const TOGETHER_DISTANCE = 1.2; // Palms within this many palm sizes are together
+    const TOGETHER_HOLD_TIME = 500; // How long they must stay together
+    const TOGETHER_RANGE = 0.6; // How much closer for certainly together
+
+    if (separation > TOGETHER_DISTANCE) {
+      this.togetherStartTime = null;
+      return;
+    }
+
+    if (this.togetherStartTime === null) {
+      this.togetherStartTime = now;
+    }
+
+    const duration = now - this.togetherStartTime;
+
+    // Report once held, then every 500ms while still held
+    if (duration >= TOGETHER_HOLD_TIME && now - this.lastTogetherTime > 500) {
+      const result = testAbove(TOGETHER_DISTANCE - separation, 0, TOGETHER_RANGE);
+      notify({
+        name: 'hands-together',
+        duration,
+        confidence: marginToConfidence(result.margin) * handScore
+      });
+      this.lastTogetherTime = now;
+    }
+  }
+
+  /**
+   * Detect hands moving apart or together. The scale is relative to the
+   * separation when both hands first appeared.
+   * @param {Number} separation - Current palm separation in palm sizes
+   * @param {Function} notify - Called with the detected gesture
+   * @param {Number} handScore - Scale for the confidence
+   */
+  detectStretch(separation, notify, handScore) {
+    const STRETCH_START_THRESHOLD = 0.1; // Scale change needed before reporting
+    const STRETCH_STEP = 0.05; // Scale change needed between reports
+    const STRETCH_RANGE = 0.3; // Extra scale change for a certain stretch
+
+    if (this.stretchBaseline === null) {
+      this.stretchBaseline = separation;
+      this.lastStretchScale = 1;
+      return;
+    }
+
+    const scale = separation / this.stretchBaseline;
+
+    const result = testAbove(Math.abs(scale - 1), STRETCH_START_THRESHOLD, STRETCH_RANGE);
+    if (!result.passed) return;
+    if (Math.abs(scale - this.lastStretchScale) < STRETCH_STEP) return;
+
+    notify({
+      name: 'stretch',
+      direction: scale > this.lastStretchScale ? 'apart' : 'together',
+      scale,
+      separation,
+      confidence: marginToConfidence(result.margin) * handScore
+    });
+
+    this.lastStretchScale = scale;
+  }
+
+  /**
+   * Calculate the centre of the palm
+   * @param {Array} landmarks - Hand landmarks
+   * @returns {Object} - Point with x,y,z coordinates
+   */
+  getPalmCenter(landmarks) {
+    return palmCenter(landmarks);
+  }
+}
+
+export default TwoHandDetector;
@@ -3,50 +3,258 @@
  * An abstraction layer that handles different input methods through providers.
  * Standardizes interaction between input systems and the rest of the application.
  */
+import CalibrationRoutine from './calibration/calibration-routine.js';
+import HandCursor from './cursor/hand-cursor.js';
+import TargetManager from './targeting/target-manager.js';
+import DragTracker from './manipulation/drag-tracker.js';
+import TraceSession from './tracing/trace-session.js';
+import * as profileStore from './calibration/profile-store.js';
+import LandmarkRecorder, { downloadRecording } from './recording/landmark-recorder.js';
+import { resolveOptions } from './options.js';
+import * as providerRegistry from './provider-registry.js';
+import { listVideoInputDevices, queryCameraPermission } from './camera/camera-access.js';
+
+/**
+ * Lifecycle states of an InputManager:
+ * loading -> ready -> starting -> tracking -> stopping -> ready,
+ * failed when no provider could be loaded, disposed after dispose()
+ */
+export const INPUT_STATES = {
+  LOADING: 'loading',
+  READY: 'ready',
+  STARTING: 'starting',
+  TRACKING: 'tracking',
+  STOPPING: 'stopping',
+  FAILED: 'failed',
+  DISPOSED: 'disposed'
+};
+
 class InputManager {
-  constructor(providerName = 'mediapipe') {
+  /**
+   * Make an input provider available to all input managers
+   *
+   * @example
+   * InputManager.registerProvider('eye-gaze', options => new EyeGazeProvider(options), {
+   *   multiHand: false, depth: false, needsVideo: true
+   * });
+   *
+   * @param {String} name - Name to select the provider by
+   * @param {Function} factory - Called with the input options; returns the
+   *   provider (or a Promise of it), which is then initialized
+   * @param {Object} [capabilities] - { multiHand, depth, needsVideo, needsRecording }
+   */
+  static registerProvider(name, factory, capabilities) {
+    providerRegistry.registerProvider(name, factory, capabilities);
+  }
+
+  /**
+   * List the registered providers
+   * @returns {Array} - { name, capabilities } for each provider
+   */
+  static listProviders() {
+    return providerRegistry.listProviders();
+  }
+
+  /**
+   * @param {String} providerName - Name of a registered provider ('mediapipe',
+   *   'mock', 'pointer', 'replay' or one added with registerProvider)
+   * @param {String|Object} [options] - Input options, or a preset name such as
+   *   'toddler', 'older-child' or 'adult-demo' (see options.js). The
+   *   `fallbackProviders` option lists providers to try, in order, if this
+   *   one fails to load.
+   */
+  constructor(providerName = 'mediapipe', options = {}) {
+    this.options = resolveOptions(options);
+
+    // The requested provider, then its fallbacks
+    const providerChain = [providerName, ...this.options.fallbackProviders]
+      .filter((name, index, chain) => chain.indexOf(name) === index);
+
+    // A misspelt name is a bug, not a reason to fall back
+    providerChain.forEach(name => {
+      if (!providerRegistry.getProvider(name)) {
+        const registered = providerRegistry.listProviders().map(provider => provider.name).join(', ');
+        throw new Error(`Unknown input provider '${name}'. Registered providers: ${registered}`);
+      }
+    });
+
     this.provider = null;
+    this.providerName = null;
     this.isInitialized = false;
+    this.state = INPUT_STATES.LOADING;
+    this.recorder = null;
+    this.stopRecorderUpdates = null;
     this.onReadyCallbacks = [];
-    this.loadProvider(providerName);
+    this.stateChangeCallbacks = [];
+    this.errorCallbacks = [];
+    this.loadProviders(providerChain);
+  }
+
+  /**
+   * Load the first provider in a chain that initializes successfully
+   * @param {Array} providerChain - Provider names, in order of preference
+   * @returns {Promise} - Resolves when a provider is ready or all have failed
+   */
+  async loadProviders(providerChain) {
+    for (let i = 0; i < providerChain.length; i++) {
+      if (await this.loadProvider(providerChain[i])) return;
+
+      // Disposed while loading: nothing left to do
+      if (this.state === INPUT_STATES.DISPOSED) return;
+
+      if (i + 1 < providerChain.length) {
+        console.warn(`Falling back to '${providerChain[i + 1]}' input provider`);
+      }
+    }
+
+    this.setState(INPUT_STATES.FAILED);
   }
 
   /**
-   * Dynamically load an input provider
-   * @param {string} providerName - Name of the provider to load ('mediapipe' or 'mock')
-   * @returns {Promise} - Resolves when the provider is loaded and initialized
+   * Create and initialize a registered input provider
+   * @param {string} providerName - Name of the provider to load
+   * @returns {Promise} - Resolves to true when the provider is loaded and
+   *   initialized, false if it failed
    */
   async loadProvider(providerName) {
-    try {
-      // Dynamic import of the specified provider
-      const module = await import(`./providers/${providerName}.js`);
-      this.provider = new module.default();
+    let provider = null;
 
-      // Initialize the provider
-      await this.provider.initialize();
-      this.isInitialized = true;
+    try {
+      const registration = providerRegistry.getProvider(providerName);
+      if (!registration) {
+        throw new Error(`Unknown input provider '${providerName}'`);
+      }
 
-      // Notify any waiting callbacks that the input manager is ready
-      this.onReadyCallbacks.forEach(callback => callback());
-      this.onReadyCallbacks = [];
+      provider = await registration.factory(this.options);
 
-      console.log(`Input provider '${providerName}' loaded successfully`);
+      // Initialize the provider
+      await provider.initialize();
     } catch (error) {
       console.error(`Failed to load input provider '${providerName}':`, error);
+      this.reportError(providerName, 'load', error);
+      return false;
+    }
 
-      // If MediaPipe fails, try falling back to mock provider
-      if (providerName === 'mediapipe') {
-        console.warn('Falling back to mock input provider');
-        await this.loadProvider('mock');
+    // Disposed while loading: release the provider straight away
+    if (this.state === INPUT_STATES.DISPOSED) {
+      if (provider.dispose) {
+        try {
+          await provider.dispose();
+        } catch (error) {
+          console.error(`Error disposing input provider '${providerName}':`, error);
+          this.reportError(providerName, 'dispose', error);
+        }
       }
+      return false;
+    }
+
+    this.provider = provider;
+    this.providerName = providerName;
+    this.isInitialized = true;
+    this.setState(INPUT_STATES.READY);
+
+    // A replay stops by itself at the end of a recording that doesn't loop
+    if (provider.onPlaybackComplete) {
+      provider.onPlaybackComplete(() => {
+        // Short recordings can end before startTracking has finished
+        if (!provider.isTracking &&
+            (this.state === INPUT_STATES.TRACKING || this.state === INPUT_STATES.STARTING)) {
+          this.setState(INPUT_STATES.READY);
+        }
+      });
+    }
+
+    // Notify any waiting callbacks that the input manager is ready
+    this.onReadyCallbacks.forEach(callback => callback());
+    this.onReadyCallbacks = [];
+
+    console.log(`Input provider '${providerName}' loaded successfully`);
+    return true;
+  }
+
+  /**
+   * Move to a new lifecycle state and notify listeners
+   * @param {String} state - One of INPUT_STATES
+   */
+  setState(state) {
+    const previousState = this.state;
+    if (state === previousState) return;
+
+    this.state = state;
+    this.stateChangeCallbacks.forEach(callback => callback(state, previousState));
+  }
+
+  /**
+   * Notify error listeners
+   * @param {String} providerName - Provider that failed
+   * @param {String} phase - What was being done: 'load', 'start', 'stop',
+   *   'camera' or 'dispose'
+   * @param {Error} error - The error
+   */
+  reportError(providerName, phase, error) {
+    const report = {
+      provider: providerName,
+      phase,
+      message: error && error.message ? error.message : String(error),
+      // Camera errors say why (see CAMERA_ERRORS in camera/camera-access.js)
+      reason: (error && error.reason) || null,
+      error
+    };
+    this.errorCallbacks.forEach(callback => callback(report));
+  }
+
+  /**
+   * Register callback for lifecycle state changes (see INPUT_STATES). Can be
+   * called before the provider is loaded; the current state is in `state`.
+   * @param {Function} callback - Function to call with (state, previousState)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onStateChange(callback) {
+    this.stateChangeCallbacks.push(callback);
+    return () => {
+      this.stateChangeCallbacks = this.stateChangeCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for provider errors: failing to load (each provider
+   * tried, including fallbacks), start, stop, switch camera or dispose. Can
+   * be called before the provider is loaded.
+   * @param {Function} callback - Function to call with { provider, phase,
+   *   message, reason, error }. For camera problems, reason is 'denied',
+   *   'not-found', 'in-use', 'constraints' or 'unsupported'.
+   * @returns {Function} - Function to unregister the callback
+   */
+  onError(callback) {
+    this.errorCallbacks.push(callback);
+    return () => {
+      this.errorCallbacks = this.errorCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Change input options while running. Options are merged into the current
+   * ones; a preset name (or an object with a `preset` key) changes only the
+   * values the preset defines.
+   * @param {String|Object} options - Options to change, or a preset name
+   * @returns {Promise} - Resolves when the provider has applied the options
+   */
+  async updateOptions(options) {
+    this.options = resolveOptions(options, this.options);
+
+    if (this.provider) {
+      await this.provider.updateOptions(this.options);
     }
   }
 
   /**
-   * Register a callback for when the input manager is ready
+   * Register a callback for when the input manager is ready. Not called if
+   * no provider could be loaded; use onError or onStateChange for that.
    * @param {Function} callback - Function to call when ready
    */
   onReady(callback) {
+    if (this.state === INPUT_STATES.DISPOSED) return;
+
     if (this.isInitialized) {
       callback();
     } else {
@@ -58,22 +266,170 @@ class InputManager {
    * Start tracking hand movements
    * @returns {Promise} - Resolves when tracking has started
    */
-  startTracking() {
+  async startTracking() {
     if (!this.isInitialized) {
       throw new Error('Input manager not initialized');
     }
-    return this.provider.startTracking();
+    if (this.state === INPUT_STATES.STARTING || this.state === INPUT_STATES.TRACKING) {
+      return; // Already tracking
+    }
+
+    this.setState(INPUT_STATES.STARTING);
+    try {
+      await this.provider.startTracking();
+    } catch (error) {
+      this.reportError(this.providerName, 'start', error);
+      if (this.state === INPUT_STATES.STARTING) {
+        this.setState(INPUT_STATES.READY);
+      }
+      throw error;
+    }
+
+    // Unless stopped or disposed in the meantime
+    if (this.state === INPUT_STATES.STARTING) {
+      this.setState(INPUT_STATES.TRACKING);
+    }
   }
 
   /**
    * Stop tracking hand movements
    * @returns {Promise} - Resolves when tracking has stopped
    */
-  stopTracking() {
+  async stopTracking() {
     if (!this.isInitialized) {
       throw new Error('Input manager not initialized');
     }
-    return this.provider.stopTracking();
+
+    // Nothing to stop
+    if (this.state !== INPUT_STATES.TRACKING && this.state !== INPUT_STATES.STARTING) {
+      return;
+    }
+
+    this.setState(INPUT_STATES.STOPPING);
+    try {
+      await this.provider.stopTracking();
+    } catch (error) {
+      this.reportError(this.providerName, 'stop', error);
+      throw error;
+    } finally {
+      if (this.state === INPUT_STATES.STOPPING) {
+        this.setState(INPUT_STATES.READY);
+      }
+    }
+  }
+
+  /**
+   * Release everything: stop tracking (turning off the camera), free the
+   * provider's resources and drop all callbacks. The manager can't be used
+   * afterwards.
+   * @returns {Promise} - Resolves when everything is released
+   */
+  async dispose() {
+    if (this.state === INPUT_STATES.DISPOSED) return;
+
+    const provider = this.provider;
+
+    this.isInitialized = false;
+    this.provider = null;
+    this.recorder = null;
+    this.stopRecorderUpdates = null;
+    this.onReadyCallbacks = [];
+    this.setState(INPUT_STATES.DISPOSED);
+    this.stateChangeCallbacks = [];
+
+    if (provider && provider.dispose) {
+      try {
+        await provider.dispose();
+      } catch (error) {
+        console.error(`Error disposing input provider '${this.providerName}':`, error);
+        this.reportError(this.providerName, 'dispose', error);
+      }
+    }
+
+    this.errorCallbacks = [];
+  }
+
+  /**
+   * List the cameras. Labels are empty until camera access has been granted
+   * once, e.g. by starting tracking.
+   * @returns {Promise} - Resolves to an array of { deviceId, groupId, label }
+   */
+  listCameras() {
+    return listVideoInputDevices();
+  }
+
+  /**
+   * Check camera permission without prompting the user
+   * @returns {Promise} - Resolves to 'granted', 'denied', 'prompt' or 'unknown'
+   */
+  getCameraPermission() {
+    return queryCameraPermission();
+  }
+
+  /**
+   * Choose the camera and its resolution and frame rate. Applied straight
+   * away if tracking is running, otherwise when it starts. Settings not
+   * given are kept.
+   * @param {Object} settings - Camera settings
+   * @param {String|null} [settings.deviceId] - deviceId from listCameras(), or null for any
+   * @param {String} [settings.facingMode] - 'user' or 'environment', when no device is chosen
+   * @param {Number|null} [settings.width] - Preferred width (px)
+   * @param {Number|null} [settings.height] - Preferred height (px)
+   * @param {Number|null} [settings.frameRate] - Preferred frame rate (fps)
+   * @returns {Promise} - Resolves when the camera is running with the new
+   *   settings; rejects with an Error whose `reason` says what went wrong
+   */
+  async setCamera(settings) {
+    const optionNames = {
+      deviceId: 'cameraDeviceId',
+      facingMode: 'cameraFacingMode',
+      width: 'cameraWidth',
+      height: 'cameraHeight',
+      frameRate: 'cameraFrameRate'
+    };
+
+    const cameraOptions = {};
+    Object.keys(settings).forEach(key => {
+      if (!optionNames[key]) {
+        throw new Error(`Unknown camera setting '${key}'`);
+      }
+      cameraOptions[optionNames[key]] = settings[key];
+    });
+
+    try {
+      await this.updateOptions(cameraOptions);
+    } catch (error) {
+      this.reportError(this.providerName, 'camera', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the settings the camera is actually running with, which may differ
+   * from the requested ones
+   * @returns {Object|null} - MediaTrackSettings (deviceId, width, height,
+   *   frameRate, ...), or null if the provider uses no camera or it is off
+   */
+  getCameraSettings() {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return this.provider.getCameraSettings ? this.provider.getCameraSettings() : null;
+  }
+
+  /**
+   * Get live hand inference statistics, for showing how well tracking keeps
+   * up on the device
+   * @returns {Object|null} - { fps, targetFps, frameRate, inferenceMs,
+   *   droppedFrames, skippedFrames, modelComplexity, ... } (see
+   *   FrameScheduler.getStats), or null if the provider doesn't schedule
+   *   frames
+   */
+  getFrameStats() {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return this.provider.getFrameStats ? this.provider.getFrameStats() : null;
   }
 
   /**
@@ -88,7 +444,9 @@ class InputManager {
   }
 
   /**
-   * Register callback for hand updates
+   * Register callback for hand updates. Next to MediaPipe's landmarks and
+   * handedness, each frame has multiHandIds and multiHandOrientations
+   * ({ normal, roll, pitch, yaw, palmFacing } per hand, see hand-orientation.js).
    * @param {Function} callback - Function to call with hand data
    * @returns {Function} - Function to unregister the callback
    */
@@ -100,15 +458,238 @@ class InputManager {
   }
 
   /**
-   * Register callback for gesture recognition
+   * Register callback for gesture recognition. A held static gesture is
+   * reported again every gestureRepeatInterval with `repeat: true`.
+   *
+   * @example
+   * // Ignore borderline detections
+   * inputManager.onGestureDetected(handleGesture, { minConfidence: 0.7 });
+   *
    * @param {Function} callback - Function to call with gesture data
+   * @param {Object} [options]
+   * @param {Number} [options.minConfidence=0] - Only report gestures whose
+   *   `confidence` is at least this (0-1). Confidence is 0.5 for a borderline
+   *   detection and near 1 for a clear one, scaled by how sure MediaPipe is
+   *   that it sees a hand.
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureDetected(callback, options) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return this.provider.onGestureDetected(callback, options);
+  }
+
+  /**
+   * Register callback for the lifecycle of held point, open, grab and pinch
+   * gestures. Every event of one held gesture carries the same `gestureId`.
+   *
+   * @example
+   * inputManager.onGestureEvent(event => {
+   *   if (event.name !== 'pinch') return;
+   *   if (event.type === 'gesturestart') pickUp(event.position);
+   *   if (event.type === 'gestureupdate') moveTo(event.position);
+   *   if (event.type === 'gestureend') drop();
+   * });
+   *
+   * @param {Function} callback - Called with { type ('gesturestart',
+   *   'gestureupdate', 'gesturehold' or 'gestureend'), gestureId, name,
+   *   handId, handedness, startTime, timestamp, duration, position,
+   *   confidence }, plus strength for pinch, direction and vector for point,
+   *   and holdDuration for gesturehold. Holds are sent at each of
+   *   gestureHoldDurations; a gesture ends after gestureEndDelay without it.
    * @returns {Function} - Function to unregister the callback
    */
-  onGestureDetected(callback) {
+  onGestureEvent(callback) {
     if (!this.isInitialized) {
       throw new Error('Input manager not initialized');
     }
-    return this.provider.onGestureDetected(callback);
+    return this.provider.onGestureEvent(callback);
+  }
+
+  /**
+   * Register a custom gesture, evaluated next to the built-in gestures and
+   * reported through onGestureDetected with the same payload shape.
+   *
+   * @example
+   * inputManager.registerGesture({
+   *   name: 'peace',
+   *   fingers: { index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' },
+   *   distances: [{ from: 'index', to: 'middle', min: 0.06 }]
+   * });
+   *
+   * @param {Object} definition - Gesture definition
+   * @param {String} definition.name - Name reported in the gesture payload
+   * @param {Object} [definition.fingers] - Finger name to 'extended', 'curled' or 'any'
+   * @param {Array} [definition.distances] - Fingertip distance rules ({ from, to, min, max })
+   * @param {Object} [definition.orientation] - Fingertip direction constraint ({ finger, direction })
+   * @param {Object} [definition.palm] - Hand orientation constraint ({ facing: 'camera' or
+   *   'away', roll, pitch, yaw }), each angle a { min, max } range in degrees
+   * @param {String} [definition.handedness] - Restrict to 'Left' or 'Right'
+   * @returns {Function} - Function to unregister the gesture
+   */
+  registerGesture(definition) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return this.provider.registerGesture(definition);
+  }
+
+  /**
+   * Start recording the frames the provider produces. Frames are captured
+   * before hand tracking and smoothing, so the replay provider can run them
+   * through the full pipeline again.
+   */
+  startRecording() {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    if (this.recorder) {
+      throw new Error('Already recording');
+    }
+
+    this.recorder = new LandmarkRecorder({ provider: this.providerName });
+    this.stopRecorderUpdates = this.provider.onRawResults(
+      (results, timestamp) => this.recorder.addFrame(results, timestamp)
+    );
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object} - The recording, playable by the replay provider
+   */
+  stopRecording() {
+    if (!this.recorder) {
+      throw new Error('Not recording');
+    }
+
+    this.stopRecorderUpdates();
+    const recording = this.recorder.getRecording();
+
+    this.recorder = null;
+    this.stopRecorderUpdates = null;
+    return recording;
+  }
+
+  /**
+   * Save a recording as a JSON file
+   * @param {Object} recording - Recording from stopRecording()
+   * @param {String} [filename] - Name of the downloaded file
+   */
+  downloadRecording(recording, filename) {
+    downloadRecording(recording, filename);
+  }
+
+  /**
+   * Create a guided calibration routine. Tracking must be running.
+   * @param {Object} [options] - Step timing options (see CalibrationRoutine)
+   * @returns {CalibrationRoutine} - Call start() to run it
+   */
+  createCalibration(options) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return new CalibrationRoutine(this, options);
+  }
+
+  /**
+   * Create a screen-space cursor that follows the hands
+   * @param {Object} [options] - Active region, mirroring and smoothing options (see HandCursor)
+   * @returns {HandCursor} - Call start() to begin following hands
+   */
+  createHandCursor(options) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return new HandCursor(this, options);
+  }
+
+  /**
+   * Create a target manager, which selects registered targets by dwelling on
+   * them with the hand cursor, or by pinching or grabbing over them
+   * @param {Object} [options] - Cursor, dwell time and select gesture options (see TargetManager)
+   * @returns {TargetManager} - Call start() to begin following the cursor
+   */
+  createTargetManager(options) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return new TargetManager(this, options);
+  }
+
+  /**
+   * Create a drag tracker, which follows pinches and grabs as drags for
+   * picking things up, moving and dropping or throwing them
+   *
+   * @example
+   * const drags = inputManager.createDragTracker();
+   * drags.onDrag(({ type, screen, speed }) => {
+   *   if (type === 'drag') moveApple(screen.x, screen.y);
+   *   if (type === 'drop') releaseApple(speed > 1500 ? 'throw' : 'drop');
+   * });
+   * drags.start();
+   *
+   * @param {Object} [options] - Cursor, gesture and velocity options (see DragTracker)
+   * @returns {DragTracker} - Call start() to begin following gestures
+   */
+  createDragTracker(options) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return new DragTracker(this, options);
+  }
+
+  /**
+   * Create a tracing session, in which a child traces a letter or digit with
+   * their pointing finger and each stroke is checked for coverage, direction
+   * and order
+   *
+   * @example
+   * const tracing = inputManager.createTraceSession({ glyph: 'B' });
+   * tracing.onComplete(({ accuracy, strokeOrderCorrect }) => celebrate(accuracy));
+   * tracing.start();
+   *
+   * @param {Object} [options] - Glyph, placement and tolerance options (see TraceSession)
+   * @returns {TraceSession} - Call start() to begin following the finger
+   */
+  createTraceSession(options) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    return new TraceSession(this, options);
+  }
+
+  /**
+   * Use a calibration profile's thresholds for gesture detection
+   * @param {Object|null} profile - Calibration profile, or null for the defaults
+   */
+  setCalibrationProfile(profile) {
+    if (!this.isInitialized) {
+      throw new Error('Input manager not initialized');
+    }
+    this.provider.setCalibrationProfile(profile);
+  }
+
+  /**
+   * Save a calibration profile for a child
+   * @param {String} childId - Identifier of the child
+   * @param {Object} profile - Calibration profile
+   */
+  saveCalibrationProfile(childId, profile) {
+    profileStore.saveCalibrationProfile(childId, profile);
+  }
+
+  /**
+   * Load a child's saved calibration profile and start using it
+   * @param {String} childId - Identifier of the child
+   * @returns {Object|null} - The profile, or null if none is saved
+   */
+  loadCalibrationProfile(childId) {
+    const profile = profileStore.loadCalibrationProfile(childId);
+    if (profile) {
+      this.setCalibrationProfile(profile);
+    }
+    return profile;
   }
 }
 
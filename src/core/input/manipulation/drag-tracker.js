@@ -0,0 +1,202 @@
+// src/core/input/manipulation/drag-tracker.js
+
+/**
+ * Drag Tracker
+ * Turns held pinches and grabs into drag events for picking things up and
+ * moving them: the pinch point (between thumb and index fingertip) or the
+ * palm centre is followed from the start of the gesture to its release.
+ *
+ *   dragstart - the hand pinched or grabbed
+ *   drag      - every frame the gesture is held
+ *   drop      - the hand let go; velocity tells a throw from a put-down
+ *
+ * Each event has the position in normalized camera coordinates and on the
+ * screen (mapped like the hand cursor, so a dragged object stays under the
+ * cursor), the movement since the previous event and the velocity.
+ */
+
+// Event types
+export const DRAG_EVENTS = {
+  START: 'dragstart',
+  DRAG: 'drag',
+  DROP: 'drop'
+};
+
+class DragTracker {
+  /**
+   * @param {InputManager} inputManager - Initialized input manager
+   * @param {Object} [options]
+   * @param {HandCursor} [options.cursor] - Cursor whose active region maps positions
+   *   to the screen; one is created with `cursorOptions` if not given
+   * @param {Object} [options.cursorOptions] - Options for the created cursor (see HandCursor)
+   * @param {Array} [options.gestures=['pinch', 'grab']] - Gestures that drag
+   * @param {Number} [options.velocityWindow=100] - Time over which velocity is
+   *   measured (ms); longer is steadier, shorter follows a flick more closely
+   */
+  constructor(inputManager, options = {}) {
+    this.inputManager = inputManager;
+    this.cursor = options.cursor || inputManager.createHandCursor(options.cursorOptions);
+    this.gestures = options.gestures ?? ['pinch', 'grab'];
+    this.velocityWindow = options.velocityWindow ?? 100;
+
+    // Per gesture ID: { samples, last, gestureEvent }
+    this.drags = {};
+
+    this.dragCallbacks = [];
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start following pinches and grabs
+   */
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.inputManager.onGestureEvent(event => this.handleGestureEvent(event));
+  }
+
+  /**
+   * Stop following pinches and grabs. Drags in progress are dropped.
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    Object.values(this.drags).forEach(drag => {
+      this.emit(DRAG_EVENTS.DROP, drag, drag.gestureEvent);
+    });
+    this.drags = {};
+  }
+
+  /**
+   * Register callback for drag events
+   * @param {Function} callback - Called with { type ('dragstart', 'drag' or
+   *   'drop'), gestureId, name, handId, handedness, timestamp, duration,
+   *   position ({ x, y, z } in normalized camera coordinates), screen
+   *   ({ x, y } in viewport px), delta and screenDelta (movement since the
+   *   previous event), velocity (per second) and screenVelocity (px per
+   *   second), speed (px per second) }
+   * @returns {Function} - Function to unregister the callback
+   */
+  onDrag(callback) {
+    this.dragCallbacks.push(callback);
+    return () => {
+      this.dragCallbacks = this.dragCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Get the drags in progress
+   * @returns {Array} - The last event of each drag
+   */
+  getDrags() {
+    return Object.values(this.drags).map(drag => drag.last);
+  }
+
+  /**
+   * Follow a gesture lifecycle event
+   * @param {Object} event - Event from onGestureEvent
+   */
+  handleGestureEvent(event) {
+    if (!this.gestures.includes(event.name)) return;
+
+    switch (event.type) {
+      case 'gesturestart':
+        this.drags[event.gestureId] = { samples: [], last: null, gestureEvent: null };
+        this.emit(DRAG_EVENTS.START, this.drags[event.gestureId], event);
+        break;
+
+      case 'gestureupdate': {
+        const drag = this.drags[event.gestureId];
+        if (drag) this.emit(DRAG_EVENTS.DRAG, drag, event);
+        break;
+      }
+
+      case 'gestureend': {
+        const drag = this.drags[event.gestureId];
+        if (!drag) return;
+
+        delete this.drags[event.gestureId];
+        this.emit(DRAG_EVENTS.DROP, drag, event);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Build a drag event from a gesture event and send it
+   * @param {String} type - One of DRAG_EVENTS
+   * @param {Object} drag - Drag state: { samples, last, gestureEvent }
+   * @param {Object} event - Gesture lifecycle event
+   */
+  emit(type, drag, event) {
+    const { x, y, z } = event.position;
+    const { clientX, clientY } = this.cursor.toScreen(event.position);
+    const sample = { x, y, screenX: clientX, screenY: clientY, time: event.timestamp };
+
+    // A drop repeats the last position; it's measured where the hand let go
+    if (type !== DRAG_EVENTS.DROP) {
+      drag.samples.push(sample);
+      while (drag.samples.length > 2 &&
+             sample.time - drag.samples[1].time >= this.velocityWindow) {
+        drag.samples.shift();
+      }
+    }
+
+    const previous = drag.last;
+    const velocity = this.getVelocity(drag.samples);
+
+    const dragEvent = {
+      type,
+      gestureId: event.gestureId,
+      name: event.name,
+      handId: event.handId,
+      handedness: event.handedness,
+      timestamp: event.timestamp,
+      duration: event.duration,
+      position: { x, y, z },
+      screen: { x: clientX, y: clientY },
+      delta: previous
+        ? { x: x - previous.position.x, y: y - previous.position.y }
+        : { x: 0, y: 0 },
+      screenDelta: previous
+        ? { x: clientX - previous.screen.x, y: clientY - previous.screen.y }
+        : { x: 0, y: 0 },
+      velocity: { x: velocity.x, y: velocity.y },
+      screenVelocity: { x: velocity.screenX, y: velocity.screenY },
+      speed: Math.hypot(velocity.screenX, velocity.screenY)
+    };
+
+    drag.last = dragEvent;
+    drag.gestureEvent = event;
+    this.dragCallbacks.forEach(callback => callback(dragEvent));
+  }
+
+  /**
+   * Measure velocity across the recent samples
+   * @param {Array} samples - { x, y, screenX, screenY, time } from oldest to newest
+   * @returns {Object} - { x, y } per second and { screenX, screenY } in px per second
+   */
+  getVelocity(samples) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+
+    if (seconds <= 0) {
+      return { x: 0, y: 0, screenX: 0, screenY: 0 };
+    }
+
+    return {
+      x: (last.x - first.x) / seconds,
+      y: (last.y - first.y) / seconds,
+      screenX: (last.screenX - first.screenX) / seconds,
+      screenY: (last.screenY - first.screenY) / seconds
+    };
+  }
+}
+
+export default DragTracker;
@@ -0,0 +1,141 @@
+// src/core/input/options.js
+
+/**
+ * Input Options
+ * Tuning values accepted by InputManager and forwarded to providers,
+ * plus named presets for common audiences.
+ */
+
+export const DEFAULT_OPTIONS = {
+  // Providers to try, in order, when the requested one fails to load
+  fallbackProviders: ['mock'],
+
+  // Camera (null leaves the choice to the browser)
+  cameraDeviceId: null, // deviceId from InputManager.listCameras()
+  cameraFacingMode: 'user', // Used when no device is chosen
+  cameraWidth: null, // Preferred resolution (px)
+  cameraHeight: null,
+  cameraFrameRate: null, // Preferred frame rate (fps)
+
+  // MediaPipe Hands
+  mediapipeAssetPath: null, // Base URL of the @mediapipe/hands files; null serves them from the app itself
+  maxNumHands: 2,
+  modelComplexity: 1, // 0: Light, 1: Full
+  minDetectionConfidence: 0.5,
+  minTrackingConfidence: 0.5,
+  inferenceWorker: false, // Run MediaPipe and gesture detection in a Web Worker (builds only); falls back to the main thread otherwise, see getFrameStats
+
+  // Frame scheduling (MediaPipe provider)
+  targetFps: 30, // Most frames per second sent for inference; null sends every animation frame
+  skipUnchangedFrames: true, // Don't run inference again on a video frame that hasn't changed
+  adaptiveFrameRate: true, // Switch to modelComplexity 0, then lower the rate, when inference is too slow
+  frameBudget: null, // Time inference may take per frame (ms); null allows one frame interval at targetFps
+  minFps: 10, // Lowest rate adaptation goes down to
+
+  // Gesture timing (ms)
+  gestureRepeatInterval: 500, // How often a held static gesture is re-reported
+  gestureHoldDurations: [500, 1000, 2000], // Hold times at which gesturehold events are sent
+  gestureEndDelay: 100, // How long a held gesture may go undetected before gestureend
+  swipeCooldown: 1000, // Minimum time between two swipes
+  waveWindow: 2000, // Time in which the wave's direction changes must happen
+
+  // Air-drawn shapes
+  strokeGestures: ['point', 'pinch'], // Gestures that draw a stroke while held; empty turns shape recognition off
+  shapeMinLength: 0.15, // Shortest stroke matched, in normalized camera units along the path
+  shapeMinScore: 0.75, // Lowest match score (0-1) reported as a shape gesture
+
+  // Landmark smoothing
+  smoothing: 'one-euro', // 'one-euro', 'ema', 'none' or a registered filter name
+  smoothHandUpdates: true, // Smooth landmarks passed to onHandUpdate consumers
+  smoothGestures: true, // Smooth landmarks used for gesture detection
+  oneEuroMinCutoff: 1.0, // Hz; lower removes more jitter when the hand is still
+  oneEuroBeta: 5.0, // Higher reduces lag during fast movements
+  oneEuroDCutoff: 1.0, // Hz; smoothing of the speed estimate
+  emaAlpha: 0.5, // Weight of each new frame (0-1); lower is smoother
+
+  // Hand identity tracking
+  handMatchDistance: 0.3, // Largest frame-to-frame change still matched to the same hand
+  handDropoutTime: 500, // How long a lost hand keeps its ID (ms)
+
+  // Replay provider
+  replayRecording: null, // Recording object, or URL of a recording JSON file
+  replayTiming: 'original', // 'original' keeps the recorded frame timing, 'fast' plays without waiting
+  replayLoop: false, // Start again from the first frame when the recording ends
+
+  // Mock provider
+  mockScript: null, // Timeline of poses (see MockProvider.playScript); null plays every gesture in turn
+  mockLoop: true, // Start the script again when it ends
+
+  // Pointer provider
+  pointerKeys: null, // Key bindings (see DEFAULT_POINTER_KEYS in providers/pointer.js)
+  pointerMirror: true, // Mirror x to match the mirrored camera view
+  pointerHandedness: 'Right', // Handedness of the virtual hand
+  pointerTapTime: 250 // Presses shorter than this are taps (pinch); longer ones grab (ms)
+};
+
+// Every preset sets the same options, so switching presets while running
+// (InputManager.updateOptions) leaves nothing of the previous one behind.
+// Detector distance thresholds aren't part of presets: they are tuned for
+// adult hands and replaced by calibration (see gestures/thresholds.js).
+export const PRESETS = {
+  // Small hands, slow and imprecise movements: accept weaker detections and
+  // give gestures more time
+  'toddler': {
+    minDetectionConfidence: 0.4,
+    minTrackingConfidence: 0.4,
+    gestureRepeatInterval: 800,
+    gestureEndDelay: 200,
+    shapeMinScore: 0.7,
+    swipeCooldown: 1500,
+    waveWindow: 3000
+  },
+
+  // Steadier than toddlers but slower than adults: a little more time and
+  // tolerance than the defaults
+  'older-child': {
+    minDetectionConfidence: 0.45,
+    minTrackingConfidence: 0.45,
+    gestureRepeatInterval: 600,
+    gestureEndDelay: 150,
+    shapeMinScore: 0.72,
+    swipeCooldown: 1200,
+    waveWindow: 2500
+  },
+
+  // Quick, deliberate movements for demonstrations
+  'adult-demo': {
+    minDetectionConfidence: 0.6,
+    minTrackingConfidence: 0.6,
+    gestureRepeatInterval: 400,
+    gestureEndDelay: 100,
+    shapeMinScore: 0.75,
+    swipeCooldown: 700,
+    waveWindow: 1500
+  }
+};
+
+/**
+ * Turn a preset name or options object into a full set of options.
+ * An object may name a preset to start from: { preset: 'toddler', swipeCooldown: 1200 }
+ * @param {String|Object} [options] - Preset name or options
+ * @param {Object} [base] - Options the preset and overrides are applied to;
+ *   values neither defines are kept
+ * @returns {Object} - Options with every value filled in
+ */
+export function resolveOptions(options = {}, base = DEFAULT_OPTIONS) {
+  if (typeof options === 'string') {
+    options = { preset: options };
+  }
+
+  const { preset, ...overrides } = options;
+
+  if (preset && !(preset in PRESETS)) {
+    throw new Error(`Unknown input options preset '${preset}'`);
+  }
+
+  return {
+    ...base,
+    ...(preset ? PRESETS[preset] : {}),
+    ...overrides
+  };
+}
@@ -0,0 +1,83 @@
+// src/core/input/provider-registry.js
+
+/**
+ * Provider Registry
+ * The input providers InputManager can load, by name. Built-in providers
+ * are imported only when used, so unused ones stay out of the main bundle.
+ */
+
+// Registered providers by name: { factory, capabilities }
+const providers = {};
+
+/**
+ * Make an input provider available to InputManager
+ * @param {String} name - Name to select the provider by
+ * @param {Function} factory - Called with the resolved input options; returns
+ *   the provider, or a Promise of it. The provider is initialized afterwards.
+ * @param {Object} [capabilities] - What the provider supports
+ * @param {Boolean} [capabilities.multiHand] - Can report more than one hand
+ * @param {Boolean} [capabilities.depth] - Landmarks have meaningful z values
+ * @param {Boolean} [capabilities.needsVideo] - Needs a video element and camera
+ * @param {Boolean} [capabilities.needsRecording] - Only works with a recording
+ *   given in the options (`replayRecording`)
+ */
+export function registerProvider(name, factory, capabilities = {}) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Factory for input provider '${name}' must be a function`);
+  }
+
+  providers[name] = {
+    factory,
+    capabilities: {
+      multiHand: false,
+      depth: false,
+      needsVideo: false,
+      needsRecording: false,
+      ...capabilities
+    }
+  };
+}
+
+/**
+ * Look up a registered provider
+ * @param {String} name - Provider name
+ * @returns {Object|null} - { factory, capabilities }, or null if not registered
+ */
+export function getProvider(name) {
+  return providers[name] || null;
+}
+
+/**
+ * List the registered providers, in registration order
+ * @returns {Array} - { name, capabilities } for each provider
+ */
+export function listProviders() {
+  return Object.keys(providers).map(name => ({
+    name,
+    capabilities: { ...providers[name].capabilities }
+  }));
+}
+
+registerProvider(
+  'mediapipe',
+  async options => new (await import('./providers/mediapipe.js')).default(options),
+  { multiHand: true, depth: true, needsVideo: true }
+);
+
+registerProvider(
+  'mock',
+  async options => new (await import('./providers/mock.js')).default(options),
+  { multiHand: true, depth: true }
+);
+
+registerProvider(
+  'pointer',
+  async options => new (await import('./providers/pointer.js')).default(options),
+  { multiHand: false, depth: false }
+);
+
+registerProvider(
+  'replay',
+  async options => new (await import('./providers/replay.js')).default(options),
+  { multiHand: true, depth: true, needsRecording: true }
+);
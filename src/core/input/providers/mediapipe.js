@@ -6,68 +6,109 @@
  * Uses MediaPipe Hands API to track hand landmarks and detect gestures
  */
 import { Hands } from '@mediapipe/hands';
+import GestureEngine from '../gestures/gesture-engine.js';
+import { addHandOrientations } from '../gestures/hand-orientation.js';
+import LandmarkFilter from '../filters/landmark-filter.js';
+import HandTracker from '../tracking/hand-tracker.js';
+import FrameScheduler from '../scheduling/frame-scheduler.js';
+import { openCamera, closeCamera, getVideoConstraints } from '../camera/camera-access.js';
+import { resolveOptions } from '../options.js';
+
+// Where the @mediapipe/hands files are served by default: the app's own
+// build output, where vite.config.js copies them
+const DEFAULT_ASSET_PATH = `${(import.meta.env && import.meta.env.BASE_URL) || '/'}mediapipe/hands/`;
+
+/**
+ * Check whether hand inference can run in a worker here. MediaPipe needs
+ * OffscreenCanvas in the worker, and frames are sent as ImageBitmaps. The
+ * worker must be a classic one, because MediaPipe's loader calls
+ * importScripts; Vite bundles it into a single classic script in builds, but
+ * the dev server serves it as separate ES modules, which a classic worker
+ * can't load, so worker mode only works in builds.
+ * @returns {String|null} - Why worker mode can't be used, or null if it can
+ */
+function getWorkerUnavailableReason() {
+  if (typeof Worker === 'undefined' ||
+      typeof OffscreenCanvas === 'undefined' ||
+      typeof createImageBitmap !== 'function') {
+    return 'The browser does not support OffscreenCanvas and ImageBitmap in workers';
+  }
+  if (import.meta.env && import.meta.env.DEV) {
+    return 'Worker mode only works in builds, not on the dev server';
+  }
+  return null;
+}
 
 class MediaPipeProvider {
-  constructor() {
+  /**
+   * @param {String|Object} [options] - Input options or preset name (see options.js)
+   */
+  constructor(options) {
+    this.options = resolveOptions(options);
     this.hands = null;
+    this.worker = null;
     this.videoElement = null;
     this.isInitialized = false;
     this.isTracking = false;
     this.handUpdateCallbacks = [];
-    this.gestureCallbacks = [];
-
-    // For gesture detection
-    this.lastGesture = {};
-    this.lastGestureTime = {};
-    this.gestureConfidence = {};
-
-    // For wave detection
-    this.wavePositions = {};
-    this.waveDirectionChanges = {};
-    this.waveStartTime = {};
-    this.waveLastDirection = {};
-
-    // For pinch detection
-    this.lastPinchDistance = {};
-    this.isPinching = {};
-    this.pinchStartTime = {};
-
-    // For swipe detection
-    this.swipePositions = {};
-    this.swipeStartTime = {};
-    this.swipeLastPosition = {};
-    this.swipeVelocity = {};
-    this.lastSwipeTime = {};
+    this.rawResultsCallbacks = [];
+
+    // Shared gesture recognition
+    this.gestureEngine = new GestureEngine(this.options);
+
+    // Persistent hand IDs across frames
+    this.handTracker = new HandTracker(this.options);
+
+    // Landmark smoothing between MediaPipe and the consumers
+    this.landmarkFilter = new LandmarkFilter(this.options);
+
+    // Decides which video frames are sent to MediaPipe
+    this.frameScheduler = new FrameScheduler(this.options);
+
+    // Set when the scheduler switched to the light model because inference
+    // was too slow. Kept until modelComplexity is set again.
+    this.reducedModelComplexity = null;
+
+    // Resolves the frame the worker is processing
+    this.resolveWorkerFrame = null;
+
+    // Why inference runs in the main thread although `inferenceWorker` is set
+    this.workerFallbackReason = null;
 
     // Debug mode - set to true to enable console logging
     this.debugMode = false;
   }
 
   /**
-   * Initialize the MediaPipe Hands API
+   * Initialize the MediaPipe Hands API, in a worker if `inferenceWorker` is
+   * set and the worker can run, otherwise in the main thread. Why the worker
+   * wasn't used is reported by getFrameStats.
    * @returns {Promise} - Resolves when initialized
    */
   async initialize() {
     try {
-      this.hands = new Hands({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+      if (this.options.inferenceWorker) {
+        this.workerFallbackReason = getWorkerUnavailableReason();
+
+        if (!this.workerFallbackReason) {
+          try {
+            await this.initializeWorker();
+          } catch (error) {
+            this.workerFallbackReason = error.message;
+          }
         }
-      });
 
-      // Configure MediaPipe Hands
-      await this.hands.setOptions({
-        maxNumHands: 2,
-        modelComplexity: 1, // 0: Light, 1: Full
-        minDetectionConfidence: 0.5,
-        minTrackingConfidence: 0.5
-      });
+        if (this.workerFallbackReason) {
+          console.warn(`Hand inference worker not used; using the main thread: ${this.workerFallbackReason}`);
+        }
+      }
 
-      // Set up result handler
-      this.hands.onResults(results => this.handleResults(results));
+      if (!this.worker) {
+        await this.initializeHands();
+      }
 
       this.isInitialized = true;
-      console.log('MediaPipe Hands initialized successfully');
+      console.log(`MediaPipe Hands initialized successfully${this.worker ? ' in a worker' : ''}`);
       return true;
     } catch (error) {
       console.error('Failed to initialize MediaPipe Hands:', error);
@@ -75,6 +116,224 @@ class MediaPipeProvider {
     }
   }
 
+  /**
+   * Load MediaPipe Hands in the main thread
+   * @returns {Promise} - Resolves when the model files are loaded
+   */
+  async initializeHands() {
+    const assetPath = this.getAssetPath();
+    const requestedFiles = [];
+
+    this.hands = new Hands({
+      locateFile: (file) => {
+        requestedFiles.push(file);
+        return `${assetPath}${file}`;
+      }
+    });
+
+    // Configure MediaPipe Hands
+    await this.hands.setOptions(this.getHandsOptions());
+
+    // Set up result handler
+    this.hands.onResults(results => this.handleResults(results));
+
+    // Load the model files now, so a missing file fails here instead of
+    // on the first camera frame
+    try {
+      await this.hands.initialize();
+    } catch (error) {
+      this.hands = null;
+      throw await this.findAssetError(error, assetPath, requestedFiles);
+    }
+  }
+
+  /**
+   * Start the hand inference worker and load MediaPipe Hands in it. Custom
+   * gestures and thresholds set so far are passed on.
+   * @returns {Promise} - Resolves when the worker is ready; rejects (with the
+   *   worker stopped) if it can't load
+   */
+  async initializeWorker() {
+    // Classic, since MediaPipe's loader needs importScripts
+    const worker = new Worker(
+      new URL('../workers/hand-inference-worker.js', import.meta.url),
+      { type: 'classic' }
+    );
+
+    try {
+      await new Promise((resolve, reject) => {
+        worker.onerror = event => reject(new Error(event.message || 'Hand inference worker failed to load'));
+        worker.onmessage = ({ data }) => {
+          if (data.type === 'ready') resolve();
+          if (data.type === 'error') reject(new Error(data.message));
+        };
+
+        worker.postMessage({
+          type: 'init',
+          options: this.options,
+          handsOptions: this.getHandsOptions(),
+          // Worker URLs resolve against the worker script, so make it absolute
+          assetPath: new URL(this.getAssetPath(), window.location.href).href
+        });
+      });
+    } catch (error) {
+      worker.terminate();
+      throw error;
+    }
+
+    worker.onmessage = ({ data }) => this.handleWorkerMessage(data);
+    worker.onerror = event => {
+      console.error('Hand inference worker error:', event.message);
+      this.finishWorkerFrame();
+    };
+
+    this.worker = worker;
+    this.gestureEngine.customGestures.forEach(definition => {
+      worker.postMessage({ type: 'registerGesture', definition });
+    });
+    worker.postMessage({ type: 'thresholds', thresholds: this.gestureEngine.thresholds });
+  }
+
+  /**
+   * Get the URL the MediaPipe Hands files are loaded from
+   * @returns {String} - Base URL ending in '/'
+   */
+  getAssetPath() {
+    const assetPath = this.options.mediapipeAssetPath || DEFAULT_ASSET_PATH;
+    return assetPath.endsWith('/') ? assetPath : `${assetPath}/`;
+  }
+
+  /**
+   * Work out which file made MediaPipe Hands fail to load. MediaPipe's own
+   * errors don't say, so each requested file is checked.
+   * @param {Error} error - Error from MediaPipe Hands
+   * @param {String} assetPath - Base URL of the files
+   * @param {Array} requestedFiles - Files MediaPipe asked for, in order
+   * @returns {Promise} - Resolves to an Error naming the file, with `file`,
+   *   `url` and `cause` set
+   */
+  async findAssetError(error, assetPath, requestedFiles) {
+    for (const file of requestedFiles) {
+      const url = `${assetPath}${file}`;
+      let problem = null;
+
+      try {
+        const response = await fetch(url, { method: 'HEAD' });
+        if (!response.ok) {
+          problem = `HTTP ${response.status}`;
+        }
+      } catch (fetchError) {
+        problem = fetchError.message;
+      }
+
+      if (problem) {
+        const assetError = new Error(`Failed to load MediaPipe Hands file '${file}' from ${url} (${problem})`);
+        assetError.file = file;
+        assetError.url = url;
+        assetError.cause = error;
+        return assetError;
+      }
+    }
+
+    // Every file is reachable, so name the one being loaded when it failed
+    const file = requestedFiles[requestedFiles.length - 1] || null;
+    const assetError = new Error(file
+      ? `Failed to load MediaPipe Hands while loading '${file}' from ${assetPath}: ${error.message}`
+      : `Failed to load MediaPipe Hands from ${assetPath}: ${error.message}`);
+    assetError.file = file;
+    assetError.url = file ? `${assetPath}${file}` : assetPath;
+    assetError.cause = error;
+    return assetError;
+  }
+
+  /**
+   * Apply new input options, including to a running MediaPipe Hands instance
+   * @param {String|Object} options - Input options or preset name
+   * @returns {Promise} - Resolves when the options are applied
+   */
+  async updateOptions(options) {
+    const previousOptions = this.options;
+
+    this.options = resolveOptions(options);
+    this.gestureEngine.setOptions(this.options);
+    this.handTracker.setOptions(this.options);
+    this.landmarkFilter.setOptions(this.options);
+    this.frameScheduler.setOptions(this.options);
+
+    if (this.options.modelComplexity !== previousOptions.modelComplexity) {
+      this.reducedModelComplexity = null;
+    }
+
+    await this.applyHandsOptions();
+
+    // Switch camera, resolution or frame rate while running
+    const cameraChanged = JSON.stringify(getVideoConstraints(previousOptions)) !==
+      JSON.stringify(getVideoConstraints(this.options));
+    if (this.isTracking && cameraChanged) {
+      await this.restartCamera(previousOptions);
+    }
+  }
+
+  /**
+   * Pick the options understood by MediaPipe Hands
+   * @returns {Object} - MediaPipe Hands options
+   */
+  getHandsOptions() {
+    const { maxNumHands, minDetectionConfidence, minTrackingConfidence } = this.options;
+    const modelComplexity = this.reducedModelComplexity !== null
+      ? this.reducedModelComplexity
+      : this.options.modelComplexity;
+    return { maxNumHands, modelComplexity, minDetectionConfidence, minTrackingConfidence };
+  }
+
+  /**
+   * Send the options to MediaPipe Hands, wherever it runs
+   * @returns {Promise} - Resolves when the options are applied
+   */
+  async applyHandsOptions() {
+    if (this.worker) {
+      this.worker.postMessage({
+        type: 'options',
+        options: this.options,
+        handsOptions: this.getHandsOptions()
+      });
+    } else if (this.hands) {
+      await this.hands.setOptions(this.getHandsOptions());
+    }
+  }
+
+  /**
+   * Switch MediaPipe Hands to the light model. Called by the frame
+   * scheduler when inference takes too long.
+   * @returns {Promise} - Resolves to true if the model was changed, false if
+   *   it was already the lightest
+   */
+  async reduceModelComplexity() {
+    if ((!this.hands && !this.worker) || this.getHandsOptions().modelComplexity === 0) {
+      return false;
+    }
+
+    this.reducedModelComplexity = 0;
+    await this.applyHandsOptions();
+    console.log('Hand inference is too slow; switched to modelComplexity 0');
+    return true;
+  }
+
+  /**
+   * Get live frame scheduling statistics
+   * @returns {Object} - Scheduler statistics (see FrameScheduler.getStats)
+   *   plus the modelComplexity in use, whether inference runs in a worker and,
+   *   if `inferenceWorker` is set but it doesn't, why (workerFallbackReason)
+   */
+  getFrameStats() {
+    return {
+      ...this.frameScheduler.getStats(),
+      modelComplexity: this.getHandsOptions().modelComplexity,
+      worker: !!this.worker,
+      workerFallbackReason: this.workerFallbackReason
+    };
+  }
+
   /**
    * Set video element to use for tracking
    * @param {HTMLVideoElement} videoElement - The video element
@@ -102,59 +361,106 @@ class MediaPipeProvider {
       }
 
       // Start the camera feed
-      if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: { facingMode: 'user' }
-        });
+      await this.startCamera();
+
+      // Send video frames at the scheduled rate. The video's current time
+      // identifies the frame; there is none while the video has no data,
+      // e.g. while switching cameras.
+      this.isTracking = true;
+      this.frameScheduler.start({
+        getFrameId: () => (this.videoElement.readyState >= 2 ? this.videoElement.currentTime : null),
+        processFrame: () => (this.worker
+          ? this.sendFrameToWorker()
+          : this.hands.send({ image: this.videoElement })),
+        reduceQuality: () => this.reduceModelComplexity()
+      });
 
-        this.videoElement.srcObject = stream;
-        this.videoElement.play();
+      // Reset gesture detection state
+      this.gestureEngine.resetState();
+      this.handTracker.reset();
+      this.landmarkFilter.reset();
+      this.resetWorker();
 
-        // Wait for video to be ready
-        await new Promise(resolve => {
-          this.videoElement.onloadedmetadata = () => resolve();
-          // If video is already loaded, resolve immediately
-          if (this.videoElement.readyState >= 2) resolve();
-        });
+      console.log('MediaPipe hand tracking started');
+      return true;
+    } catch (error) {
+      console.error('Failed to start hand tracking:', error);
+      this.isTracking = false;
+      throw error;
+    }
+  }
 
-        // Create a function to process each frame
-        const processFrame = async () => {
-          if (!this.isTracking) return;
+  /**
+   * Open the camera chosen in the options and show it in the video element
+   * @returns {Promise} - Resolves when the video has data; rejects with an
+   *   Error whose `reason` is one of CAMERA_ERRORS
+   */
+  async startCamera() {
+    const stream = await openCamera(this.options);
 
-          await this.hands.send({ image: this.videoElement });
-          requestAnimationFrame(processFrame);
-        };
+    this.videoElement.srcObject = stream;
+    this.videoElement.play();
 
-        this.isTracking = true;
-        processFrame();
-
-        // Reset gesture detection state
-        this.lastGesture = {};
-        this.lastGestureTime = {};
-        this.gestureConfidence = {};
-        this.wavePositions = {};
-        this.waveDirectionChanges = {};
-        this.waveStartTime = {};
-        this.waveLastDirection = {};
-        this.lastPinchDistance = {};
-        this.isPinching = {};
-        this.pinchStartTime = {};
-        this.swipePositions = {};
-        this.swipeStartTime = {};
-        this.swipeLastPosition = {};
-        this.swipeVelocity = {};
-        this.lastSwipeTime = {};
-
-        console.log('MediaPipe hand tracking started');
-        return true;
-      } else {
-        throw new Error('getUserMedia not supported in this browser');
-      }
+    // Wait for video to be ready
+    await new Promise(resolve => {
+      this.videoElement.onloadedmetadata = () => resolve();
+      // If video is already loaded, resolve immediately
+      if (this.videoElement.readyState >= 2) resolve();
+    });
+  }
+
+  /**
+   * Turn the camera off
+   */
+  stopCamera() {
+    if (this.videoElement && this.videoElement.srcObject) {
+      closeCamera(this.videoElement.srcObject);
+      this.videoElement.srcObject = null;
+    }
+  }
+
+  /**
+   * Reopen the camera with the current options. If that fails, the previous
+   * camera is restored where possible and the error is passed on.
+   * @param {Object} previousOptions - Options the running camera was opened with
+   * @returns {Promise} - Resolves when the new camera is running
+   */
+  async restartCamera(previousOptions) {
+    // Many cameras can't be opened twice, so release the old one first
+    this.stopCamera();
+
+    try {
+      await this.startCamera();
     } catch (error) {
-      console.error('Failed to start hand tracking:', error);
-      this.isTracking = false;
+      const newOptions = this.options;
+      this.options = previousOptions;
+      try {
+        await this.startCamera();
+      } catch (restoreError) {
+        console.error('Failed to restore the previous camera:', restoreError);
+      } finally {
+        this.options = newOptions;
+      }
       throw error;
     }
+
+    // Hands jump when the picture changes
+    this.handTracker.reset();
+    this.landmarkFilter.reset();
+    this.resetWorker();
+  }
+
+  /**
+   * Get the settings the camera is actually running with
+   * @returns {Object|null} - MediaTrackSettings (deviceId, width, height,
+   *   frameRate, ...), or null when the camera is off
+   */
+  getCameraSettings() {
+    const stream = this.videoElement && this.videoElement.srcObject;
+    if (!stream) return null;
+
+    const [track] = stream.getVideoTracks();
+    return track ? track.getSettings() : null;
   }
 
   /**
@@ -166,30 +472,16 @@ class MediaPipeProvider {
 
     try {
       this.isTracking = false;
+      this.frameScheduler.stop();
 
-      // Stop all video tracks
-      if (this.videoElement && this.videoElement.srcObject) {
-        const tracks = this.videoElement.srcObject.getTracks();
-        tracks.forEach(track => track.stop());
-        this.videoElement.srcObject = null;
-      }
+      // Turn the camera off
+      this.stopCamera();
 
       // Reset gesture detection state
-      this.lastGesture = {};
-      this.lastGestureTime = {};
-      this.gestureConfidence = {};
-      this.wavePositions = {};
-      this.waveDirectionChanges = {};
-      this.waveStartTime = {};
-      this.waveLastDirection = {};
-      this.lastPinchDistance = {};
-      this.isPinching = {};
-      this.pinchStartTime = {};
-      this.swipePositions = {};
-      this.swipeStartTime = {};
-      this.swipeLastPosition = {};
-      this.swipeVelocity = {};
-      this.lastSwipeTime = {};
+      this.gestureEngine.resetState();
+      this.handTracker.reset();
+      this.landmarkFilter.reset();
+      this.resetWorker();
 
       console.log('MediaPipe hand tracking stopped');
       return true;
@@ -199,6 +491,31 @@ class MediaPipeProvider {
     }
   }
 
+  /**
+   * Release the camera, the MediaPipe Hands instance and all callbacks
+   * @returns {Promise} - Resolves when everything is released
+   */
+  async dispose() {
+    await this.stopTracking();
+
+    if (this.hands) {
+      await this.hands.close();
+      this.hands = null;
+    }
+
+    // The worker closes MediaPipe Hands and then itself
+    if (this.worker) {
+      this.worker.postMessage({ type: 'close' });
+      this.worker = null;
+      this.finishWorkerFrame();
+    }
+
+    this.isInitialized = false;
+    this.handUpdateCallbacks = [];
+    this.rawResultsCallbacks = [];
+    this.gestureEngine.clearCallbacks();
+  }
+
   /**
    * Register callback for hand updates
    * @param {Function} callback - Function to call with hand data
@@ -212,544 +529,180 @@ class MediaPipeProvider {
   }
 
   /**
-   * Register callback for gesture recognition
-   * @param {Function} callback - Function to call with gesture data
+   * Register callback for unprocessed frames, before hand tracking and
+   * smoothing. Used for recording sessions.
+   * @param {Function} callback - Function to call with (results, timestamp)
    * @returns {Function} - Function to unregister the callback
    */
-  onGestureDetected(callback) {
-    this.gestureCallbacks.push(callback);
+  onRawResults(callback) {
+    this.rawResultsCallbacks.push(callback);
     return () => {
-      this.gestureCallbacks = this.gestureCallbacks.filter(cb => cb !== callback);
+      this.rawResultsCallbacks = this.rawResultsCallbacks.filter(cb => cb !== callback);
     };
   }
 
   /**
-   * Handle results from MediaPipe Hands
-   * @param {Object} results - Results from MediaPipe Hands
+   * Register callback for gesture recognition
+   * @param {Function} callback - Function to call with gesture data
+   * @param {Object} [options] - { minConfidence } (see GestureEngine.onGestureDetected)
+   * @returns {Function} - Function to unregister the callback
    */
-  handleResults(results) {
-    if (!results || !results.multiHandLandmarks) return;
-
-    const { multiHandLandmarks, multiHandedness } = results;
-
-    // Notify all hand update callbacks
-    if (this.handUpdateCallbacks.length > 0) {
-      this.handUpdateCallbacks.forEach(callback => callback(results));
-    }
-
-    // Process gestures
-    if (this.gestureCallbacks.length > 0 && multiHandLandmarks.length > 0) {
-      multiHandLandmarks.forEach((landmarks, handIndex) => {
-        const handedness = multiHandedness[handIndex].label; // 'Left' or 'Right'
-        const handId = `${handedness}_${handIndex}`;
-
-        // First detect static gestures (point, open, grab, pinch)
-        const staticGesture = this.detectStaticGesture(landmarks, handedness, handId);
-
-        // Detect wave gesture (temporal pattern)
-        this.detectWaveGesture(landmarks[0], handId, handedness);
-
-        // Detect swipe gesture (temporal pattern)
-        this.detectSwipeGesture(landmarks[0], handId, handedness);
-
-        // Report static gesture if detected and different from last time
-        if (staticGesture &&
-            (this.lastGesture[handId] !== staticGesture.name ||
-             Date.now() - this.lastGestureTime[handId] > 500)) {
-
-          this.notifyGesture(staticGesture, handedness, landmarks);
-          this.lastGesture[handId] = staticGesture.name;
-          this.lastGestureTime[handId] = Date.now();
-        }
-      });
-    }
+  onGestureDetected(callback, options) {
+    return this.gestureEngine.onGestureDetected(callback, options);
   }
 
   /**
-   * Notify gesture callbacks about a detected gesture
-   * @param {Object} gesture - The detected gesture
-   * @param {String} handedness - 'Left' or 'Right'
-   * @param {Array} landmarks - Hand landmarks
+   * Register callback for gesture lifecycle events
+   * @param {Function} callback - Called with each event (see GestureEngine.onGestureEvent)
+   * @returns {Function} - Function to unregister the callback
    */
-  notifyGesture(gesture, handedness, landmarks) {
-    if (this.gestureCallbacks.length > 0) {
-      this.gestureCallbacks.forEach(callback => {
-        callback(gesture, handedness, landmarks);
-      });
-    }
+  onGestureEvent(callback) {
+    return this.gestureEngine.onGestureEvent(callback);
   }
 
   /**
-   * Detect back-and-forth wave gesture
-   * @param {Object} wrist - Wrist landmark
-   * @param {String} handId - Unique hand identifier
-   * @param {String} handedness - 'Left' or 'Right'
+   * Register a custom gesture definition
+   * @param {Object} definition - Gesture definition
+   * @returns {Function} - Function to unregister the gesture
    */
-  detectWaveGesture(wrist, handId, handedness) {
-    const now = Date.now();
-
-    // Initialize wave detection state for this hand if needed
-    if (!this.wavePositions[handId]) {
-      this.wavePositions[handId] = [];
-      this.waveDirectionChanges[handId] = 0;
-      this.waveStartTime[handId] = now;
-      this.waveLastDirection[handId] = null;
-    }
-
-    // Add current position to history
-    this.wavePositions[handId].push({
-      x: wrist.x,
-      y: wrist.y,
-      time: now
-    });
+  registerGesture(definition) {
+    const unregister = this.gestureEngine.registerGesture(definition);
 
-    // Keep only recent positions (last 2 seconds)
-    while (this.wavePositions[handId].length > 0 &&
-           now - this.wavePositions[handId][0].time > 2000) {
-      this.wavePositions[handId].shift();
+    // The worker detects gestures too, so it needs the definition
+    if (this.worker) {
+      this.worker.postMessage({ type: 'registerGesture', definition });
     }
 
-    // Need at least 3 positions to detect direction changes
-    if (this.wavePositions[handId].length < 3) return;
-
-    // Check if we should reset wave detection (it's been too long)
-    if (now - this.waveStartTime[handId] > 3000) {
-      this.waveDirectionChanges[handId] = 0;
-      this.waveStartTime[handId] = now;
-      this.waveLastDirection[handId] = null;
-    }
-
-    // Get the most recent positions
-    const positions = this.wavePositions[handId];
-    const current = positions[positions.length - 1];
-    const previous = positions[positions.length - 3]; // Skip one position to reduce noise
-
-    // Calculate horizontal movement
-    const deltaX = current.x - previous.x;
-
-    // Skip if movement is too small
-    if (Math.abs(deltaX) < 0.03) return;
-
-    // Determine direction (simplify to left/right)
-    const direction = deltaX > 0 ? 'right' : 'left';
-
-    // Check for direction change
-    if (this.waveLastDirection[handId] !== null &&
-        this.waveLastDirection[handId] !== direction) {
-
-      // Increment direction change counter
-      this.waveDirectionChanges[handId]++;
-
-      // If we've detected enough direction changes in the time window, it's a wave
-      if (this.waveDirectionChanges[handId] >= 2 &&
-          now - this.waveStartTime[handId] < 2000) {
+    return () => {
+      unregister();
+      if (this.worker) {
+        this.worker.postMessage({ type: 'unregisterGesture', name: definition.name });
+      }
+    };
+  }
 
-        // Notify about wave gesture
-        this.notifyGesture({ name: 'wave', confidence: 0.9 }, handedness, null);
+  /**
+   * Use a calibration profile's thresholds instead of the defaults
+   * @param {Object|null} profile - Calibration profile, or null for the defaults
+   */
+  setCalibrationProfile(profile) {
+    this.gestureEngine.setThresholds(profile ? profile.thresholds : null);
 
-        // Reset wave detection after successful detection
-        this.waveDirectionChanges[handId] = 0;
-        this.waveStartTime[handId] = now + 1000; // Add cooldown
-      }
+    if (this.worker) {
+      this.worker.postMessage({ type: 'thresholds', thresholds: this.gestureEngine.thresholds });
     }
-
-    // Update last direction
-    this.waveLastDirection[handId] = direction;
   }
 
   /**
-   * Detect swipe gestures in different directions
-   * @param {Object} wrist - Wrist landmark
-   * @param {String} handId - Unique hand identifier
-   * @param {String} handedness - 'Left' or 'Right'
+   * Send the current video frame to the worker as an ImageBitmap
+   * @returns {Promise} - Resolves when the worker has processed the frame
    */
-  detectSwipeGesture(wrist, handId, handedness) {
-    const now = Date.now();
-
-    // Initialize swipe detection state for this hand if needed
-    if (!this.swipePositions[handId]) {
-      this.swipePositions[handId] = [];
-      this.swipeStartTime[handId] = now;
-      this.swipeLastPosition[handId] = { x: wrist.x, y: wrist.y, time: now };
-      this.swipeVelocity[handId] = { x: 0, y: 0 };
-      this.lastSwipeTime[handId] = 0;
-    }
+  async sendFrameToWorker() {
+    const image = await createImageBitmap(this.videoElement);
 
-    // Check if enough time has passed since last swipe detection
-    // to prevent multiple swipe detections for the same gesture
-    if (now - this.lastSwipeTime[handId] < 1000) {
+    // Stopped while the bitmap was being made
+    if (!this.worker) {
+      image.close();
       return;
     }
 
-    // Add current position to history
-    this.swipePositions[handId].push({
-      x: wrist.x,
-      y: wrist.y,
-      time: now
+    await new Promise(resolve => {
+      this.resolveWorkerFrame = resolve;
+      this.worker.postMessage({ type: 'frame', image, timestamp: Date.now() }, [image]);
     });
-
-    // Keep only recent positions (last 0.5 seconds)
-    while (this.swipePositions[handId].length > 0 &&
-           now - this.swipePositions[handId][0].time > 500) {
-      this.swipePositions[handId].shift();
-    }
-
-    // Need at least 5 positions to detect a smooth swipe
-    if (this.swipePositions[handId].length < 5) return;
-
-    // Get the first and last positions for overall movement
-    const positions = this.swipePositions[handId];
-    const first = positions[0];
-    const last = positions[positions.length - 1];
-
-    // Calculate time difference
-    const timeDiff = (last.time - first.time) / 1000; // in seconds
-
-    // Calculate total displacement
-    const deltaX = last.x - first.x;
-    const deltaY = last.y - first.y;
-
-    // Calculate velocity (units per second)
-    const velocityX = deltaX / timeDiff;
-    const velocityY = deltaY / timeDiff;
-
-    // Only detect swipes with significant movement and velocity
-    const SWIPE_THRESHOLD = 0.15; // Minimum displacement
-    const VELOCITY_THRESHOLD = 0.5; // Minimum velocity
-
-    // Calculate absolute values for comparisons
-    const absDeltaX = Math.abs(deltaX);
-    const absDeltaY = Math.abs(deltaY);
-    const absVelocityX = Math.abs(velocityX);
-    const absVelocityY = Math.abs(velocityY);
-
-    // Check if the movement is significant enough to be a swipe
-    if ((absDeltaX > SWIPE_THRESHOLD || absDeltaY > SWIPE_THRESHOLD) &&
-        (absVelocityX > VELOCITY_THRESHOLD || absVelocityY > VELOCITY_THRESHOLD)) {
-
-      // Determine swipe direction
-      let swipeDirection = '';
-
-      // Check if movement is more horizontal or vertical
-      if (absDeltaX > absDeltaY) {
-        // Horizontal swipe
-        swipeDirection = deltaX > 0 ? 'right' : 'left';
-      } else {
-        // Vertical swipe
-        swipeDirection = deltaY > 0 ? 'down' : 'up';
-      }
-
-      // Create swipe gesture with direction and speed info
-      const swipeGesture = {
-        name: 'swipe',
-        direction: swipeDirection,
-        speed: Math.sqrt(velocityX*velocityX + velocityY*velocityY),
-        confidence: 0.9
-      };
-
-      // Notify about swipe gesture
-      this.notifyGesture(swipeGesture, handedness, null);
-
-      // Update last swipe time to prevent rapid consecutive detections
-      this.lastSwipeTime[handId] = now;
-
-      // Reset swipe tracking for new detection
-      this.swipePositions[handId] = [];
-      this.swipeStartTime[handId] = now;
-    }
   }
 
   /**
-   * Detect static gestures (point, open, grab, pinch) with direction information
-   * @param {Array} landmarks - Hand landmarks from MediaPipe
-   * @param {String} handedness - 'Left' or 'Right'
-   * @param {String} handId - Unique identifier for this hand
-   * @returns {Object|null} - Detected gesture or null
+   * Let the frame scheduler continue after a worker frame, or after the
+   * worker failed or went away
    */
-  detectStaticGesture(landmarks, handedness, handId) {
-    // Enhanced finger extension detection specifically for pointing gestures
-    const indexFingerExtended = this.isFingerExtendedImproved(landmarks, 1);
-    const middleFingerExtended = this.isFingerExtendedImproved(landmarks, 2);
-    const ringFingerExtended = this.isFingerExtendedImproved(landmarks, 3);
-    const pinkyFingerExtended = this.isFingerExtendedImproved(landmarks, 4);
-
-    // Get the wrist and important finger landmarks
-    const wrist = landmarks[0];
-    const indexTip = landmarks[8];
-    const thumbTip = landmarks[4];
-
-    // PINCH gesture - thumb and index finger close together
-    const thumbIndexDistance = this.distance3D(thumbTip, indexTip);
-
-    // Initialize pinch detection state for this hand if needed
-    if (this.lastPinchDistance[handId] === undefined) {
-      this.lastPinchDistance[handId] = thumbIndexDistance;
-      this.isPinching[handId] = false;
-      this.pinchStartTime[handId] = 0;
-    }
-
-    // Pinch thresholds
-    const PINCH_DISTANCE_THRESHOLD = 0.05; // How close thumb and index need to be to detect pinch
-    const PINCH_STATE_CHANGE_THRESHOLD = 0.02; // How much distance needs to change to switch pinch state
-
-    // Detect pinch gesture
-    const wasPinching = this.isPinching[handId];
-    const distanceDelta = this.lastPinchDistance[handId] - thumbIndexDistance;
-
-    // Check for significant distance change to avoid flickering
-    if (!wasPinching && thumbIndexDistance < PINCH_DISTANCE_THRESHOLD) {
-      // Start pinching
-      this.isPinching[handId] = true;
-      this.pinchStartTime[handId] = Date.now();
-    } else if (wasPinching && thumbIndexDistance > PINCH_DISTANCE_THRESHOLD + PINCH_STATE_CHANGE_THRESHOLD) {
-      // Stop pinching when fingers move significantly apart
-      this.isPinching[handId] = false;
-    }
-
-    // Update last distance
-    this.lastPinchDistance[handId] = thumbIndexDistance;
-
-    // If pinching, return pinch gesture
-    if (this.isPinching[handId]) {
-      const pinchDuration = Date.now() - this.pinchStartTime[handId];
-
-      return {
-        name: 'pinch',
-        strength: Math.max(0, 1 - thumbIndexDistance / PINCH_DISTANCE_THRESHOLD),
-        duration: pinchDuration,
-        confidence: 0.9
-      };
-    }
-
-    // POINT gesture - only index finger extended
-    if (indexFingerExtended &&
-        !middleFingerExtended &&
-        !ringFingerExtended &&
-        !pinkyFingerExtended) {
-
-      // Calculate pointing direction (relative to wrist)
-      const dx = indexTip.x - wrist.x;
-      const dy = indexTip.y - wrist.y;
-      const dz = indexTip.z - wrist.z;
-
-      // Log coordinates for debugging if enabled
-      if (this.debugMode) {
-        console.log(`Point vector: dx=${dx.toFixed(3)}, dy=${dy.toFixed(3)}, dz=${dz.toFixed(3)}`);
-      }
-
-      // Calculate magnitudes in different planes
-      const horizontalMag = Math.abs(dx);
-      const verticalMag = Math.abs(dy);
-      const depthMag = Math.abs(dz);
-
-      // For pointing direction detection
-      let pointingDirection = null;
-
-      // Forward detection is most important - reduce threshold to make it easier to detect
-      // For improved forward detection, check if z-component is significant
-      if (depthMag > 0.05 && depthMag > horizontalMag * 0.5 && depthMag > verticalMag * 0.5) {
-        // Pointing toward or away from the camera
-        pointingDirection = dz < 0 ? 'forward' : 'backward';
-
-        if (this.debugMode) {
-          console.log(`Detected ${pointingDirection} pointing with z=${dz.toFixed(3)}`);
-        }
-      }
-      // If not pointing forward/backward, check for diagonal directions
-      else {
-        // Determine if movement is more horizontal, vertical, or diagonal
-        const isSignificantHorizontal = horizontalMag > 0.03;
-        const isSignificantVertical = verticalMag > 0.03;
-
-        // For diagonal detection, need significant components in both directions
-        if (isSignificantHorizontal && isSignificantVertical) {
-          // It's a diagonal direction - determine which quadrant
-          if (dx > 0 && dy < 0) {
-            pointingDirection = 'top-right';
-          } else if (dx < 0 && dy < 0) {
-            pointingDirection = 'top-left';
-          } else if (dx > 0 && dy > 0) {
-            pointingDirection = 'bottom-right';
-          } else if (dx < 0 && dy > 0) {
-            pointingDirection = 'bottom-left';
-          }
-        }
-        // If not diagonal, determine if it's a cardinal direction
-        else if (horizontalMag > verticalMag) {
-          // Pointing horizontally
-          pointingDirection = dx > 0 ? 'right' : 'left';
-        } else {
-          // Pointing vertically
-          pointingDirection = dy > 0 ? 'down' : 'up';
-        }
-      }
-
-      return {
-        name: 'point',
-        direction: pointingDirection,
-        confidence: 0.9,
-        vector: { dx, dy, dz } // Include vector for debugging
-      };
-    }
-
-    // OPEN hand gesture - all fingers extended
-    if (indexFingerExtended &&
-        middleFingerExtended &&
-        ringFingerExtended &&
-        pinkyFingerExtended) {
-      return { name: 'open', confidence: 0.9 };
-    }
-
-    // GRAB gesture - no fingers extended
-    if (!indexFingerExtended &&
-        !middleFingerExtended &&
-        !ringFingerExtended &&
-        !pinkyFingerExtended) {
-      return { name: 'grab', confidence: 0.9 };
+  finishWorkerFrame() {
+    if (this.resolveWorkerFrame) {
+      this.resolveWorkerFrame();
+      this.resolveWorkerFrame = null;
     }
-
-    // No recognized gesture
-    return null;
   }
 
   /**
-   * Significantly improved finger extension detection that works in all directions
-   * @param {Array} landmarks - Hand landmarks from MediaPipe
-   * @param {Number} fingerIndex - Index of the finger (1=index, 2=middle, 3=ring, 4=pinky)
-   * @returns {Boolean} - True if the finger is extended
+   * Clear the worker's tracking and gesture state, as is done in the main
+   * thread on start, stop and camera changes
    */
-  isFingerExtendedImproved(landmarks, fingerIndex) {
-    // Index mapping for different finger joints
-    const mcpIndex = fingerIndex * 4 + 1;  // Base joint (metacarpophalangeal)
-    const pipIndex = fingerIndex * 4 + 2;  // Middle joint (proximal interphalangeal)
-    const dipIndex = fingerIndex * 4 + 3;  // End joint (distal interphalangeal)
-    const tipIndex = fingerIndex * 4 + 4;  // Finger tip
-
-    // Get the landmarks
-    const wrist = landmarks[0];
-    const mcp = landmarks[mcpIndex];
-    const pip = landmarks[pipIndex];
-    const dip = landmarks[dipIndex];
-    const tip = landmarks[tipIndex];
-
-    // METHOD 1: Distance-based approach
-    // In a curled finger, the tip is close to the base of the palm
-    // In an extended finger, the tip is far from the base
-    const tipToWristDist = this.distance3D(tip, wrist);
-    const mcpToWristDist = this.distance3D(mcp, wrist);
-
-    // Extended fingers have tips further from wrist than MCP joints
-    const distanceRatio = tipToWristDist / mcpToWristDist;
-
-    // METHOD 2: Straightness-based approach
-    // In a curled finger, there's significant bending at the joints
-    // In an extended finger, the joints form a relatively straight line
-
-    // Calculate vectors between joints
-    const wristToMcp = this.vectorBetween(wrist, mcp);
-    const mcpToPip = this.vectorBetween(mcp, pip);
-    const pipToDip = this.vectorBetween(pip, dip);
-    const dipToTip = this.vectorBetween(dip, tip);
-
-    // Normalize vectors
-    const wristToMcpNorm = this.normalizeVector(wristToMcp);
-    const mcpToPipNorm = this.normalizeVector(mcpToPip);
-    const pipToDipNorm = this.normalizeVector(pipToDip);
-    const dipToTipNorm = this.normalizeVector(dipToTip);
-
-    // Calculate angles between segments (dot product of normalized vectors)
-    // Values close to 1 mean segments are aligned (straight finger)
-    // Values close to 0 or negative mean segments are at an angle (bent finger)
-    const alignmentMcpPip = this.dotProduct(wristToMcpNorm, mcpToPipNorm);
-    const alignmentPipDip = this.dotProduct(mcpToPipNorm, pipToDipNorm);
-    const alignmentDipTip = this.dotProduct(pipToDipNorm, dipToTipNorm);
-
-    // METHOD 3: Position-based method specially for index finger
-    // In certain hand orientations, the above methods can be unreliable
-    // For index finger particularly, check if it's clearly separated from other fingers
-
-    // For index finger (fingerIndex = 1), check separation from middle finger
-    let isSeparatedFromOthers = false;
-    if (fingerIndex === 1) {
-      const middleTip = landmarks[12]; // Middle finger tip
-      const indexToMiddleDist = this.distance3D(tip, middleTip);
-      const mcpToMiddleDist = this.distance3D(mcp, middleTip);
-
-      // If index tip is far from middle tip, it's separated/extended
-      isSeparatedFromOthers = indexToMiddleDist > mcpToMiddleDist * 0.7;
-    }
-
-    // COMBINED DECISION
-    // Different thresholds for index finger vs. other fingers
-    // Index finger is considered extended more liberally
-    if (fingerIndex === 1) {
-      // For index finger: looser criteria because pointing is important
-      return (
-        (distanceRatio > 1.1) || // Distance method - extended
-        (alignmentMcpPip > 0.5 && alignmentPipDip > 0.5) || // Alignment method - somewhat straight
-        isSeparatedFromOthers // Separation method - clearly separated
-      );
-    } else {
-      // For other fingers: stricter criteria
-      return (
-        (distanceRatio > 1.2) && // Distance method - clearly extended
-        (alignmentMcpPip > 0.7 && alignmentPipDip > 0.7) // Alignment method - very straight
-      );
+  resetWorker() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'reset' });
     }
   }
 
   /**
-   * Calculate vector between two points
-   * @param {Object} a - First point with x,y,z coordinates
-   * @param {Object} b - Second point with x,y,z coordinates
-   * @returns {Object} - Vector from a to b
+   * Handle a message from the hand inference worker. Hands and gestures go
+   * to the same callbacks as in main-thread mode.
+   * @param {Object} message - Message from hand-inference-worker.js
    */
-  vectorBetween(a, b) {
-    return {
-      x: b.x - a.x,
-      y: b.y - a.y,
-      z: b.z - a.z
-    };
+  handleWorkerMessage(message) {
+    switch (message.type) {
+      case 'results':
+        // Frames still in the worker when tracking stopped are dropped
+        if (!this.isTracking) return;
+        this.rawResultsCallbacks.forEach(callback => callback(message.rawResults, message.timestamp));
+        this.handUpdateCallbacks.forEach(callback => callback(message.handResults));
+        break;
+
+      case 'gesture':
+        if (!this.isTracking) return;
+        // The gesture already carries its handId
+        this.gestureEngine.notifyGesture(message.gesture, message.handedness, message.landmarks);
+        break;
+
+      case 'gestureEvent':
+        // Gestures ended by stopping still get through
+        if (!this.isTracking && message.event.type !== 'gestureend') return;
+        this.gestureEngine.notifyGestureEvent(message.event);
+        break;
+
+      case 'frameDone':
+        this.finishWorkerFrame();
+        break;
+
+      default:
+        break;
+    }
   }
 
   /**
-   * Normalize vector to unit length
-   * @param {Object} v - Vector with x,y,z components
-   * @returns {Object} - Normalized vector
+   * Handle results from MediaPipe Hands
+   * @param {Object} results - Results from MediaPipe Hands
+   * @param {Number} [timestamp] - Time of the frame (ms)
    */
-  normalizeVector(v) {
-    const length = Math.sqrt(v.x*v.x + v.y*v.y + v.z*v.z);
-    if (length === 0) return { x: 0, y: 0, z: 0 };
-
-    return {
-      x: v.x / length,
-      y: v.y / length,
-      z: v.z / length
+  handleResults(results, timestamp = Date.now()) {
+    if (!results) return;
+
+    // MediaPipe leaves the hand fields out when no hand is visible; the
+    // empty frame still has to reach the engine so held gestures end
+    results = {
+      ...results,
+      multiHandLandmarks: results.multiHandLandmarks || [],
+      multiHandedness: results.multiHandedness || []
     };
-  }
 
-  /**
-   * Calculate dot product of two vectors
-   * @param {Object} a - First vector with x,y,z components
-   * @param {Object} b - Second vector with x,y,z components
-   * @returns {Number} - Dot product of vectors
-   */
-  dotProduct(a, b) {
-    return a.x * b.x + a.y * b.y + a.z * b.z;
-  }
+    this.rawResultsCallbacks.forEach(callback => callback(results, timestamp));
 
-  /**
-   * Calculate 3D distance between two points
-   * @param {Object} a - First point with x,y,z coordinates
-   * @param {Object} b - Second point with x,y,z coordinates
-   * @returns {Number} - Distance between points
-   */
-  distance3D(a, b) {
-    return Math.sqrt(
-      Math.pow(a.x - b.x, 2) +
-      Math.pow(a.y - b.y, 2) +
-      Math.pow(a.z - b.z, 2)
-    );
+    // Match hands to the previous frame for persistent IDs
+    results = this.handTracker.update(results, timestamp);
+
+    // Smooth the landmarks once for whichever consumers want it
+    const { smoothHandUpdates, smoothGestures } = this.options;
+    const smoothedResults = (smoothHandUpdates || smoothGestures)
+      ? this.landmarkFilter.apply(results, timestamp)
+      : results;
+
+    // Notify all hand update callbacks
+    if (this.handUpdateCallbacks.length > 0) {
+      const handResults = addHandOrientations(smoothHandUpdates ? smoothedResults : results);
+      this.handUpdateCallbacks.forEach(callback => callback(handResults));
+    }
+
+    // Process gestures
+    this.gestureEngine.processResults(smoothGestures ? smoothedResults : results, timestamp);
   }
 }
 
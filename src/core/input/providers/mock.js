@@ -3,46 +3,77 @@
 
 /**
  * Mock Provider
- * Simulates MediaPipe hand tracking for testing without a camera
+ * Simulates MediaPipe hand tracking for testing without a camera. Plays a
+ * timeline of poses (the `mockScript` option, playScript() or setPose())
+ * and runs the simulated landmarks through the real gesture detectors.
  */
+import GestureEngine from '../gestures/gesture-engine.js';
+import { addHandOrientations } from '../gestures/hand-orientation.js';
+import HandTracker from '../tracking/hand-tracker.js';
+import {
+  SYNTHETIC_GESTURES,
+  DEFAULT_WRIST,
+  generateSyntheticHand,
+  getMotionOffset
+} from '../simulation/synthetic-hand.js';
+import { resolveOptions } from '../options.js';
+
+/**
+ * Script played when no `mockScript` option is given: every built-in
+ * gesture in turn, 3 seconds each
+ */
+export const DEFAULT_MOCK_SCRIPT = [
+  { gesture: 'point', direction: 'up', duration: 3000 },
+  { gesture: 'point', direction: 'right', duration: 3000 },
+  { gesture: 'point', direction: 'down', duration: 3000 },
+  { gesture: 'point', direction: 'left', duration: 3000 },
+  { gesture: 'point', direction: 'forward', duration: 3000 },
+  { gesture: 'point', direction: 'backward', duration: 3000 },
+  { gesture: 'point', direction: 'top-left', duration: 3000 },
+  { gesture: 'point', direction: 'top-right', duration: 3000 },
+  { gesture: 'point', direction: 'bottom-left', duration: 3000 },
+  { gesture: 'point', direction: 'bottom-right', duration: 3000 },
+  { gesture: 'open', duration: 3000 },
+  { gesture: 'grab', duration: 3000 },
+  { gesture: 'pinch', duration: 3000 },
+  { gesture: 'wave', duration: 3000 },
+  { gesture: 'swipe', direction: 'right', duration: 3000 },
+  { gesture: 'swipe', direction: 'left', duration: 3000 },
+  { gesture: 'swipe', direction: 'up', duration: 3000 },
+  { gesture: 'swipe', direction: 'down', duration: 3000 }
+];
+
+// Horizontal distance of each hand from the centre when two are shown
+const TWO_HAND_OFFSET = 0.15;
+
 class MockProvider {
-  constructor() {
+  /**
+   * @param {String|Object} [options] - Input options or preset name (see options.js)
+   */
+  constructor(options) {
+    this.options = resolveOptions(options);
     this.isInitialized = false;
     this.isTracking = false;
     this.handUpdateCallbacks = [];
-    this.gestureCallbacks = [];
-
-    // For gesture detection
-    this.lastGesture = {};
-    this.lastGestureTime = {};
-    this.gestureConfidence = {};
-
-    // For wave detection
-    this.wavePositions = {};
-    this.waveDirectionChanges = {};
-    this.waveStartTime = {};
-    this.waveLastDirection = {};
-
-    // For pinch detection
-    this.lastPinchDistance = {};
-    this.isPinching = {};
-    this.pinchStartTime = {};
-
-    // For swipe detection
-    this.swipePositions = {};
-    this.swipeStartTime = {};
-    this.swipeLastPosition = {};
-    this.swipeVelocity = {};
-    this.lastSwipeTime = {};
+    this.rawResultsCallbacks = [];
+
+    // Shared gesture recognition - simulated landmarks go through the same
+    // detectors as real MediaPipe landmarks
+    this.gestureEngine = new GestureEngine(this.options);
+
+    // Persistent hand IDs, as with the MediaPipe provider
+    this.handTracker = new HandTracker(this.options);
 
     // Animation frame request
     this.animationFrameId = null;
 
-    // Current simulated gesture
-    this.currentGesture = 'point';
-    this.currentDirection = 'up';
-    this.gestureCycleInterval = null;
-    this.gestureChangeTime = Date.now();
+    // Timeline being played: steps with their start times
+    this.script = null;
+    this.scriptDuration = 0;
+    this.scriptLoop = false;
+    this.scriptStartTime = 0;
+    this.scriptStepIndex = -1;
+    this.resolveScript = null;
 
     // Debug mode - set to true to enable console logging
     this.debugMode = false;
@@ -63,6 +94,24 @@ class MockProvider {
     }
   }
 
+  /**
+   * Apply new input options. Only the gesture timing options and the mock
+   * script affect the mock.
+   * @param {String|Object} options - Input options or preset name
+   * @returns {Promise} - Resolves when the options are applied
+   */
+  async updateOptions(options) {
+    const previousScript = this.options.mockScript;
+
+    this.options = resolveOptions(options);
+    this.gestureEngine.setOptions(this.options);
+    this.handTracker.setOptions(this.options);
+
+    if (this.options.mockScript !== previousScript) {
+      this.playScript(this.options.mockScript || DEFAULT_MOCK_SCRIPT, { loop: this.options.mockLoop });
+    }
+  }
+
   /**
    * Set video element (not used in mock provider but kept for API compatibility)
    * @param {HTMLVideoElement} videoElement - The video element
@@ -88,28 +137,21 @@ class MockProvider {
       this.isTracking = true;
 
       // Reset gesture detection state
-      this.lastGesture = {};
-      this.lastGestureTime = {};
-      this.gestureConfidence = {};
-      this.wavePositions = {};
-      this.waveDirectionChanges = {};
-      this.waveStartTime = {};
-      this.waveLastDirection = {};
-      this.lastPinchDistance = {};
-      this.isPinching = {};
-      this.pinchStartTime = {};
-      this.swipePositions = {};
-      this.swipeStartTime = {};
-      this.swipeLastPosition = {};
-      this.swipeVelocity = {};
-      this.lastSwipeTime = {};
+      this.gestureEngine.resetState();
+      this.handTracker.reset();
+
+      // Play the configured script unless one was set with setPose() or
+      // playScript(), which then starts over
+      if (this.script) {
+        this.scriptStartTime = Date.now();
+        this.scriptStepIndex = -1;
+      } else {
+        this.playScript(this.options.mockScript || DEFAULT_MOCK_SCRIPT, { loop: this.options.mockLoop });
+      }
 
       // Start animation loop to simulate hand movements
       this.startAnimationLoop();
 
-      // Set up gesture cycling
-      this.startGestureCycling();
-
       console.log('Mock hand tracking started');
       return true;
     } catch (error) {
@@ -135,28 +177,9 @@ class MockProvider {
         this.animationFrameId = null;
       }
 
-      // Stop gesture cycling
-      if (this.gestureCycleInterval) {
-        clearInterval(this.gestureCycleInterval);
-        this.gestureCycleInterval = null;
-      }
-
       // Reset gesture detection state
-      this.lastGesture = {};
-      this.lastGestureTime = {};
-      this.gestureConfidence = {};
-      this.wavePositions = {};
-      this.waveDirectionChanges = {};
-      this.waveStartTime = {};
-      this.waveLastDirection = {};
-      this.lastPinchDistance = {};
-      this.isPinching = {};
-      this.pinchStartTime = {};
-      this.swipePositions = {};
-      this.swipeStartTime = {};
-      this.swipeLastPosition = {};
-      this.swipeVelocity = {};
-      this.lastSwipeTime = {};
+      this.gestureEngine.resetState();
+      this.handTracker.reset();
 
       console.log('Mock hand tracking stopped');
       return true;
@@ -166,6 +189,26 @@ class MockProvider {
     }
   }
 
+  /**
+   * Stop the simulation and release all callbacks
+   * @returns {Promise} - Resolves when everything is released
+   */
+  async dispose() {
+    await this.stopTracking();
+
+    // A script being awaited counts as finished
+    if (this.resolveScript) {
+      this.resolveScript();
+      this.resolveScript = null;
+    }
+    this.script = null;
+
+    this.isInitialized = false;
+    this.handUpdateCallbacks = [];
+    this.rawResultsCallbacks = [];
+    this.gestureEngine.clearCallbacks();
+  }
+
   /**
    * Register callback for hand updates
    * @param {Function} callback - Function to call with hand data
@@ -179,17 +222,53 @@ class MockProvider {
   }
 
   /**
-   * Register callback for gesture recognition
-   * @param {Function} callback - Function to call with gesture data
+   * Register callback for unprocessed frames, before hand tracking
+   * @param {Function} callback - Function to call with (results, timestamp)
    * @returns {Function} - Function to unregister the callback
    */
-  onGestureDetected(callback) {
-    this.gestureCallbacks.push(callback);
+  onRawResults(callback) {
+    this.rawResultsCallbacks.push(callback);
     return () => {
-      this.gestureCallbacks = this.gestureCallbacks.filter(cb => cb !== callback);
+      this.rawResultsCallbacks = this.rawResultsCallbacks.filter(cb => cb !== callback);
     };
   }
 
+  /**
+   * Register callback for gesture recognition
+   * @param {Function} callback - Function to call with gesture data
+   * @param {Object} [options] - { minConfidence } (see GestureEngine.onGestureDetected)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureDetected(callback, options) {
+    return this.gestureEngine.onGestureDetected(callback, options);
+  }
+
+  /**
+   * Register callback for gesture lifecycle events
+   * @param {Function} callback - Called with each event (see GestureEngine.onGestureEvent)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureEvent(callback) {
+    return this.gestureEngine.onGestureEvent(callback);
+  }
+
+  /**
+   * Register a custom gesture definition
+   * @param {Object} definition - Gesture definition
+   * @returns {Function} - Function to unregister the gesture
+   */
+  registerGesture(definition) {
+    return this.gestureEngine.registerGesture(definition);
+  }
+
+  /**
+   * Use a calibration profile's thresholds instead of the defaults
+   * @param {Object|null} profile - Calibration profile, or null for the defaults
+   */
+  setCalibrationProfile(profile) {
+    this.gestureEngine.setThresholds(profile ? profile.thresholds : null);
+  }
+
   /**
    * Start animation loop to simulate hand movements
    */
@@ -197,32 +276,22 @@ class MockProvider {
     const animateFrame = () => {
       if (!this.isTracking) return;
 
-      // Generate simulated hand landmarks
-      const landmarks = this.generateHandLandmarks();
+      // Create simulated MediaPipe results for the current point in the script
+      const timestamp = Date.now();
+      const rawResults = this.generateResults(timestamp);
+      this.rawResultsCallbacks.forEach(callback => callback(rawResults, timestamp));
 
-      // Create simulated MediaPipe results
-      const results = {
-        multiHandLandmarks: [landmarks],
-        multiHandedness: [{ label: 'Right', score: 0.95 }]
-      };
+      // Add persistent hand IDs
+      const results = this.handTracker.update(rawResults, timestamp);
 
       // Notify hand update callbacks
       if (this.handUpdateCallbacks.length > 0) {
-        this.handUpdateCallbacks.forEach(callback => callback(results));
+        const handResults = addHandOrientations(results);
+        this.handUpdateCallbacks.forEach(callback => callback(handResults));
       }
 
-      // Detect and notify about gestures
-      if (this.gestureCallbacks.length > 0) {
-        // Generate the appropriate gesture based on current state
-        let gesture = this.getSimulatedGesture(landmarks);
-
-        // Notify gesture callbacks if gesture exists and enough time has passed
-        if (gesture && Date.now() - this.gestureChangeTime > 500) {
-          this.gestureCallbacks.forEach(callback => {
-            callback(gesture, 'Right', landmarks);
-          });
-        }
-      }
+      // Run the simulated landmarks through gesture recognition
+      this.gestureEngine.processResults(results, timestamp);
 
       // Continue animation
       this.animationFrameId = requestAnimationFrame(animateFrame);
@@ -233,534 +302,205 @@ class MockProvider {
   }
 
   /**
-   * Start cycling through different gestures
+   * Hold a single pose until another pose or script is set. Replaces any
+   * script that is playing.
+   *
+   * @example
+   * mock.setPose({ gesture: 'point', direction: 'left', handedness: 'Left' });
+   *
+   * @param {String|Object} pose - Gesture name, or a script step without a
+   *   duration (see playScript)
    */
-  startGestureCycling() {
-    // Define the gesture cycle sequence
-    const gestureCycle = [
-      { gesture: 'point', direction: 'up' },
-      { gesture: 'point', direction: 'right' },
-      { gesture: 'point', direction: 'down' },
-      { gesture: 'point', direction: 'left' },
-      { gesture: 'point', direction: 'forward' },
-      { gesture: 'point', direction: 'backward' },
-      { gesture: 'point', direction: 'top-left' },
-      { gesture: 'point', direction: 'top-right' },
-      { gesture: 'point', direction: 'bottom-left' },
-      { gesture: 'point', direction: 'bottom-right' },
-      { gesture: 'open' },
-      { gesture: 'grab' },
-      { gesture: 'pinch' },
-      { gesture: 'wave' },
-      { gesture: 'swipe', direction: 'right' },
-      { gesture: 'swipe', direction: 'left' },
-      { gesture: 'swipe', direction: 'up' },
-      { gesture: 'swipe', direction: 'down' }
-    ];
-
-    let cycleIndex = 0;
-
-    // Set up interval to cycle through gestures
-    this.gestureCycleInterval = setInterval(() => {
-      if (!this.isTracking) return;
+  setPose(pose) {
+    const step = typeof pose === 'string' ? { gesture: pose } : pose;
+    this.playScript([{ ...step, duration: Infinity }]);
+  }
 
-      // Get next gesture in cycle
-      const nextGesture = gestureCycle[cycleIndex];
-      this.currentGesture = nextGesture.gesture;
-      this.currentDirection = nextGesture.direction || null;
+  /**
+   * Play a timeline of poses. Replaces any script that is playing; frames are
+   * produced while tracking is running. When a script without looping ends,
+   * its last pose is held.
+   *
+   * @example
+   * mock.playScript([
+   *   { gesture: 'open', duration: 1000 },
+   *   { gesture: 'point', direction: 'right', duration: 1500, moveTo: { x: 0.7, y: 0.6 } },
+   *   { gesture: 'wave', duration: 2000, amplitude: 0.15 },
+   *   { gesture: 'open', hands: 2, duration: 1000 },
+   *   { hands: 0, duration: 500 }
+   * ]);
+   *
+   * @param {Array} script - Steps, each with:
+   * @param {String} [script[].gesture] - 'point', 'open', 'grab', 'pinch', 'wave' or 'swipe' (default 'open')
+   * @param {Number} script[].duration - How long the step lasts (ms)
+   * @param {String} [script[].direction] - Direction to point or swipe
+   * @param {String} [script[].handedness] - 'Right' (default) or 'Left'
+   * @param {Number|Array} [script[].hands] - Number of hands (0-2, default 1). Two hands
+   *   show the pose on both; an array gives each hand its own step fields.
+   * @param {Object} [script[].position] - Wrist position ({ x, y }, normalized)
+   * @param {Object} [script[].moveTo] - Wrist position reached by the end of the step
+   * @param {Number} [script[].amplitude] - Wave swing (default 0.1) or swipe length (default 0.6)
+   * @param {Number} [script[].period] - Time of one wave swing (default 400ms) or one
+   *   swipe stroke and return (default 2000ms)
+   * @param {Object} [options]
+   * @param {Boolean} [options.loop] - Start again from the first step at the end
+   * @returns {Promise} - Resolves when the script has played to the end or is replaced
+   */
+  playScript(script, { loop = false } = {}) {
+    if (!Array.isArray(script) || script.length === 0) {
+      throw new Error('Mock script must be a non-empty array of steps');
+    }
 
-      // Record the time of gesture change
-      this.gestureChangeTime = Date.now();
+    let startTime = 0;
+    const steps = script.map((step, index) => {
+      this.validateScriptStep(step, index);
+      const timedStep = { ...step, startTime };
+      startTime += step.duration;
+      return timedStep;
+    });
+
+    // A replaced script counts as finished
+    if (this.resolveScript) {
+      this.resolveScript();
+    }
 
-      // Move to next gesture in cycle
-      cycleIndex = (cycleIndex + 1) % gestureCycle.length;
+    this.script = steps;
+    this.scriptDuration = startTime;
+    this.scriptLoop = loop;
+    this.scriptStartTime = Date.now();
+    this.scriptStepIndex = -1;
 
-      if (this.debugMode) {
-        console.log(`Changed to ${this.currentGesture} ${this.currentDirection || ''}`);
-      }
-    }, 3000); // Change gesture every 3 seconds
+    return new Promise(resolve => {
+      this.resolveScript = resolve;
+    });
   }
 
   /**
-   * Generate hand landmarks based on current gesture
-   * @returns {Array} - Simulated hand landmarks
+   * Check a script step
+   * @param {Object} step - Script step
+   * @param {Number} index - Position in the script, for the error message
    */
-  generateHandLandmarks() {
-    // Create a basic hand shape
-    const landmarks = [];
-
-    // Wrist (landmark 0)
-    landmarks.push({ x: 0.5, y: 0.8, z: 0 });
-
-    // Add landmarks for different fingers and joints
-    // 21 landmarks total (1 wrist + 4 landmarks for each of the 5 fingers)
-
-    // Base positions for each finger
-    const thumbBase = { x: 0.4, y: 0.75, z: 0 };
-    const indexBase = { x: 0.45, y: 0.65, z: 0 };
-    const middleBase = { x: 0.5, y: 0.65, z: 0 };
-    const ringBase = { x: 0.55, y: 0.65, z: 0 };
-    const pinkyBase = { x: 0.6, y: 0.65, z: 0 };
-
-    // Modify the hand shape based on the current gesture
-    switch (this.currentGesture) {
-      case 'point':
-        // Add thumb (4 landmarks)
-        landmarks.push(
-          { x: thumbBase.x, y: thumbBase.y, z: 0 },
-          { x: thumbBase.x - 0.03, y: thumbBase.y - 0.03, z: 0 },
-          { x: thumbBase.x - 0.06, y: thumbBase.y - 0.06, z: 0 },
-          { x: thumbBase.x - 0.09, y: thumbBase.y - 0.09, z: 0 }
-        );
-
-        // Add index finger (4 landmarks) - extended based on direction
-        this.addPointingFinger(landmarks, indexBase, this.currentDirection);
-
-        // Add middle finger (4 landmarks) - curled
-        landmarks.push(
-          { x: middleBase.x, y: middleBase.y, z: 0 },
-          { x: middleBase.x, y: middleBase.y + 0.05, z: 0 },
-          { x: middleBase.x, y: middleBase.y + 0.08, z: 0 },
-          { x: middleBase.x, y: middleBase.y + 0.1, z: 0 }
-        );
-
-        // Add ring finger (4 landmarks) - curled
-        landmarks.push(
-          { x: ringBase.x, y: ringBase.y, z: 0 },
-          { x: ringBase.x, y: ringBase.y + 0.05, z: 0 },
-          { x: ringBase.x, y: ringBase.y + 0.08, z: 0 },
-          { x: ringBase.x, y: ringBase.y + 0.1, z: 0 }
-        );
-
-        // Add pinky finger (4 landmarks) - curled
-        landmarks.push(
-          { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y + 0.05, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y + 0.08, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y + 0.1, z: 0 }
-        );
-        break;
-
-      case 'open':
-        // Add thumb (4 landmarks) - extended
-        landmarks.push(
-          { x: thumbBase.x, y: thumbBase.y, z: 0 },
-          { x: thumbBase.x - 0.05, y: thumbBase.y - 0.05, z: 0 },
-          { x: thumbBase.x - 0.1, y: thumbBase.y - 0.05, z: 0 },
-          { x: thumbBase.x - 0.15, y: thumbBase.y - 0.05, z: 0 }
-        );
-
-        // Add index finger (4 landmarks) - extended
-        landmarks.push(
-          { x: indexBase.x, y: indexBase.y, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.1, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.2, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.3, z: 0 }
-        );
-
-        // Add middle finger (4 landmarks) - extended
-        landmarks.push(
-          { x: middleBase.x, y: middleBase.y, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.1, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.2, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.3, z: 0 }
-        );
-
-        // Add ring finger (4 landmarks) - extended
-        landmarks.push(
-          { x: ringBase.x, y: ringBase.y, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.1, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.2, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.3, z: 0 }
-        );
-
-        // Add pinky finger (4 landmarks) - extended
-        landmarks.push(
-          { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.1, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.2, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.3, z: 0 }
-        );
-        break;
-
-      case 'grab':
-        // All fingers curled
-        // Add thumb (4 landmarks) - curled
-        landmarks.push(
-          { x: thumbBase.x, y: thumbBase.y, z: 0 },
-          { x: thumbBase.x + 0.03, y: thumbBase.y, z: 0 },
-          { x: thumbBase.x + 0.06, y: thumbBase.y + 0.02, z: 0 },
-          { x: thumbBase.x + 0.08, y: thumbBase.y + 0.05, z: 0 }
-        );
-
-        // Add index finger (4 landmarks) - curled
-        landmarks.push(
-          { x: indexBase.x, y: indexBase.y, z: 0 },
-          { x: indexBase.x, y: indexBase.y + 0.05, z: 0 },
-          { x: indexBase.x, y: indexBase.y + 0.1, z: 0 },
-          { x: indexBase.x, y: indexBase.y + 0.12, z: 0 }
-        );
-
-        // Add middle finger (4 landmarks) - curled
-        landmarks.push(
-          { x: middleBase.x, y: middleBase.y, z: 0 },
-          { x: middleBase.x, y: middleBase.y + 0.05, z: 0 },
-          { x: middleBase.x, y: middleBase.y + 0.1, z: 0 },
-          { x: middleBase.x, y: middleBase.y + 0.12, z: 0 }
-        );
-
-        // Add ring finger (4 landmarks) - curled
-        landmarks.push(
-          { x: ringBase.x, y: ringBase.y, z: 0 },
-          { x: ringBase.x, y: ringBase.y + 0.05, z: 0 },
-          { x: ringBase.x, y: ringBase.y + 0.1, z: 0 },
-          { x: ringBase.x, y: ringBase.y + 0.12, z: 0 }
-        );
-
-        // Add pinky finger (4 landmarks) - curled
-        landmarks.push(
-          { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y + 0.05, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y + 0.1, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y + 0.12, z: 0 }
-        );
-        break;
-
-      case 'pinch':
-        // Add thumb (4 landmarks) - pointing toward index
-        landmarks.push(
-          { x: thumbBase.x, y: thumbBase.y, z: 0 },
-          { x: thumbBase.x + 0.02, y: thumbBase.y - 0.05, z: 0 },
-          { x: thumbBase.x + 0.04, y: thumbBase.y - 0.1, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.15, z: 0 } // Thumb tip meets index tip
-        );
-
-        // Add index finger (4 landmarks) - pointing toward thumb
-        landmarks.push(
-          { x: indexBase.x, y: indexBase.y, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.05, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.1, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.15, z: 0 } // Index tip meets thumb tip
-        );
-
-        // Add middle finger (4 landmarks) - extended
-        landmarks.push(
-          { x: middleBase.x, y: middleBase.y, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.1, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.2, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.3, z: 0 }
-        );
-
-        // Add ring finger (4 landmarks) - extended
-        landmarks.push(
-          { x: ringBase.x, y: ringBase.y, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.1, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.2, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.3, z: 0 }
-        );
-
-        // Add pinky finger (4 landmarks) - extended
-        landmarks.push(
-          { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.1, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.2, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.3, z: 0 }
-        );
-        break;
-
-      case 'wave':
-        // Similar to open hand but with slight offset for animation
-        // Add sine wave movement to simulate waving
-        const waveOffset = Math.sin(Date.now() / 150) * 0.1;
-
-        // Add thumb (4 landmarks)
-        landmarks.push(
-          { x: thumbBase.x + waveOffset, y: thumbBase.y, z: 0 },
-          { x: thumbBase.x - 0.05 + waveOffset, y: thumbBase.y - 0.05, z: 0 },
-          { x: thumbBase.x - 0.1 + waveOffset, y: thumbBase.y - 0.05, z: 0 },
-          { x: thumbBase.x - 0.15 + waveOffset, y: thumbBase.y - 0.05, z: 0 }
-        );
-
-        // Add index finger (4 landmarks)
-        landmarks.push(
-          { x: indexBase.x + waveOffset, y: indexBase.y, z: 0 },
-          { x: indexBase.x + waveOffset, y: indexBase.y - 0.1, z: 0 },
-          { x: indexBase.x + waveOffset, y: indexBase.y - 0.2, z: 0 },
-          { x: indexBase.x + waveOffset, y: indexBase.y - 0.3, z: 0 }
-        );
-
-        // Add middle finger (4 landmarks)
-        landmarks.push(
-          { x: middleBase.x + waveOffset, y: middleBase.y, z: 0 },
-          { x: middleBase.x + waveOffset, y: middleBase.y - 0.1, z: 0 },
-          { x: middleBase.x + waveOffset, y: middleBase.y - 0.2, z: 0 },
-          { x: middleBase.x + waveOffset, y: middleBase.y - 0.3, z: 0 }
-        );
-
-        // Add ring finger (4 landmarks)
-        landmarks.push(
-          { x: ringBase.x + waveOffset, y: ringBase.y, z: 0 },
-          { x: ringBase.x + waveOffset, y: ringBase.y - 0.1, z: 0 },
-          { x: ringBase.x + waveOffset, y: ringBase.y - 0.2, z: 0 },
-          { x: ringBase.x + waveOffset, y: ringBase.y - 0.3, z: 0 }
-        );
-
-        // Add pinky finger (4 landmarks)
-        landmarks.push(
-          { x: pinkyBase.x + waveOffset, y: pinkyBase.y, z: 0 },
-          { x: pinkyBase.x + waveOffset, y: pinkyBase.y - 0.1, z: 0 },
-          { x: pinkyBase.x + waveOffset, y: pinkyBase.y - 0.2, z: 0 },
-          { x: pinkyBase.x + waveOffset, y: pinkyBase.y - 0.3, z: 0 }
-        );
-        break;
-
-      case 'swipe':
-        // Similar to open hand but with movement in specified direction
-        const swipeProgress = (Date.now() % 1000) / 1000; // 0 to 1 over 1 second
-        let swipeOffsetX = 0;
-        let swipeOffsetY = 0;
-
-        // Set offset based on direction
-        if (this.currentDirection === 'right') {
-          swipeOffsetX = swipeProgress * 0.3;
-        } else if (this.currentDirection === 'left') {
-          swipeOffsetX = -swipeProgress * 0.3;
-        } else if (this.currentDirection === 'up') {
-          swipeOffsetY = -swipeProgress * 0.3;
-        } else if (this.currentDirection === 'down') {
-          swipeOffsetY = swipeProgress * 0.3;
-        }
-
-        // Add thumb (4 landmarks)
-        landmarks.push(
-          { x: thumbBase.x + swipeOffsetX, y: thumbBase.y + swipeOffsetY, z: 0 },
-          { x: thumbBase.x - 0.05 + swipeOffsetX, y: thumbBase.y - 0.05 + swipeOffsetY, z: 0 },
-          { x: thumbBase.x - 0.1 + swipeOffsetX, y: thumbBase.y - 0.05 + swipeOffsetY, z: 0 },
-          { x: thumbBase.x - 0.15 + swipeOffsetX, y: thumbBase.y - 0.05 + swipeOffsetY, z: 0 }
-        );
-
-        // Add index finger (4 landmarks)
-        landmarks.push(
-          { x: indexBase.x + swipeOffsetX, y: indexBase.y + swipeOffsetY, z: 0 },
-          { x: indexBase.x + swipeOffsetX, y: indexBase.y - 0.1 + swipeOffsetY, z: 0 },
-          { x: indexBase.x + swipeOffsetX, y: indexBase.y - 0.2 + swipeOffsetY, z: 0 },
-          { x: indexBase.x + swipeOffsetX, y: indexBase.y - 0.3 + swipeOffsetY, z: 0 }
-        );
-
-        // Add middle finger (4 landmarks)
-        landmarks.push(
-          { x: middleBase.x + swipeOffsetX, y: middleBase.y + swipeOffsetY, z: 0 },
-          { x: middleBase.x + swipeOffsetX, y: middleBase.y - 0.1 + swipeOffsetY, z: 0 },
-          { x: middleBase.x + swipeOffsetX, y: middleBase.y - 0.2 + swipeOffsetY, z: 0 },
-          { x: middleBase.x + swipeOffsetX, y: middleBase.y - 0.3 + swipeOffsetY, z: 0 }
-        );
-
-        // Add ring finger (4 landmarks)
-        landmarks.push(
-          { x: ringBase.x + swipeOffsetX, y: ringBase.y + swipeOffsetY, z: 0 },
-          { x: ringBase.x + swipeOffsetX, y: ringBase.y - 0.1 + swipeOffsetY, z: 0 },
-          { x: ringBase.x + swipeOffsetX, y: ringBase.y - 0.2 + swipeOffsetY, z: 0 },
-          { x: ringBase.x + swipeOffsetX, y: ringBase.y - 0.3 + swipeOffsetY, z: 0 }
-        );
-
-        // Add pinky finger (4 landmarks)
-        landmarks.push(
-          { x: pinkyBase.x + swipeOffsetX, y: pinkyBase.y + swipeOffsetY, z: 0 },
-          { x: pinkyBase.x + swipeOffsetX, y: pinkyBase.y - 0.1 + swipeOffsetY, z: 0 },
-          { x: pinkyBase.x + swipeOffsetX, y: pinkyBase.y - 0.2 + swipeOffsetY, z: 0 },
-          { x: pinkyBase.x + swipeOffsetX, y: pinkyBase.y - 0.3 + swipeOffsetY, z: 0 }
-        );
-        break;
-
-      default:
-        // Default to open hand
-        // Add thumb (4 landmarks)
-        landmarks.push(
-          { x: thumbBase.x, y: thumbBase.y, z: 0 },
-          { x: thumbBase.x - 0.05, y: thumbBase.y - 0.05, z: 0 },
-          { x: thumbBase.x - 0.1, y: thumbBase.y - 0.05, z: 0 },
-          { x: thumbBase.x - 0.15, y: thumbBase.y - 0.05, z: 0 }
-        );
-
-        // Add index finger (4 landmarks)
-        landmarks.push(
-          { x: indexBase.x, y: indexBase.y, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.1, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.2, z: 0 },
-          { x: indexBase.x, y: indexBase.y - 0.3, z: 0 }
-        );
-
-        // Add middle finger (4 landmarks)
-        landmarks.push(
-          { x: middleBase.x, y: middleBase.y, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.1, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.2, z: 0 },
-          { x: middleBase.x, y: middleBase.y - 0.3, z: 0 }
-        );
-
-        // Add ring finger (4 landmarks)
-        landmarks.push(
-          { x: ringBase.x, y: ringBase.y, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.1, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.2, z: 0 },
-          { x: ringBase.x, y: ringBase.y - 0.3, z: 0 }
-        );
-
-        // Add pinky finger (4 landmarks)
-        landmarks.push(
-          { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.1, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.2, z: 0 },
-          { x: pinkyBase.x, y: pinkyBase.y - 0.3, z: 0 }
-        );
-        break;
+  validateScriptStep(step, index) {
+    if (!step || typeof step.duration !== 'number' || !(step.duration > 0)) {
+      throw new Error(`Mock script step ${index} needs a positive duration`);
     }
 
-    return landmarks;
+    const hands = Array.isArray(step.hands) ? step.hands : [step];
+    hands.forEach(hand => {
+      const gesture = hand.gesture || step.gesture;
+      if (gesture && !SYNTHETIC_GESTURES.includes(gesture)) {
+        throw new Error(`Mock script step ${index} has unknown gesture '${gesture}'`);
+      }
+    });
+
+    if (typeof step.hands === 'number' && (step.hands < 0 || step.hands > 2)) {
+      throw new Error(`Mock script step ${index} must have 0, 1 or 2 hands`);
+    }
   }
 
   /**
-   * Add a pointing finger to the landmarks array based on direction
-   * @param {Array} landmarks - Array of landmarks to add to
-   * @param {Object} base - Base position of the finger
-   * @param {String} direction - Direction to point
+   * Find the script step playing at a given time
+   * @param {Number} timestamp - Current time (ms)
+   * @returns {Object} - { step, elapsed } where elapsed is the time into the step
    */
-  addPointingFinger(landmarks, base, direction) {
-    switch (direction) {
-      case 'up':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x, y: base.y - 0.1, z: 0 },
-          { x: base.x, y: base.y - 0.2, z: 0 },
-          { x: base.x, y: base.y - 0.3, z: 0 }
-        );
-        break;
-      case 'down':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x, y: base.y + 0.1, z: 0 },
-          { x: base.x, y: base.y + 0.2, z: 0 },
-          { x: base.x, y: base.y + 0.3, z: 0 }
-        );
-        break;
-      case 'left':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x - 0.1, y: base.y, z: 0 },
-          { x: base.x - 0.2, y: base.y, z: 0 },
-          { x: base.x - 0.3, y: base.y, z: 0 }
-        );
-        break;
-      case 'right':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x + 0.1, y: base.y, z: 0 },
-          { x: base.x + 0.2, y: base.y, z: 0 },
-          { x: base.x + 0.3, y: base.y, z: 0 }
-        );
-        break;
-      case 'forward':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x, y: base.y - 0.1, z: -0.1 },
-          { x: base.x, y: base.y - 0.15, z: -0.2 },
-          { x: base.x, y: base.y - 0.2, z: -0.3 }
-        );
-        break;
-      case 'backward':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x, y: base.y - 0.1, z: 0.1 },
-          { x: base.x, y: base.y - 0.15, z: 0.2 },
-          { x: base.x, y: base.y - 0.2, z: 0.3 }
-        );
-        break;
-      case 'top-left':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x - 0.1, y: base.y - 0.1, z: 0 },
-          { x: base.x - 0.2, y: base.y - 0.2, z: 0 },
-          { x: base.x - 0.3, y: base.y - 0.3, z: 0 }
-        );
-        break;
-      case 'top-right':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x + 0.1, y: base.y - 0.1, z: 0 },
-          { x: base.x + 0.2, y: base.y - 0.2, z: 0 },
-          { x: base.x + 0.3, y: base.y - 0.3, z: 0 }
-        );
-        break;
-      case 'bottom-left':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x - 0.1, y: base.y + 0.1, z: 0 },
-          { x: base.x - 0.2, y: base.y + 0.2, z: 0 },
-          { x: base.x - 0.3, y: base.y + 0.3, z: 0 }
-        );
-        break;
-      case 'bottom-right':
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x + 0.1, y: base.y + 0.1, z: 0 },
-          { x: base.x + 0.2, y: base.y + 0.2, z: 0 },
-          { x: base.x + 0.3, y: base.y + 0.3, z: 0 }
-        );
-        break;
-      default:
-        // Default to pointing up
-        landmarks.push(
-          { x: base.x, y: base.y, z: 0 },
-          { x: base.x, y: base.y - 0.1, z: 0 },
-          { x: base.x, y: base.y - 0.2, z: 0 },
-          { x: base.x, y: base.y - 0.3, z: 0 }
-        );
-        break;
+  getScriptPosition(timestamp) {
+    let time = timestamp - this.scriptStartTime;
+
+    if (time >= this.scriptDuration) {
+      if (this.scriptLoop) {
+        time %= this.scriptDuration;
+      } else if (this.resolveScript) {
+        this.resolveScript();
+        this.resolveScript = null;
+      }
     }
+
+    // Last step whose start has passed; after the end the last step is held
+    let index = this.script.length - 1;
+    while (index > 0 && this.script[index].startTime > time) {
+      index--;
+    }
+
+    if (index !== this.scriptStepIndex) {
+      this.scriptStepIndex = index;
+      if (this.debugMode) {
+        const { gesture = 'open', direction = '' } = this.script[index];
+        console.log(`Mock script step ${index}: ${gesture} ${direction}`);
+      }
+    }
+
+    const step = this.script[index];
+    return { step, elapsed: time - step.startTime };
   }
 
   /**
-   * Get simulated gesture based on current state
-   * @param {Array} landmarks - Hand landmarks
-   * @returns {Object|null} - Simulated gesture or null
+   * Generate simulated MediaPipe results for the script at a given time
+   * @param {Number} timestamp - Current time (ms)
+   * @returns {Object} - Results in the MediaPipe Hands shape
    */
-  getSimulatedGesture(landmarks) {
-    switch (this.currentGesture) {
-      case 'point':
-        return {
-          name: 'point',
-          direction: this.currentDirection || 'up',
-          confidence: 0.9,
-          vector: {
-            dx: this.currentDirection === 'right' ? 0.3 : (this.currentDirection === 'left' ? -0.3 : 0),
-            dy: this.currentDirection === 'down' ? 0.3 : (this.currentDirection === 'up' ? -0.3 : 0),
-            dz: this.currentDirection === 'backward' ? 0.3 : (this.currentDirection === 'forward' ? -0.3 : 0)
-          }
-        };
-      case 'open':
-        return { name: 'open', confidence: 0.9 };
-      case 'grab':
-        return { name: 'grab', confidence: 0.9 };
-      case 'pinch':
-        return {
-          name: 'pinch',
-          strength: 0.9,
-          duration: 500, // Simulated duration
-          confidence: 0.9
-        };
-      case 'wave':
-        return { name: 'wave', confidence: 0.9 };
-      case 'swipe':
-        return {
-          name: 'swipe',
-          direction: this.currentDirection || 'right',
-          speed: 0.8,
-          confidence: 0.9
-        };
-      default:
-        return null;
+  generateResults(timestamp) {
+    const { step, elapsed } = this.getScriptPosition(timestamp);
+    const hands = this.getStepHands(step);
+
+    return {
+      multiHandLandmarks: hands.map(hand => this.generateHand(hand, elapsed, step.duration)),
+      multiHandedness: hands.map((hand, index) => ({ index, score: 0.95, label: hand.handedness }))
+    };
+  }
+
+  /**
+   * Expand a script step into one description per hand
+   * @param {Object} step - Script step
+   * @returns {Array} - Hand descriptions with gesture, handedness and position filled in
+   */
+  getStepHands(step) {
+    const { hands: handSpec = 1, ...shared } = step;
+    const handedness = shared.handedness || 'Right';
+    const otherHandedness = handedness === 'Right' ? 'Left' : 'Right';
+
+    let hands;
+    if (Array.isArray(handSpec)) {
+      hands = handSpec.map((hand, index) => ({
+        ...shared,
+        handedness: index === 0 ? handedness : otherHandedness,
+        ...hand
+      }));
+    } else {
+      hands = [];
+      if (handSpec >= 1) hands.push({ ...shared, handedness });
+      if (handSpec >= 2) hands.push({ ...shared, handedness: otherHandedness });
     }
+
+    // Side by side when there are two hands, the right hand on the right
+    return hands.map(hand => {
+      if (hand.position) return hand;
+
+      const offset = hands.length < 2 ? 0 : (hand.handedness === 'Right' ? TWO_HAND_OFFSET : -TWO_HAND_OFFSET);
+      return { ...hand, position: { x: DEFAULT_WRIST.x + offset, y: DEFAULT_WRIST.y } };
+    });
+  }
+
+  /**
+   * Generate the landmarks of one hand at a point in a step
+   * @param {Object} hand - Hand description from getStepHands
+   * @param {Number} elapsed - Time into the step (ms)
+   * @param {Number} duration - Length of the step (ms)
+   * @returns {Array} - Simulated hand landmarks
+   */
+  generateHand(hand, elapsed, duration) {
+    // Wrist position: moving towards moveTo over the step, plus wave or swipe motion
+    const from = hand.position;
+    const to = hand.moveTo || from;
+    const progress = Number.isFinite(duration) ? Math.min(elapsed / duration, 1) : 0;
+    const motion = getMotionOffset(hand.gesture, hand, elapsed);
+
+    return generateSyntheticHand(hand, {
+      x: from.x + (to.x - from.x) * progress + motion.x,
+      y: from.y + (to.y - from.y) * progress + motion.y
+    });
   }
+
+
 }
 
 export default MockProvider;
@@ -0,0 +1,497 @@
+// src/core/input/providers/pointer.js
+
+/**
+ * Pointer Provider
+ * Input without a camera, for children who can't use hand tracking. The
+ * mouse, touch or pen position drives a virtual index fingertip, and keys,
+ * taps and presses change the hand's pose. The virtual hand goes through the
+ * same hand tracking and gesture detection as camera input, so modules get
+ * the same onHandUpdate results and onGestureDetected payloads.
+ *
+ * Default controls:
+ * - Move the pointer: move the hand (a quick flick swipes, a fast wiggle waves)
+ * - Tap or click: pinch
+ * - Press and hold: grab, until released
+ * - Arrow keys: point in that direction
+ * - Space: grab, Enter: pinch, O: open hand (while held)
+ * - W/A/S/D: swipe up/left/down/right, Q: wave
+ *
+ * Keys only drive the hand while no button, link or other control has the
+ * focus; a focused control keeps its usual keys.
+ */
+import GestureEngine from '../gestures/gesture-engine.js';
+import { addHandOrientations } from '../gestures/hand-orientation.js';
+import HandTracker from '../tracking/hand-tracker.js';
+import { generateSyntheticHand, getMotionOffset } from '../simulation/synthetic-hand.js';
+import { resolveOptions } from '../options.js';
+
+/**
+ * Default key bindings, by KeyboardEvent.key. Point keys change the pointing
+ * direction, wave and swipe keys play the motion once, and other poses are
+ * shown while the key is held.
+ */
+export const DEFAULT_POINTER_KEYS = {
+  'ArrowUp': { gesture: 'point', direction: 'up' },
+  'ArrowDown': { gesture: 'point', direction: 'down' },
+  'ArrowLeft': { gesture: 'point', direction: 'left' },
+  'ArrowRight': { gesture: 'point', direction: 'right' },
+  ' ': { gesture: 'grab' },
+  'Enter': { gesture: 'pinch' },
+  'o': { gesture: 'open' },
+  'w': { gesture: 'swipe', direction: 'up' },
+  'a': { gesture: 'swipe', direction: 'left' },
+  's': { gesture: 'swipe', direction: 'down' },
+  'd': { gesture: 'swipe', direction: 'right' },
+  'q': { gesture: 'wave' }
+};
+
+// How long key-triggered motions last (ms): three wave swings, and one
+// swipe stroke with its slow return
+const MOTION_DURATIONS = {
+  wave: 1200,
+  swipe: 2000
+};
+
+// How long a tap shows the pinch pose (ms)
+const TAP_PINCH_TIME = 300;
+
+// Offset from the index fingertip to the wrist when pointing up, so the
+// fingertip sits under the pointer
+const FINGERTIP_TO_WRIST = { x: 0, y: 0.45 };
+
+// Focused controls keep their keys, so typing and activating buttons and
+// links from the keyboard still work
+const CONTROL_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON', 'A'];
+
+/**
+ * Check whether a key event's target uses the keys itself
+ * @param {EventTarget} target - Target of the keyboard event
+ * @returns {Boolean} - True for focused controls, editable content and other
+ *   focusable elements; false for the page itself
+ */
+function isKeyboardControl(target) {
+  if (!target || !target.tagName || target.tagName === 'BODY' || target.tagName === 'HTML') {
+    return false;
+  }
+  return CONTROL_TAGS.includes(target.tagName) ||
+    target.isContentEditable ||
+    target.hasAttribute('tabindex');
+}
+
+class PointerProvider {
+  /**
+   * @param {String|Object} [options] - Input options or preset name (see options.js)
+   */
+  constructor(options) {
+    this.options = resolveOptions(options);
+    this.videoElement = null;
+    this.isInitialized = false;
+    this.isTracking = false;
+    this.handUpdateCallbacks = [];
+    this.rawResultsCallbacks = [];
+
+    // Shared gesture recognition - the virtual hand goes through the same
+    // detectors as real MediaPipe landmarks
+    this.gestureEngine = new GestureEngine(this.options);
+
+    // Persistent hand IDs, as with the MediaPipe provider
+    this.handTracker = new HandTracker(this.options);
+
+    // Animation frame request
+    this.animationFrameId = null;
+
+    // Virtual fingertip position, normalized like MediaPipe landmarks
+    this.pointer = { x: 0.5, y: 0.5 };
+
+    // Pose shown when nothing is pressed; arrow keys change its direction
+    this.pointDirection = 'up';
+
+    // Poses held by keys or the pointer button, latest last
+    this.heldPoses = [];
+
+    // Wave or swipe being played ({ gesture, direction, startTime })
+    this.motion = null;
+
+    // Press that may turn into a tap or a grab
+    this.pressTimer = null;
+    this.pressStartTime = 0;
+    this.tapTimer = null;
+
+    // Bound event handlers, so they can be removed
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+
+    // Debug mode - set to true to enable console logging
+    this.debugMode = false;
+  }
+
+  /**
+   * Initialize the pointer provider
+   * @returns {Promise} - Resolves when initialized
+   */
+  async initialize() {
+    try {
+      if (typeof window === 'undefined') {
+        throw new Error('Pointer provider needs a browser window');
+      }
+
+      this.isInitialized = true;
+      console.log('Pointer input provider initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize pointer provider:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply new input options
+   * @param {String|Object} options - Input options or preset name
+   * @returns {Promise} - Resolves when the options are applied
+   */
+  async updateOptions(options) {
+    this.options = resolveOptions(options);
+    this.gestureEngine.setOptions(this.options);
+    this.handTracker.setOptions(this.options);
+  }
+
+  /**
+   * Set the element the pointer position is measured against. Without one,
+   * the whole window is used.
+   * @param {HTMLVideoElement} videoElement - The video element
+   */
+  setVideoElement(videoElement) {
+    this.videoElement = videoElement;
+  }
+
+  /**
+   * Start listening to pointer and keyboard input
+   * @returns {Promise} - Resolves when tracking has started
+   */
+  async startTracking() {
+    if (!this.isInitialized) {
+      throw new Error('Pointer provider not initialized');
+    }
+
+    if (this.isTracking) {
+      return; // Already tracking
+    }
+
+    try {
+      this.isTracking = true;
+
+      // Reset gesture detection state
+      this.gestureEngine.resetState();
+      this.handTracker.reset();
+      this.heldPoses = [];
+      this.motion = null;
+
+      window.addEventListener('pointermove', this.handlePointerMove);
+      window.addEventListener('pointerdown', this.handlePointerDown);
+      window.addEventListener('pointerup', this.handlePointerUp);
+      window.addEventListener('pointercancel', this.handlePointerUp);
+      window.addEventListener('keydown', this.handleKeyDown);
+      window.addEventListener('keyup', this.handleKeyUp);
+
+      this.startAnimationLoop();
+
+      console.log('Pointer input started');
+      return true;
+    } catch (error) {
+      console.error('Failed to start pointer input:', error);
+      this.isTracking = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Stop listening to pointer and keyboard input
+   * @returns {Promise} - Resolves when tracking has stopped
+   */
+  async stopTracking() {
+    if (!this.isTracking) return;
+
+    this.isTracking = false;
+
+    window.removeEventListener('pointermove', this.handlePointerMove);
+    window.removeEventListener('pointerdown', this.handlePointerDown);
+    window.removeEventListener('pointerup', this.handlePointerUp);
+    window.removeEventListener('pointercancel', this.handlePointerUp);
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+
+    // Stop animation loop
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    clearTimeout(this.pressTimer);
+    clearTimeout(this.tapTimer);
+
+    // Reset gesture detection state
+    this.gestureEngine.resetState();
+    this.handTracker.reset();
+
+    console.log('Pointer input stopped');
+    return true;
+  }
+
+  /**
+   * Stop listening to input and release all callbacks
+   * @returns {Promise} - Resolves when everything is released
+   */
+  async dispose() {
+    await this.stopTracking();
+
+    this.isInitialized = false;
+    this.handUpdateCallbacks = [];
+    this.rawResultsCallbacks = [];
+    this.gestureEngine.clearCallbacks();
+  }
+
+  /**
+   * Register callback for hand updates
+   * @param {Function} callback - Function to call with hand data
+   * @returns {Function} - Function to unregister the callback
+   */
+  onHandUpdate(callback) {
+    this.handUpdateCallbacks.push(callback);
+    return () => {
+      this.handUpdateCallbacks = this.handUpdateCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for unprocessed frames, before hand tracking
+   * @param {Function} callback - Function to call with (results, timestamp)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onRawResults(callback) {
+    this.rawResultsCallbacks.push(callback);
+    return () => {
+      this.rawResultsCallbacks = this.rawResultsCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for gesture recognition
+   * @param {Function} callback - Function to call with gesture data
+   * @param {Object} [options] - { minConfidence } (see GestureEngine.onGestureDetected)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureDetected(callback, options) {
+    return this.gestureEngine.onGestureDetected(callback, options);
+  }
+
+  /**
+   * Register callback for gesture lifecycle events
+   * @param {Function} callback - Called with each event (see GestureEngine.onGestureEvent)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureEvent(callback) {
+    return this.gestureEngine.onGestureEvent(callback);
+  }
+
+  /**
+   * Register a custom gesture definition
+   * @param {Object} definition - Gesture definition
+   * @returns {Function} - Function to unregister the gesture
+   */
+  registerGesture(definition) {
+    return this.gestureEngine.registerGesture(definition);
+  }
+
+  /**
+   * Use a calibration profile's thresholds instead of the defaults
+   * @param {Object|null} profile - Calibration profile, or null for the defaults
+   */
+  setCalibrationProfile(profile) {
+    this.gestureEngine.setThresholds(profile ? profile.thresholds : null);
+  }
+
+  /**
+   * Start animation loop that turns the input state into hand frames
+   */
+  startAnimationLoop() {
+    const animateFrame = () => {
+      if (!this.isTracking) return;
+
+      const timestamp = Date.now();
+      const rawResults = this.generateResults(timestamp);
+      this.rawResultsCallbacks.forEach(callback => callback(rawResults, timestamp));
+
+      // Add persistent hand IDs
+      const results = this.handTracker.update(rawResults, timestamp);
+
+      // Notify hand update callbacks
+      if (this.handUpdateCallbacks.length > 0) {
+        const handResults = addHandOrientations(results);
+        this.handUpdateCallbacks.forEach(callback => callback(handResults));
+      }
+
+      // Run the virtual hand through gesture recognition
+      this.gestureEngine.processResults(results, timestamp);
+
+      // Continue animation
+      this.animationFrameId = requestAnimationFrame(animateFrame);
+    };
+
+    // Start animation loop
+    this.animationFrameId = requestAnimationFrame(animateFrame);
+  }
+
+  /**
+   * Build the virtual hand for the current input state
+   * @param {Number} timestamp - Current time (ms)
+   * @returns {Object} - Results in the MediaPipe Hands shape
+   */
+  generateResults(timestamp) {
+    let pose = { gesture: 'point', direction: this.pointDirection };
+    let offset = { x: 0, y: 0 };
+
+    if (this.motion && timestamp - this.motion.startTime >= MOTION_DURATIONS[this.motion.gesture]) {
+      this.motion = null;
+    }
+
+    if (this.motion) {
+      pose = { gesture: 'open' };
+      offset = getMotionOffset(this.motion.gesture, this.motion, timestamp - this.motion.startTime);
+    } else if (this.heldPoses.length > 0) {
+      pose = this.heldPoses[this.heldPoses.length - 1].pose;
+    }
+
+    const handedness = this.options.pointerHandedness;
+    const wrist = {
+      x: this.pointer.x + FINGERTIP_TO_WRIST.x + offset.x,
+      y: this.pointer.y + FINGERTIP_TO_WRIST.y + offset.y
+    };
+
+    return {
+      multiHandLandmarks: [generateSyntheticHand({ ...pose, handedness }, wrist)],
+      multiHandedness: [{ index: 0, score: 1, label: handedness }]
+    };
+  }
+
+  /**
+   * Show a pose until released
+   * @param {String} source - What holds the pose (a key or 'pointer')
+   * @param {Object} pose - Pose to show ({ gesture, direction })
+   */
+  holdPose(source, pose) {
+    this.releasePose(source);
+    this.heldPoses.push({ source, pose });
+  }
+
+  /**
+   * Stop showing a held pose
+   * @param {String} source - What held the pose
+   */
+  releasePose(source) {
+    this.heldPoses = this.heldPoses.filter(held => held.source !== source);
+  }
+
+  /**
+   * Track the pointer as the fingertip position
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    const rect = this.videoElement && this.videoElement.getBoundingClientRect();
+    const area = rect && rect.width > 0 && rect.height > 0
+      ? rect
+      : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+
+    const x = (event.clientX - area.left) / area.width;
+    const y = (event.clientY - area.top) / area.height;
+
+    // Camera images are shown mirrored, so mirror x to keep the hand under the pointer
+    this.pointer = {
+      x: this.options.pointerMirror ? 1 - x : x,
+      y
+    };
+  }
+
+  /**
+   * A press becomes a grab when held, or a pinch when released quickly
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    if (!event.isPrimary) return;
+
+    this.handlePointerMove(event);
+    this.pressStartTime = Date.now();
+
+    clearTimeout(this.pressTimer);
+    this.pressTimer = setTimeout(() => {
+      this.holdPose('pointer', { gesture: 'grab' });
+    }, this.options.pointerTapTime);
+  }
+
+  /**
+   * End a press
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerUp(event) {
+    if (!event.isPrimary) return;
+
+    clearTimeout(this.pressTimer);
+    this.releasePose('pointer');
+
+    if (event.type === 'pointerup' && Date.now() - this.pressStartTime < this.options.pointerTapTime) {
+      // Tap: pinch briefly
+      this.holdPose('tap', { gesture: 'pinch' });
+      clearTimeout(this.tapTimer);
+      this.tapTimer = setTimeout(() => this.releasePose('tap'), TAP_PINCH_TIME);
+    }
+  }
+
+  /**
+   * Apply a key binding
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    if (isKeyboardControl(event.target)) return;
+
+    const binding = this.getKeyBinding(event);
+    if (!binding) return;
+
+    event.preventDefault();
+    if (event.repeat) return;
+
+    if (this.debugMode) {
+      console.log(`Key ${event.key}: ${binding.gesture} ${binding.direction || ''}`);
+    }
+
+    if (binding.gesture === 'point') {
+      this.pointDirection = binding.direction;
+    } else if (MOTION_DURATIONS[binding.gesture]) {
+      this.motion = { ...binding, startTime: Date.now() };
+    } else {
+      this.holdPose(event.key, binding);
+    }
+  }
+
+  /**
+   * Release a held key pose, wherever the focus has moved since
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyUp(event) {
+    if (!this.getKeyBinding(event)) return;
+    this.releasePose(event.key);
+  }
+
+  /**
+   * Find the binding for a key
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {Object|null} - Binding ({ gesture, direction }) or null
+   */
+  getKeyBinding(event) {
+    const keys = this.options.pointerKeys || DEFAULT_POINTER_KEYS;
+    return keys[event.key] || keys[event.key.toLowerCase()] || null;
+  }
+}
+
+export default PointerProvider;
@@ -0,0 +1,356 @@
+// src/core/input/providers/replay.js
+
+/**
+ * Replay Provider
+ * Plays back a landmark recording (see recording/landmark-recorder.js)
+ * through the same tracking, smoothing and gesture pipeline as the MediaPipe
+ * provider. Frames are processed with their recorded timestamps, so a
+ * recording produces the same gestures on any machine, without a camera.
+ */
+import GestureEngine from '../gestures/gesture-engine.js';
+import { addHandOrientations } from '../gestures/hand-orientation.js';
+import LandmarkFilter from '../filters/landmark-filter.js';
+import HandTracker from '../tracking/hand-tracker.js';
+import { RECORDING_VERSION } from '../recording/landmark-recorder.js';
+import { resolveOptions } from '../options.js';
+
+// Frames processed between yields in 'fast' timing
+const FAST_BATCH_SIZE = 50;
+
+class ReplayProvider {
+  /**
+   * @param {String|Object} [options] - Input options or preset name (see options.js).
+   *   The recording is given as `replayRecording`.
+   */
+  constructor(options) {
+    this.options = resolveOptions(options);
+    this.recording = null;
+    this.isInitialized = false;
+    this.isTracking = false;
+    this.handUpdateCallbacks = [];
+    this.rawResultsCallbacks = [];
+    this.playbackCompleteCallbacks = [];
+
+    // Shared gesture recognition
+    this.gestureEngine = new GestureEngine(this.options);
+
+    // Persistent hand IDs across frames
+    this.handTracker = new HandTracker(this.options);
+
+    // Landmark smoothing, as with live input
+    this.landmarkFilter = new LandmarkFilter(this.options);
+
+    // Playback position
+    this.frameIndex = 0;
+    this.playbackStart = 0;
+    this.playbackTimer = null;
+
+    // Debug mode - set to true to enable console logging
+    this.debugMode = false;
+  }
+
+  /**
+   * Initialize the replay provider, fetching the recording if a URL was given
+   * @returns {Promise} - Resolves when initialized
+   */
+  async initialize() {
+    try {
+      if (this.options.replayRecording) {
+        await this.loadRecording(this.options.replayRecording);
+      }
+
+      this.isInitialized = true;
+      console.log('Replay provider initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize replay provider:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a recording to play. Stops any playback in progress.
+   * @param {Object|String} recording - Recording object, or URL of a recording JSON file
+   * @returns {Promise} - Resolves when the recording is loaded
+   */
+  async loadRecording(recording) {
+    if (typeof recording === 'string') {
+      const response = await fetch(recording);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch recording '${recording}': ${response.status}`);
+      }
+      recording = await response.json();
+    }
+
+    if (!recording || !Array.isArray(recording.frames)) {
+      throw new Error('Invalid recording: missing frames');
+    }
+
+    if (recording.version !== RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${recording.version}`);
+    }
+
+    await this.stopTracking();
+    this.recording = recording;
+  }
+
+  /**
+   * Apply new input options
+   * @param {String|Object} options - Input options or preset name
+   * @returns {Promise} - Resolves when the options are applied
+   */
+  async updateOptions(options) {
+    const previousRecording = this.options.replayRecording;
+
+    this.options = resolveOptions(options);
+    this.gestureEngine.setOptions(this.options);
+    this.handTracker.setOptions(this.options);
+    this.landmarkFilter.setOptions(this.options);
+
+    if (this.options.replayRecording && this.options.replayRecording !== previousRecording) {
+      await this.loadRecording(this.options.replayRecording);
+    }
+  }
+
+  /**
+   * Set video element (not used in replay provider but kept for API compatibility)
+   * @param {HTMLVideoElement} videoElement - The video element
+   */
+  setVideoElement(videoElement) {
+    // Not used in replay provider, but kept for API compatibility
+  }
+
+  /**
+   * Start playing the recording from the beginning
+   * @returns {Promise} - Resolves when playback has started
+   */
+  async startTracking() {
+    if (!this.isInitialized) {
+      throw new Error('Replay provider not initialized');
+    }
+
+    if (this.isTracking) {
+      return; // Already playing
+    }
+
+    if (!this.recording) {
+      throw new Error('No recording loaded. Set replayRecording or call loadRecording() first.');
+    }
+
+    this.isTracking = true;
+    this.startPlayback();
+
+    console.log('Replay started');
+    return true;
+  }
+
+  /**
+   * Stop playback
+   * @returns {Promise} - Resolves when playback has stopped
+   */
+  async stopTracking() {
+    if (!this.isTracking) return;
+
+    this.isTracking = false;
+    clearTimeout(this.playbackTimer);
+    this.playbackTimer = null;
+
+    // Reset gesture detection state
+    this.gestureEngine.resetState();
+    this.handTracker.reset();
+    this.landmarkFilter.reset();
+
+    console.log('Replay stopped');
+    return true;
+  }
+
+  /**
+   * Stop playback and release the recording and all callbacks
+   * @returns {Promise} - Resolves when everything is released
+   */
+  async dispose() {
+    await this.stopTracking();
+
+    this.recording = null;
+    this.isInitialized = false;
+    this.handUpdateCallbacks = [];
+    this.rawResultsCallbacks = [];
+    this.playbackCompleteCallbacks = [];
+    this.gestureEngine.clearCallbacks();
+  }
+
+  /**
+   * Register callback for hand updates
+   * @param {Function} callback - Function to call with hand data
+   * @returns {Function} - Function to unregister the callback
+   */
+  onHandUpdate(callback) {
+    this.handUpdateCallbacks.push(callback);
+    return () => {
+      this.handUpdateCallbacks = this.handUpdateCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for unprocessed frames, before hand tracking and
+   * smoothing. Allows re-recording a replay.
+   * @param {Function} callback - Function to call with (results, timestamp)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onRawResults(callback) {
+    this.rawResultsCallbacks.push(callback);
+    return () => {
+      this.rawResultsCallbacks = this.rawResultsCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for gesture recognition
+   * @param {Function} callback - Function to call with gesture data
+   * @param {Object} [options] - { minConfidence } (see GestureEngine.onGestureDetected)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureDetected(callback, options) {
+    return this.gestureEngine.onGestureDetected(callback, options);
+  }
+
+  /**
+   * Register callback for gesture lifecycle events
+   * @param {Function} callback - Called with each event (see GestureEngine.onGestureEvent)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onGestureEvent(callback) {
+    return this.gestureEngine.onGestureEvent(callback);
+  }
+
+  /**
+   * Register callback for when the last frame of the recording has been played.
+   * With replayLoop on, called at the end of every pass; otherwise tracking
+   * has already stopped when it is called.
+   * @param {Function} callback - Function to call when playback completes
+   * @returns {Function} - Function to unregister the callback
+   */
+  onPlaybackComplete(callback) {
+    this.playbackCompleteCallbacks.push(callback);
+    return () => {
+      this.playbackCompleteCallbacks = this.playbackCompleteCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register a custom gesture definition
+   * @param {Object} definition - Gesture definition
+   * @returns {Function} - Function to unregister the gesture
+   */
+  registerGesture(definition) {
+    return this.gestureEngine.registerGesture(definition);
+  }
+
+  /**
+   * Use a calibration profile's thresholds instead of the defaults
+   * @param {Object|null} profile - Calibration profile, or null for the defaults
+   */
+  setCalibrationProfile(profile) {
+    this.gestureEngine.setThresholds(profile ? profile.thresholds : null);
+  }
+
+  /**
+   * Begin a pass over the recording with fresh detection state, so every
+   * pass gives the same output
+   */
+  startPlayback() {
+    this.gestureEngine.resetState();
+    this.handTracker.reset();
+    this.landmarkFilter.reset();
+
+    this.frameIndex = 0;
+    this.playbackStart = Date.now();
+    this.scheduleNextFrames();
+  }
+
+  /**
+   * Process the frames that are due and schedule the rest
+   */
+  scheduleNextFrames() {
+    if (!this.isTracking) return;
+
+    const { frames } = this.recording;
+    const fast = this.options.replayTiming === 'fast';
+
+    if (fast) {
+      // Process a batch, then yield so the page stays responsive
+      const end = Math.min(this.frameIndex + FAST_BATCH_SIZE, frames.length);
+      while (this.frameIndex < end) {
+        this.playFrame(frames[this.frameIndex++]);
+      }
+    } else {
+      // Process every frame whose recorded time has passed
+      const elapsed = Date.now() - this.playbackStart;
+      while (this.frameIndex < frames.length && frames[this.frameIndex].time <= elapsed) {
+        this.playFrame(frames[this.frameIndex++]);
+      }
+    }
+
+    if (this.frameIndex >= frames.length) {
+      this.completePlayback();
+      return;
+    }
+
+    const delay = fast
+      ? 0
+      : frames[this.frameIndex].time - (Date.now() - this.playbackStart);
+    this.playbackTimer = setTimeout(() => this.scheduleNextFrames(), Math.max(delay, 0));
+  }
+
+  /**
+   * Handle the end of the recording
+   */
+  completePlayback() {
+    // Without looping, stop first so the callbacks see playback has ended
+    if (this.isTracking && !this.options.replayLoop) {
+      this.stopTracking();
+    }
+
+    this.playbackCompleteCallbacks.forEach(callback => callback());
+
+    if (this.isTracking && this.options.replayLoop) {
+      this.startPlayback();
+    }
+  }
+
+  /**
+   * Run one recorded frame through the pipeline
+   * @param {Object} frame - Frame from the recording
+   */
+  playFrame(frame) {
+    // Recorded timestamps keep the gesture timing independent of playback speed
+    const timestamp = (this.recording.startTime || 0) + frame.time;
+
+    let results = {
+      multiHandLandmarks: frame.multiHandLandmarks,
+      multiHandedness: frame.multiHandedness
+    };
+
+    this.rawResultsCallbacks.forEach(callback => callback(results, timestamp));
+
+    // Match hands to the previous frame for persistent IDs
+    results = this.handTracker.update(results, timestamp);
+
+    // Smooth the landmarks once for whichever consumers want it
+    const { smoothHandUpdates, smoothGestures } = this.options;
+    const smoothedResults = (smoothHandUpdates || smoothGestures)
+      ? this.landmarkFilter.apply(results, timestamp)
+      : results;
+
+    // Notify all hand update callbacks
+    if (this.handUpdateCallbacks.length > 0) {
+      const handResults = addHandOrientations(smoothHandUpdates ? smoothedResults : results);
+      this.handUpdateCallbacks.forEach(callback => callback(handResults));
+    }
+
+    // Process gestures
+    this.gestureEngine.processResults(smoothGestures ? smoothedResults : results, timestamp);
+  }
+}
+
+export default ReplayProvider;
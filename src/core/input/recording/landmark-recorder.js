@@ -0,0 +1,84 @@
+// src/core/input/recording/landmark-recorder.js
+
+/**
+ * Landmark Recorder
+ * Captures the raw frames a provider produced (before hand tracking and
+ * smoothing), so a session can be replayed later through the replay
+ * provider and give the same gesture output on any machine.
+ */
+
+// Version written into recordings so the replay provider can check them
+export const RECORDING_VERSION = 1;
+
+// How long a downloaded recording's object URL is kept (ms)
+const DOWNLOAD_REVOKE_DELAY = 10000;
+
+class LandmarkRecorder {
+  /**
+   * @param {Object} [metadata] - Extra information stored with the recording,
+   *   e.g. the provider name and input options
+   */
+  constructor(metadata = {}) {
+    this.metadata = metadata;
+    this.frames = [];
+    this.startTime = null;
+    this.recordedAt = null;
+  }
+
+  /**
+   * Add a frame of results
+   * @param {Object} results - Raw results in the MediaPipe Hands shape
+   * @param {Number} timestamp - Time of the frame (ms)
+   */
+  addFrame(results, timestamp) {
+    if (this.startTime === null) {
+      this.startTime = timestamp;
+      this.recordedAt = new Date().toISOString();
+    }
+
+    // Keep only the plain data; MediaPipe results also carry the video image
+    this.frames.push({
+      time: timestamp - this.startTime,
+      multiHandLandmarks: results.multiHandLandmarks.map(landmarks => (
+        landmarks.map(({ x, y, z }) => ({ x, y, z }))
+      )),
+      multiHandedness: results.multiHandedness.map(({ index, score, label }) => (
+        { index, score, label }
+      ))
+    });
+  }
+
+  /**
+   * Get the recording captured so far
+   * @returns {Object} - Recording, ready to be saved as JSON
+   */
+  getRecording() {
+    return {
+      version: RECORDING_VERSION,
+      recordedAt: this.recordedAt,
+      startTime: this.startTime,
+      ...this.metadata,
+      frames: this.frames
+    };
+  }
+}
+
+/**
+ * Save a recording as a JSON file through the browser's download mechanism
+ * @param {Object} recording - Recording from LandmarkRecorder.getRecording()
+ * @param {String} [filename] - Name of the downloaded file
+ */
+export function downloadRecording(recording, filename = 'handilearn-recording.json') {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Revoking straight away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY);
+}
+
+export default LandmarkRecorder;
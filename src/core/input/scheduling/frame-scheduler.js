@@ -0,0 +1,255 @@
+// src/core/input/scheduling/frame-scheduler.js
+
+/**
+ * Frame Scheduler
+ * Decides which video frames are sent for hand inference. Frames are sent
+ * at no more than the target rate, frames the camera hasn't updated are
+ * skipped, and when inference takes longer than its budget the scheduler
+ * first asks the provider for a lighter model and then lowers the rate.
+ * The rate climbs back towards the target once inference is fast again.
+ */
+
+// Frames processed before the average inference time is trusted, and
+// between two adaptations
+const ADAPT_SAMPLES = 30;
+
+// Weight of each new inference time in the running average
+const INFERENCE_AVERAGE_WEIGHT = 0.1;
+
+// Rate change per adaptation
+const RATE_STEP = 0.75;
+
+// Inference below this share of the budget lets the rate climb again
+const RECOVER_SHARE = 0.5;
+
+// Animation frames don't line up with the target interval, so a frame a
+// little early is still taken (ms)
+const FRAME_TOLERANCE = 4;
+
+// Window the effective frame rate is measured over (ms)
+const FPS_WINDOW = 1000;
+
+class FrameScheduler {
+  /**
+   * @param {Object} options - Resolved input options
+   */
+  constructor(options) {
+    this.options = options;
+    this.source = null;
+    this.isRunning = false;
+    // Changes on every start and stop, so ticks of an earlier run end
+    this.runId = 0;
+    this.frameRate = options.targetFps;
+    this.resetStats();
+  }
+
+  /**
+   * Apply new options. A new target rate replaces any adapted rate.
+   * @param {Object} options - Resolved input options
+   */
+  setOptions(options) {
+    if (options.targetFps !== this.options.targetFps) {
+      this.frameRate = options.targetFps;
+    }
+    this.options = options;
+  }
+
+  /**
+   * Start sending frames
+   * @param {Object} source - Where frames come from
+   * @param {Function} source.getFrameId - Returns a value that changes with
+   *   every new video frame, or null while no frame is available
+   * @param {Function} source.processFrame - Runs inference on the current
+   *   frame; may return a Promise
+   * @param {Function} [source.reduceQuality] - Switches to a lighter model;
+   *   returns (a Promise of) true if it could
+   */
+  start(source) {
+    if (this.isRunning) return;
+
+    this.source = source;
+    this.isRunning = true;
+    this.runId++;
+    this.resetStats();
+    this.scheduleTick();
+  }
+
+  /**
+   * Stop sending frames. A frame being processed still completes.
+   */
+  stop() {
+    this.isRunning = false;
+    this.source = null;
+    this.runId++;
+  }
+
+  /**
+   * Clear the statistics
+   */
+  resetStats() {
+    this.lastFrameId = null;
+    this.lastProcessedFrameId = null;
+    this.lastProcessTime = -Infinity;
+    this.processTimes = [];
+    this.samplesSinceAdapt = 0;
+    this.stats = {
+      inferenceMs: 0,
+      lastInferenceMs: 0,
+      processedFrames: 0,
+      droppedFrames: 0,
+      skippedFrames: 0,
+      qualityReductions: 0
+    };
+  }
+
+  /**
+   * Get live statistics
+   * @returns {Object} - { targetFps, frameRate (current limit, lowered when
+   *   adapting), fps (effective), inferenceMs (running average),
+   *   lastInferenceMs, processedFrames, droppedFrames (new frames replaced
+   *   before they could be processed), skippedFrames (unchanged frames not
+   *   processed again), qualityReductions }
+   */
+  getStats() {
+    const now = performance.now();
+    const recent = this.processTimes.filter(time => now - time <= FPS_WINDOW);
+
+    return {
+      targetFps: this.options.targetFps,
+      frameRate: this.frameRate,
+      fps: recent.length * (1000 / FPS_WINDOW),
+      ...this.stats
+    };
+  }
+
+  /**
+   * Wait for the next animation frame
+   */
+  scheduleTick() {
+    const { runId } = this;
+    requestAnimationFrame(() => this.tick(runId));
+  }
+
+  /**
+   * Decide whether to process the current frame
+   * @param {Number} runId - Run the tick was scheduled in; it does nothing
+   *   once the scheduler has been stopped or restarted since
+   */
+  async tick(runId) {
+    if (!this.isRunning || runId !== this.runId) return;
+
+    const source = this.source;
+    const frameId = source.getFrameId();
+
+    // No video data yet, e.g. while switching cameras
+    if (frameId === null) {
+      this.scheduleTick();
+      return;
+    }
+
+    // A newer frame replaced one that was never processed
+    if (frameId !== this.lastFrameId) {
+      if (this.lastFrameId !== null && this.lastFrameId !== this.lastProcessedFrameId) {
+        this.stats.droppedFrames++;
+      }
+      this.lastFrameId = frameId;
+    }
+
+    if (this.options.skipUnchangedFrames && frameId === this.lastProcessedFrameId) {
+      this.stats.skippedFrames++;
+      this.scheduleTick();
+      return;
+    }
+
+    const now = performance.now();
+    if (this.frameRate && now - this.lastProcessTime < 1000 / this.frameRate - FRAME_TOLERANCE) {
+      this.scheduleTick();
+      return;
+    }
+
+    this.lastProcessTime = now;
+    this.lastProcessedFrameId = frameId;
+
+    try {
+      await source.processFrame();
+      // Stopped or restarted during the frame: the new run has its own loop
+      if (runId !== this.runId) return;
+      this.recordInference(now, performance.now() - now);
+      await this.adapt(source);
+    } catch (error) {
+      console.error('Error processing video frame:', error);
+    }
+
+    if (runId !== this.runId) return;
+    this.scheduleTick();
+  }
+
+  /**
+   * Add a processed frame to the statistics
+   * @param {Number} startTime - When processing started (performance.now)
+   * @param {Number} duration - How long inference took (ms)
+   */
+  recordInference(startTime, duration) {
+    const { stats } = this;
+
+    stats.inferenceMs = stats.processedFrames === 0
+      ? duration
+      : stats.inferenceMs + (duration - stats.inferenceMs) * INFERENCE_AVERAGE_WEIGHT;
+    stats.lastInferenceMs = duration;
+    stats.processedFrames++;
+
+    this.processTimes.push(startTime);
+    while (this.processTimes.length > 0 && startTime - this.processTimes[0] > FPS_WINDOW) {
+      this.processTimes.shift();
+    }
+
+    this.samplesSinceAdapt++;
+  }
+
+  /**
+   * Get the time inference may take per frame
+   * @returns {Number|null} - Budget (ms), or null when nothing limits it
+   */
+  getFrameBudget() {
+    const { frameBudget, targetFps } = this.options;
+    if (frameBudget) return frameBudget;
+    return targetFps ? 1000 / targetFps : null;
+  }
+
+  /**
+   * Lighten the load when inference is over budget, or raise the rate again
+   * when there is room
+   * @param {Object} source - Frame source given to start()
+   * @returns {Promise} - Resolves when any change is applied
+   */
+  async adapt(source) {
+    const { adaptiveFrameRate, targetFps, minFps } = this.options;
+    const budget = this.getFrameBudget();
+
+    if (!adaptiveFrameRate || !budget || this.samplesSinceAdapt < ADAPT_SAMPLES) return;
+
+    const { inferenceMs } = this.stats;
+
+    if (inferenceMs > budget) {
+      // A lighter model first, as that keeps the rate
+      if (source.reduceQuality && await source.reduceQuality()) {
+        this.stats.qualityReductions++;
+        this.samplesSinceAdapt = 0;
+        return;
+      }
+
+      const current = this.frameRate || 1000 / inferenceMs;
+      const lowered = Math.max(minFps, Math.round(current * RATE_STEP));
+      if (lowered !== this.frameRate) {
+        this.frameRate = lowered;
+        this.samplesSinceAdapt = 0;
+        console.log(`Hand inference takes ${inferenceMs.toFixed(1)}ms; lowering the rate to ${lowered} fps`);
+      }
+    } else if (inferenceMs < budget * RECOVER_SHARE && targetFps && this.frameRate < targetFps) {
+      this.frameRate = Math.min(targetFps, Math.round(this.frameRate / RATE_STEP));
+      this.samplesSinceAdapt = 0;
+    }
+  }
+}
+
+export default FrameScheduler;
@@ -0,0 +1,377 @@
+// src/core/input/simulation/synthetic-hand.js
+
+/**
+ * Synthetic Hand
+ * Builds MediaPipe-style landmarks for a pose, for providers that simulate
+ * a hand (mock, pointer). The landmarks are shaped so the real gesture
+ * detectors recognise them, so simulated input goes through the same
+ * detection as camera input.
+ */
+
+// Poses that can be generated
+export const SYNTHETIC_GESTURES = ['point', 'open', 'grab', 'pinch', 'wave', 'swipe'];
+
+// Wrist position of a generated hand
+export const DEFAULT_WRIST = { x: 0.5, y: 0.8 };
+
+// Point directions as seen on the other hand
+const MIRRORED_DIRECTIONS = {
+  'left': 'right',
+  'right': 'left',
+  'top-left': 'top-right',
+  'top-right': 'top-left',
+  'bottom-left': 'bottom-right',
+  'bottom-right': 'bottom-left'
+};
+
+// Unit vectors of the swipe directions
+const SWIPE_VECTORS = {
+  'right': { x: 1, y: 0 },
+  'left': { x: -1, y: 0 },
+  'up': { x: 0, y: -1 },
+  'down': { x: 0, y: 1 }
+};
+
+/**
+ * Generate a hand showing a pose at a position
+ * @param {Object} hand - Hand description
+ * @param {String} [hand.gesture] - Pose to show (default 'open')
+ * @param {String} [hand.direction] - Direction to point
+ * @param {String} [hand.handedness] - 'Right' (default) or 'Left'
+ * @param {Object} wrist - Wrist position ({ x, y }, normalized)
+ * @returns {Array} - Hand landmarks
+ */
+export function generateSyntheticHand({ gesture = 'open', direction, handedness = 'Right' }, wrist) {
+  const mirrored = handedness === 'Left';
+
+  // The left hand is the right hand mirrored, so mirror the direction too
+  const landmarks = generateHandLandmarks(
+    gesture,
+    mirrored ? (MIRRORED_DIRECTIONS[direction] || direction) : direction
+  );
+
+  return landmarks.map(landmark => {
+    const dx = landmark.x - DEFAULT_WRIST.x;
+    return {
+      x: wrist.x + (mirrored ? -dx : dx),
+      y: wrist.y + landmark.y - DEFAULT_WRIST.y,
+      z: landmark.z
+    };
+  });
+}
+
+/**
+ * Offset of the whole hand for moving gestures
+ * @param {String} gesture - Gesture being shown
+ * @param {Object} motion - Motion settings
+ * @param {String} [motion.direction] - Swipe direction
+ * @param {Number} [motion.amplitude] - Wave swing (default 0.1) or swipe length (default 0.6)
+ * @param {Number} [motion.period] - Time of one wave swing (default 400ms) or one
+ *   swipe stroke and return (default 2000ms)
+ * @param {Number} elapsed - Time since the motion began (ms)
+ * @returns {Object} - Offset with x,y
+ */
+export function getMotionOffset(gesture, { direction, amplitude, period }, elapsed) {
+  if (gesture === 'wave') {
+    // Side to side, moving the wrist since that is what the wave detector follows
+    return {
+      x: Math.sin(2 * Math.PI * elapsed / (period ?? 400)) * (amplitude ?? 0.1),
+      y: 0
+    };
+  }
+
+  if (gesture === 'swipe') {
+    // A quick stroke over the first quarter of each period, then a slow
+    // return that stays under the swipe velocity threshold
+    const phase = (elapsed % (period ?? 2000)) / (period ?? 2000);
+    const progress = phase < 0.25 ? phase / 0.25 : 1 - (phase - 0.25) / 0.75;
+    const distance = (progress - 0.5) * (amplitude ?? 0.6);
+    const vector = SWIPE_VECTORS[direction] || SWIPE_VECTORS.right;
+    return { x: vector.x * distance, y: vector.y * distance };
+  }
+
+  return { x: 0, y: 0 };
+}
+
+/**
+ * Generate the landmarks of a right hand showing a pose, with the wrist
+ * at its default position. Wave and swipe are an open hand; their motion
+ * comes from getMotionOffset.
+ * @param {String} gesture - Pose to show
+ * @param {String} [direction] - Direction to point
+ * @returns {Array} - Simulated hand landmarks
+ */
+export function generateHandLandmarks(gesture, direction) {
+  // Create a basic hand shape
+  const landmarks = [];
+
+  // Wrist (landmark 0)
+  const wrist = { x: DEFAULT_WRIST.x, y: DEFAULT_WRIST.y, z: 0 };
+  landmarks.push(wrist);
+
+  // Add landmarks for different fingers and joints
+  // 21 landmarks total (1 wrist + 4 landmarks for each of the 5 fingers)
+
+  // Base positions for each finger
+  const thumbBase = { x: 0.4, y: 0.75, z: 0 };
+  const indexBase = { x: 0.45, y: 0.65, z: 0 };
+  const middleBase = { x: 0.5, y: 0.65, z: 0 };
+  const ringBase = { x: 0.55, y: 0.65, z: 0 };
+  const pinkyBase = { x: 0.6, y: 0.65, z: 0 };
+
+  // Modify the hand shape based on the current gesture
+  switch (gesture) {
+    case 'point':
+      // Add thumb (4 landmarks) - tucked across the palm
+      landmarks.push(
+        { x: thumbBase.x, y: thumbBase.y, z: 0 },
+        { x: thumbBase.x + 0.04, y: thumbBase.y - 0.01, z: 0 },
+        { x: thumbBase.x + 0.08, y: thumbBase.y - 0.02, z: 0 },
+        { x: thumbBase.x + 0.12, y: thumbBase.y - 0.03, z: 0 }
+      );
+
+      // Add index finger (4 landmarks) - extended based on direction
+      addPointingFinger(landmarks, indexBase, wrist, direction);
+
+      // Add middle finger (4 landmarks) - curled
+      landmarks.push(
+        { x: middleBase.x, y: middleBase.y, z: 0 },
+        { x: middleBase.x, y: middleBase.y + 0.05, z: 0 },
+        { x: middleBase.x, y: middleBase.y + 0.08, z: 0 },
+        { x: middleBase.x, y: middleBase.y + 0.1, z: 0 }
+      );
+
+      // Add ring finger (4 landmarks) - curled
+      landmarks.push(
+        { x: ringBase.x, y: ringBase.y, z: 0 },
+        { x: ringBase.x, y: ringBase.y + 0.05, z: 0 },
+        { x: ringBase.x, y: ringBase.y + 0.08, z: 0 },
+        { x: ringBase.x, y: ringBase.y + 0.1, z: 0 }
+      );
+
+      // Add pinky finger (4 landmarks) - curled
+      landmarks.push(
+        { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y + 0.05, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y + 0.08, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y + 0.1, z: 0 }
+      );
+      break;
+
+    case 'open':
+      // Add thumb (4 landmarks) - extended
+      landmarks.push(
+        { x: thumbBase.x, y: thumbBase.y, z: 0 },
+        { x: thumbBase.x - 0.05, y: thumbBase.y - 0.05, z: 0 },
+        { x: thumbBase.x - 0.1, y: thumbBase.y - 0.05, z: 0 },
+        { x: thumbBase.x - 0.15, y: thumbBase.y - 0.05, z: 0 }
+      );
+
+      // Add index finger (4 landmarks) - extended
+      landmarks.push(
+        { x: indexBase.x, y: indexBase.y, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.1, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.2, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.3, z: 0 }
+      );
+
+      // Add middle finger (4 landmarks) - extended
+      landmarks.push(
+        { x: middleBase.x, y: middleBase.y, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.1, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.2, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.3, z: 0 }
+      );
+
+      // Add ring finger (4 landmarks) - extended
+      landmarks.push(
+        { x: ringBase.x, y: ringBase.y, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.1, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.2, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.3, z: 0 }
+      );
+
+      // Add pinky finger (4 landmarks) - extended
+      landmarks.push(
+        { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.1, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.2, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.3, z: 0 }
+      );
+      break;
+
+    case 'grab':
+      // All fingers curled
+      // Add thumb (4 landmarks) - curled across the palm, clear of the
+      // index tip so the fist isn't read as a pinch
+      landmarks.push(
+        { x: thumbBase.x, y: thumbBase.y, z: 0 },
+        { x: thumbBase.x + 0.04, y: thumbBase.y - 0.01, z: 0 },
+        { x: thumbBase.x + 0.08, y: thumbBase.y - 0.02, z: 0 },
+        { x: thumbBase.x + 0.12, y: thumbBase.y - 0.03, z: 0 }
+      );
+
+      // Add index finger (4 landmarks) - curled
+      landmarks.push(
+        { x: indexBase.x, y: indexBase.y, z: 0 },
+        { x: indexBase.x, y: indexBase.y + 0.05, z: 0 },
+        { x: indexBase.x, y: indexBase.y + 0.1, z: 0 },
+        { x: indexBase.x, y: indexBase.y + 0.12, z: 0 }
+      );
+
+      // Add middle finger (4 landmarks) - curled
+      landmarks.push(
+        { x: middleBase.x, y: middleBase.y, z: 0 },
+        { x: middleBase.x, y: middleBase.y + 0.05, z: 0 },
+        { x: middleBase.x, y: middleBase.y + 0.1, z: 0 },
+        { x: middleBase.x, y: middleBase.y + 0.12, z: 0 }
+      );
+
+      // Add ring finger (4 landmarks) - curled
+      landmarks.push(
+        { x: ringBase.x, y: ringBase.y, z: 0 },
+        { x: ringBase.x, y: ringBase.y + 0.05, z: 0 },
+        { x: ringBase.x, y: ringBase.y + 0.1, z: 0 },
+        { x: ringBase.x, y: ringBase.y + 0.12, z: 0 }
+      );
+
+      // Add pinky finger (4 landmarks) - curled
+      landmarks.push(
+        { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y + 0.05, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y + 0.1, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y + 0.12, z: 0 }
+      );
+      break;
+
+    case 'pinch':
+      // Add thumb (4 landmarks) - pointing toward index
+      landmarks.push(
+        { x: thumbBase.x, y: thumbBase.y, z: 0 },
+        { x: thumbBase.x + 0.02, y: thumbBase.y - 0.05, z: 0 },
+        { x: thumbBase.x + 0.04, y: thumbBase.y - 0.1, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.15, z: 0 } // Thumb tip meets index tip
+      );
+
+      // Add index finger (4 landmarks) - pointing toward thumb
+      landmarks.push(
+        { x: indexBase.x, y: indexBase.y, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.05, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.1, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.15, z: 0 } // Index tip meets thumb tip
+      );
+
+      // Add middle finger (4 landmarks) - extended
+      landmarks.push(
+        { x: middleBase.x, y: middleBase.y, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.1, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.2, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.3, z: 0 }
+      );
+
+      // Add ring finger (4 landmarks) - extended
+      landmarks.push(
+        { x: ringBase.x, y: ringBase.y, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.1, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.2, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.3, z: 0 }
+      );
+
+      // Add pinky finger (4 landmarks) - extended
+      landmarks.push(
+        { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.1, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.2, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.3, z: 0 }
+      );
+      break;
+
+    default:
+      // Default to open hand (also the shape of wave and swipe)
+      // Add thumb (4 landmarks)
+      landmarks.push(
+        { x: thumbBase.x, y: thumbBase.y, z: 0 },
+        { x: thumbBase.x - 0.05, y: thumbBase.y - 0.05, z: 0 },
+        { x: thumbBase.x - 0.1, y: thumbBase.y - 0.05, z: 0 },
+        { x: thumbBase.x - 0.15, y: thumbBase.y - 0.05, z: 0 }
+      );
+
+      // Add index finger (4 landmarks)
+      landmarks.push(
+        { x: indexBase.x, y: indexBase.y, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.1, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.2, z: 0 },
+        { x: indexBase.x, y: indexBase.y - 0.3, z: 0 }
+      );
+
+      // Add middle finger (4 landmarks)
+      landmarks.push(
+        { x: middleBase.x, y: middleBase.y, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.1, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.2, z: 0 },
+        { x: middleBase.x, y: middleBase.y - 0.3, z: 0 }
+      );
+
+      // Add ring finger (4 landmarks)
+      landmarks.push(
+        { x: ringBase.x, y: ringBase.y, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.1, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.2, z: 0 },
+        { x: ringBase.x, y: ringBase.y - 0.3, z: 0 }
+      );
+
+      // Add pinky finger (4 landmarks)
+      landmarks.push(
+        { x: pinkyBase.x, y: pinkyBase.y, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.1, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.2, z: 0 },
+        { x: pinkyBase.x, y: pinkyBase.y - 0.3, z: 0 }
+      );
+      break;
+  }
+
+  return landmarks;
+}
+
+/**
+ * Add a pointing finger to the landmarks array based on direction.
+ * The finger runs from its base joint to a tip placed along the direction
+ * as seen from the wrist, which is how the detector measures pointing.
+ * @param {Array} landmarks - Array of landmarks to add to
+ * @param {Object} base - Base position of the finger
+ * @param {Object} wrist - Wrist position
+ * @param {String} direction - Direction to point
+ */
+function addPointingFinger(landmarks, base, wrist, direction) {
+  // Tip offset from the wrist for each direction
+  const tipOffsets = {
+    'up': { x: 0, y: -0.45, z: 0 },
+    'down': { x: 0, y: 0.45, z: 0 },
+    'left': { x: -0.45, y: 0, z: 0 },
+    'right': { x: 0.45, y: 0, z: 0 },
+    'forward': { x: 0, y: -0.2, z: -0.3 },
+    'backward': { x: 0, y: -0.2, z: 0.3 },
+    'top-left': { x: -0.32, y: -0.32, z: 0 },
+    'top-right': { x: 0.32, y: -0.32, z: 0 },
+    'bottom-left': { x: -0.32, y: 0.32, z: 0 },
+    'bottom-right': { x: 0.32, y: 0.32, z: 0 }
+  };
+
+  // Default to pointing up
+  const offset = tipOffsets[direction] || tipOffsets.up;
+  const tip = {
+    x: wrist.x + offset.x,
+    y: wrist.y + offset.y,
+    z: wrist.z + offset.z
+  };
+
+  // Base, two evenly spaced joints and the tip
+  for (let i = 0; i < 4; i++) {
+    const t = i / 3;
+    landmarks.push({
+      x: base.x + (tip.x - base.x) * t,
+      y: base.y + (tip.y - base.y) * t,
+      z: base.z + (tip.z - base.z) * t
+    });
+  }
+}
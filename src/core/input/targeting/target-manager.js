@@ -0,0 +1,255 @@
+// src/core/input/targeting/target-manager.js
+
+/**
+ * Target Manager
+ * Lets the hand cursor select things. Components register targets (DOM
+ * elements, or anything with a hit test, such as objects in a 3D scene) and
+ * receive events as a hand's cursor moves over them:
+ *
+ *   enter          - the cursor moved onto the target
+ *   dwell-progress - the cursor is resting on the target; progress goes 0 to 1
+ *   select         - the cursor rested for the dwell time, or the hand
+ *                    pinched or grabbed while on the target
+ *   leave          - the cursor moved off the target or disappeared
+ *
+ * After a dwell select, the cursor has to leave and come back before the
+ * target can be dwell-selected again.
+ */
+
+// Event types sent to targets
+export const TARGET_EVENTS = {
+  ENTER: 'enter',
+  LEAVE: 'leave',
+  DWELL_PROGRESS: 'dwell-progress',
+  SELECT: 'select'
+};
+
+// Handler on a target for each event type
+const EVENT_HANDLERS = {
+  [TARGET_EVENTS.ENTER]: 'onEnter',
+  [TARGET_EVENTS.LEAVE]: 'onLeave',
+  [TARGET_EVENTS.DWELL_PROGRESS]: 'onDwellProgress',
+  [TARGET_EVENTS.SELECT]: 'onSelect'
+};
+
+class TargetManager {
+  /**
+   * @param {InputManager} inputManager - Initialized input manager
+   * @param {Object} [options]
+   * @param {HandCursor} [options.cursor] - Cursor to follow; one is created
+   *   (with `cursorOptions`) and started with the target manager if not given
+   * @param {Object} [options.cursorOptions] - Options for the created cursor (see HandCursor)
+   * @param {Number} [options.dwellTime=1500] - Time resting on a target to select it (ms)
+   * @param {Array} [options.selectGestures=['pinch', 'grab']] - Gestures that select
+   *   the target under the hand's cursor straight away
+   */
+  constructor(inputManager, options = {}) {
+    this.inputManager = inputManager;
+    this.ownsCursor = !options.cursor;
+    this.cursor = options.cursor || inputManager.createHandCursor(options.cursorOptions);
+    this.dwellTime = options.dwellTime ?? 1500;
+    this.selectGestures = options.selectGestures ?? ['pinch', 'grab'];
+
+    this.targets = [];
+
+    // Per hand, by hand ID: { target, enterTime, selected, cursor }
+    this.hovers = {};
+
+    this.eventCallbacks = [];
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Start following the cursor and gestures
+   */
+  start() {
+    if (this.unsubscribers.length > 0) return;
+
+    this.unsubscribers = [
+      this.cursor.onMove(cursor => this.updateHover(cursor)),
+      this.cursor.onHide(cursor => this.setHover(cursor, null)),
+      this.inputManager.onGestureDetected(gesture => this.handleGesture(gesture))
+    ];
+
+    if (this.ownsCursor) {
+      this.cursor.start();
+    }
+  }
+
+  /**
+   * Stop following the cursor. Hovered targets get a leave event.
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    Object.values(this.hovers).forEach(hover => this.setHover(hover.cursor, null));
+
+    if (this.ownsCursor) {
+      this.cursor.stop();
+    }
+  }
+
+  /**
+   * Make something selectable by hand
+   *
+   * @example
+   * const unregister = targetManager.registerTarget({
+   *   element: buttonElement,
+   *   onDwellProgress: ({ progress }) => drawRing(progress),
+   *   onSelect: () => openModule('Shapes')
+   * });
+   *
+   * @param {Object} target - Target description
+   * @param {HTMLElement} [target.element] - DOM element hit by the cursor
+   * @param {Function} [target.hitTest] - For anything else: called with the
+   *   cursor (see HandCursor.getCursors), returns true when it is on the target
+   * @param {Number} [target.dwellTime] - Dwell time for this target (ms)
+   * @param {Boolean} [target.disabled] - Ignore the cursor while true
+   * @param {Function} [target.onEnter] - Called with enter events
+   * @param {Function} [target.onLeave] - Called with leave events
+   * @param {Function} [target.onDwellProgress] - Called with dwell-progress events
+   * @param {Function} [target.onSelect] - Called with select events
+   * @returns {Function} - Function to unregister the target
+   */
+  registerTarget(target) {
+    if (!target || (!target.element && typeof target.hitTest !== 'function')) {
+      throw new Error('A target needs an element or a hitTest function');
+    }
+
+    // Kept as given, so its fields can change while registered and events
+    // carry the same object
+    this.targets.push(target);
+
+    return () => {
+      // A hovering hand leaves the target first
+      Object.values(this.hovers)
+        .filter(hover => hover.target === target)
+        .forEach(hover => this.setHover(hover.cursor, null));
+
+      this.targets = this.targets.filter(existing => existing !== target);
+    };
+  }
+
+  /**
+   * Register callback for the events of every target, e.g. to play sounds
+   * @param {Function} callback - Called with each event (see emit)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onTargetEvent(callback) {
+    this.eventCallbacks.push(callback);
+    return () => {
+      this.eventCallbacks = this.eventCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Find the target under a cursor. Later registered targets are on top.
+   * @param {Object} cursor - Cursor from HandCursor
+   * @returns {Object|null} - The target, or null
+   */
+  findTarget(cursor) {
+    const hitElement = typeof document !== 'undefined'
+      ? document.elementFromPoint(cursor.clientX, cursor.clientY)
+      : null;
+
+    for (let i = this.targets.length - 1; i >= 0; i--) {
+      const target = this.targets[i];
+      if (target.disabled) continue;
+
+      const isHit = target.element
+        ? !!hitElement && target.element.contains(hitElement)
+        : target.hitTest(cursor);
+      if (isHit) return target;
+    }
+    return null;
+  }
+
+  /**
+   * Update what a moved cursor is on, and its dwell progress
+   * @param {Object} cursor - Cursor from HandCursor
+   * @param {Number} [timestamp] - Time of the movement (ms)
+   */
+  updateHover(cursor, timestamp = Date.now()) {
+    const target = this.findTarget(cursor);
+    this.setHover(cursor, target, timestamp);
+
+    const hover = this.hovers[cursor.handId];
+    if (!hover || hover.selected) return;
+
+    const dwellTime = hover.target.dwellTime ?? this.dwellTime;
+    const progress = Math.min((timestamp - hover.enterTime) / dwellTime, 1);
+
+    this.emit(TARGET_EVENTS.DWELL_PROGRESS, hover, { progress });
+
+    if (progress >= 1) {
+      hover.selected = true;
+      this.emit(TARGET_EVENTS.SELECT, hover, { progress, source: 'dwell' });
+    }
+  }
+
+  /**
+   * Move a hand's cursor onto a target, or off any target
+   * @param {Object} cursor - Cursor from HandCursor
+   * @param {Object|null} target - Target now under the cursor
+   * @param {Number} [timestamp] - Time of the change (ms)
+   */
+  setHover(cursor, target, timestamp = Date.now()) {
+    const hover = this.hovers[cursor.handId];
+
+    if (hover && hover.target === target) {
+      hover.cursor = cursor;
+      return;
+    }
+
+    if (hover) {
+      delete this.hovers[cursor.handId];
+      this.emit(TARGET_EVENTS.LEAVE, { ...hover, cursor });
+    }
+
+    if (target) {
+      const newHover = { target, enterTime: timestamp, selected: false, cursor };
+      this.hovers[cursor.handId] = newHover;
+      this.emit(TARGET_EVENTS.ENTER, newHover);
+    }
+  }
+
+  /**
+   * Select the target under a hand that pinched or grabbed. Held gestures
+   * are reported again now and then; only the first report selects.
+   * @param {Object} gesture - Gesture from the gesture engine
+   */
+  handleGesture(gesture) {
+    if (gesture.repeat || !this.selectGestures.includes(gesture.name)) return;
+
+    const hover = this.hovers[gesture.handId];
+    if (!hover) return;
+
+    this.emit(TARGET_EVENTS.SELECT, hover, { progress: 1, source: gesture.name });
+  }
+
+  /**
+   * Send an event to its target and the event listeners
+   * @param {String} type - One of TARGET_EVENTS
+   * @param {Object} hover - Hover state: { target, cursor, ... }
+   * @param {Object} [details] - Extra event fields
+   */
+  emit(type, hover, details = {}) {
+    const { target, cursor } = hover;
+    const event = {
+      type,
+      target,
+      handId: cursor.handId,
+      handedness: cursor.handedness,
+      cursor,
+      ...details
+    };
+
+    const handler = target[EVENT_HANDLERS[type]];
+    if (handler) handler(event);
+
+    this.eventCallbacks.forEach(callback => callback(event));
+  }
+}
+
+export default TargetManager;
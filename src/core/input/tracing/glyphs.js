@@ -0,0 +1,241 @@
+// src/core/input/tracing/glyphs.js
+
+/**
+ * Reference Glyphs
+ * How the letters A–Z and digits 0–9 are written, for tracing: each glyph is
+ * a list of strokes in the order they are written, and each stroke a list
+ * of points in the direction it is drawn. Strokes follow the usual print
+ * handwriting taught to young children (straight lines top to bottom and
+ * left to right, round letters started at the top going anticlockwise).
+ *
+ * Points are in a unit box: x from 0 (left) to 1 (right), y from 0 (top)
+ * to 1 (bottom).
+ */
+
+/**
+ * Points along an elliptical arc. Angles are in degrees, 0 pointing right and
+ * increasing clockwise on screen; going from a larger to a smaller angle
+ * draws anticlockwise.
+ * @param {Number} cx - Centre x
+ * @param {Number} cy - Centre y
+ * @param {Number} rx - Horizontal radius
+ * @param {Number} ry - Vertical radius
+ * @param {Number} from - Start angle
+ * @param {Number} to - End angle
+ * @returns {Array} - Points from the start angle to the end angle
+ */
+function arc(cx, cy, rx, ry, from, to) {
+  const steps = Math.max(2, Math.ceil(Math.abs(to - from) / 15));
+  const points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const angle = (from + (to - from) * i / steps) * Math.PI / 180;
+    points.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+  }
+  return points;
+}
+
+/**
+ * Points of straight lines
+ * @param {...Array} points - [x, y] pairs
+ * @returns {Array} - Points with x,y coordinates
+ */
+function line(...points) {
+  return points.map(([x, y]) => ({ x, y }));
+}
+
+export const GLYPHS = {
+  A: [
+    line([0.5, 0], [0.1, 1]),
+    line([0.5, 0], [0.9, 1]),
+    line([0.25, 0.6], [0.75, 0.6])
+  ],
+  B: [
+    line([0.2, 0], [0.2, 1]),
+    [
+      ...line([0.2, 0], [0.55, 0]),
+      ...arc(0.55, 0.25, 0.25, 0.25, -90, 90),
+      ...line([0.2, 0.5]),
+      ...arc(0.2, 0.75, 0.45, 0.25, -90, 90)
+    ]
+  ],
+  C: [
+    arc(0.55, 0.5, 0.4, 0.5, -45, -315)
+  ],
+  D: [
+    line([0.2, 0], [0.2, 1]),
+    [
+      ...line([0.2, 0], [0.45, 0]),
+      ...arc(0.45, 0.5, 0.4, 0.5, -90, 90),
+      ...line([0.2, 1])
+    ]
+  ],
+  E: [
+    line([0.2, 0], [0.2, 1]),
+    line([0.2, 0], [0.8, 0]),
+    line([0.2, 0.5], [0.7, 0.5]),
+    line([0.2, 1], [0.8, 1])
+  ],
+  F: [
+    line([0.2, 0], [0.2, 1]),
+    line([0.2, 0], [0.8, 0]),
+    line([0.2, 0.5], [0.7, 0.5])
+  ],
+  G: [
+    [
+      ...arc(0.55, 0.5, 0.4, 0.5, -45, -360),
+      ...line([0.6, 0.5])
+    ]
+  ],
+  H: [
+    line([0.15, 0], [0.15, 1]),
+    line([0.85, 0], [0.85, 1]),
+    line([0.15, 0.5], [0.85, 0.5])
+  ],
+  I: [
+    line([0.5, 0], [0.5, 1]),
+    line([0.3, 0], [0.7, 0]),
+    line([0.3, 1], [0.7, 1])
+  ],
+  J: [
+    [
+      ...line([0.7, 0], [0.7, 0.75]),
+      ...arc(0.45, 0.75, 0.25, 0.25, 0, 180)
+    ]
+  ],
+  K: [
+    line([0.2, 0], [0.2, 1]),
+    line([0.8, 0], [0.25, 0.55], [0.8, 1])
+  ],
+  L: [
+    line([0.2, 0], [0.2, 1], [0.8, 1])
+  ],
+  M: [
+    line([0.1, 1], [0.1, 0], [0.5, 0.6], [0.9, 0], [0.9, 1])
+  ],
+  N: [
+    line([0.15, 1], [0.15, 0], [0.85, 1], [0.85, 0])
+  ],
+  O: [
+    arc(0.5, 0.5, 0.4, 0.5, -90, -450)
+  ],
+  P: [
+    line([0.2, 0], [0.2, 1]),
+    [
+      ...line([0.2, 0], [0.55, 0]),
+      ...arc(0.55, 0.25, 0.25, 0.25, -90, 90),
+      ...line([0.2, 0.5])
+    ]
+  ],
+  Q: [
+    arc(0.5, 0.5, 0.4, 0.5, -90, -450),
+    line([0.6, 0.7], [0.9, 1])
+  ],
+  R: [
+    line([0.2, 0], [0.2, 1]),
+    [
+      ...line([0.2, 0], [0.55, 0]),
+      ...arc(0.55, 0.25, 0.25, 0.25, -90, 90),
+      ...line([0.2, 0.5], [0.85, 1])
+    ]
+  ],
+  S: [
+    [
+      ...arc(0.5, 0.25, 0.3, 0.25, -30, -270),
+      ...arc(0.5, 0.75, 0.3, 0.25, -90, 150)
+    ]
+  ],
+  T: [
+    line([0.5, 0], [0.5, 1]),
+    line([0.1, 0], [0.9, 0])
+  ],
+  U: [
+    [
+      ...line([0.15, 0], [0.15, 0.65]),
+      ...arc(0.5, 0.65, 0.35, 0.35, 180, 0),
+      ...line([0.85, 0])
+    ]
+  ],
+  V: [
+    line([0.1, 0], [0.5, 1], [0.9, 0])
+  ],
+  W: [
+    line([0.05, 0], [0.275, 1], [0.5, 0.35], [0.725, 1], [0.95, 0])
+  ],
+  X: [
+    line([0.15, 0], [0.85, 1]),
+    line([0.85, 0], [0.15, 1])
+  ],
+  Y: [
+    line([0.1, 0], [0.5, 0.5]),
+    line([0.9, 0], [0.5, 0.5], [0.5, 1])
+  ],
+  Z: [
+    line([0.15, 0], [0.85, 0], [0.15, 1], [0.85, 1])
+  ],
+  0: [
+    arc(0.5, 0.5, 0.35, 0.5, -90, -450)
+  ],
+  1: [
+    line([0.3, 0.2], [0.5, 0], [0.5, 1])
+  ],
+  2: [
+    [
+      ...arc(0.5, 0.3, 0.3, 0.3, -160, 30),
+      ...line([0.15, 1], [0.85, 1])
+    ]
+  ],
+  3: [
+    [
+      ...arc(0.5, 0.25, 0.3, 0.25, -150, 90),
+      ...arc(0.5, 0.75, 0.3, 0.25, -90, 150)
+    ]
+  ],
+  4: [
+    line([0.6, 0], [0.1, 0.65], [0.9, 0.65]),
+    line([0.65, 0], [0.65, 1])
+  ],
+  5: [
+    [
+      ...line([0.25, 0], [0.2, 0.45]),
+      ...arc(0.5, 0.7, 0.32, 0.3, -120, 150)
+    ],
+    line([0.25, 0], [0.8, 0])
+  ],
+  6: [
+    [
+      ...line([0.7, 0], [0.4, 0.25]),
+      ...arc(0.5, 0.7, 0.3, 0.3, 180, -180)
+    ]
+  ],
+  7: [
+    line([0.15, 0], [0.85, 0], [0.4, 1])
+  ],
+  8: [
+    [
+      ...arc(0.5, 0.25, 0.25, 0.25, -30, -270),
+      ...arc(0.5, 0.75, 0.28, 0.25, -90, 270),
+      ...arc(0.5, 0.25, 0.25, 0.25, 90, -30)
+    ]
+  ],
+  9: [
+    [
+      ...arc(0.5, 0.3, 0.3, 0.3, 0, -360),
+      ...line([0.8, 1])
+    ]
+  ]
+};
+
+/**
+ * Get the reference glyph for a character
+ * @param {String} character - A letter A–Z (either case) or a digit 0–9
+ * @returns {Array} - The glyph's strokes
+ * @throws {Error} - If there is no glyph for the character
+ */
+export function getGlyph(character) {
+  const glyph = GLYPHS[String(character).toUpperCase()];
+  if (!glyph) {
+    throw new Error(`No tracing glyph for '${character}'`);
+  }
+  return glyph;
+}
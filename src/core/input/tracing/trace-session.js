@@ -0,0 +1,367 @@
+// src/core/input/tracing/trace-session.js
+
+/**
+ * Trace Session
+ * Lets a child trace a letter or digit shown on screen with their finger.
+ * While the hand points, the index fingertip (landmark 8, through the hand
+ * cursor) draws a stroke; lowering the finger ends it. Each drawn stroke is
+ * compared with the glyph's stroke at the same place in the writing order:
+ *
+ *   coverage         - share of the reference stroke the child went along
+ *   precision        - share of the drawn stroke that stayed on the reference
+ *   directionCorrect - drawn the way the stroke is written
+ *   matchedStroke    - the reference stroke the drawing is closest to; when
+ *                      this isn't its own, the strokes came in the wrong order
+ *
+ * Overall accuracy is the average of each reference stroke's coverage and
+ * precision, with strokes not drawn yet counting as 0.
+ */
+import { getGlyph } from './glyphs.js';
+import { resample, pathLength } from '../gestures/stroke-matcher.js';
+import { distance2D } from '../gestures/geometry.js';
+
+// Points each reference stroke is resampled to for comparison
+const REFERENCE_POINTS = 32;
+
+/**
+ * Find the point of a stroke nearest to a point
+ * @param {Array} points - Stroke points
+ * @param {Object} point - Point with x,y coordinates
+ * @returns {Object} - { index, distance }
+ */
+function nearestPoint(points, point) {
+  let nearest = { index: -1, distance: Infinity };
+  points.forEach((candidate, index) => {
+    const distance = distance2D(candidate, point);
+    if (distance < nearest.distance) nearest = { index, distance };
+  });
+  return nearest;
+}
+
+class TraceSession {
+  /**
+   * @param {InputManager} inputManager - Initialized input manager
+   * @param {Object} [options]
+   * @param {String} [options.glyph='A'] - Letter or digit to trace
+   * @param {Object} [options.region] - Where the glyph is shown, as { left, top,
+   *   width, height } from 0 to 1 across the cursor's element or window
+   * @param {Number} [options.tolerance=0.12] - How far from a reference stroke
+   *   the finger may stray and still be on it, as a share of the glyph's size
+   * @param {Number} [options.minStrokeLength=0.1] - Shorter strokes are taken
+   *   as accidental points and ignored (share of the glyph's size)
+   * @param {HandCursor} [options.cursor] - Cursor the fingertip is read from;
+   *   one following landmark 8 is created (with `cursorOptions`) if not given
+   * @param {Object} [options.cursorOptions] - Options for the created cursor (see HandCursor)
+   */
+  constructor(inputManager, options = {}) {
+    this.inputManager = inputManager;
+    this.region = options.region ?? { left: 0.25, top: 0.15, width: 0.5, height: 0.7 };
+    this.tolerance = options.tolerance ?? 0.12;
+    this.minStrokeLength = options.minStrokeLength ?? 0.1;
+    this.ownsCursor = !options.cursor;
+    this.cursor = options.cursor ||
+      inputManager.createHandCursor({ ...options.cursorOptions, landmark: 8 });
+
+    this.strokeCallbacks = [];
+    this.progressCallbacks = [];
+    this.completeCallbacks = [];
+    this.unsubscribers = [];
+
+    this.setGlyph(options.glyph ?? 'A');
+  }
+
+  /**
+   * Start following the hand
+   */
+  start() {
+    if (this.unsubscribers.length > 0) return;
+
+    this.unsubscribers = [
+      this.inputManager.onGestureEvent(event => this.handleGestureEvent(event)),
+      this.cursor.onMove(cursor => this.addPoint(cursor))
+    ];
+
+    if (this.ownsCursor) {
+      this.cursor.start();
+    }
+  }
+
+  /**
+   * Stop following the hand. A stroke being drawn is dropped.
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.currentStroke = null;
+
+    if (this.ownsCursor) {
+      this.cursor.stop();
+    }
+  }
+
+  /**
+   * Trace a different letter or digit, starting over
+   * @param {String} character - Letter A–Z or digit 0–9
+   */
+  setGlyph(character) {
+    this.character = String(character).toUpperCase();
+    this.reference = getGlyph(character).map(points => resample(points, REFERENCE_POINTS));
+    this.reset();
+  }
+
+  /**
+   * Clear what has been drawn, to trace the glyph again
+   */
+  reset() {
+    // Finished strokes: arrays of points in glyph coordinates
+    this.strokes = [];
+    // Stroke being drawn: { gestureId, handId, points }
+    this.currentStroke = null;
+    this.isComplete = false;
+  }
+
+  /**
+   * Register callback for finished strokes
+   * @param {Function} callback - Called with the stroke's evaluation (see evaluateStroke)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onStroke(callback) {
+    this.strokeCallbacks.push(callback);
+    return () => {
+      this.strokeCallbacks = this.strokeCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for the stroke being drawn, e.g. to fill in the
+   * reference stroke as the child goes along it
+   * @param {Function} callback - Called on every new point with the stroke's
+   *   evaluation so far (see evaluateStroke)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onProgress(callback) {
+    this.progressCallbacks.push(callback);
+    return () => {
+      this.progressCallbacks = this.progressCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for the glyph being finished, once as many strokes as
+   * it has have been drawn
+   * @param {Function} callback - Called with the result (see getResult)
+   * @returns {Function} - Function to unregister the callback
+   */
+  onComplete(callback) {
+    this.completeCallbacks.push(callback);
+    return () => {
+      this.completeCallbacks = this.completeCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Get the reference strokes, for drawing the glyph to trace
+   * @returns {Array} - Strokes in writing order, points in glyph coordinates
+   *   (0-1 across the region)
+   */
+  getReference() {
+    return this.reference;
+  }
+
+  /**
+   * Get what has been drawn, for drawing the child's trail
+   * @returns {Array} - Finished strokes, then the one being drawn, points in
+   *   glyph coordinates
+   */
+  getStrokes() {
+    return this.currentStroke
+      ? [...this.strokes, this.currentStroke.points]
+      : [...this.strokes];
+  }
+
+  /**
+   * Start and end strokes as the hand starts and stops pointing
+   * @param {Object} event - Gesture lifecycle event
+   */
+  handleGestureEvent(event) {
+    if (event.name !== 'point' || this.isComplete) return;
+
+    if (event.type === 'gesturestart' && !this.currentStroke) {
+      this.currentStroke = { gestureId: event.gestureId, handId: event.handId, points: [] };
+    } else if (event.type === 'gestureend' && this.currentStroke &&
+               this.currentStroke.gestureId === event.gestureId) {
+      this.finishStroke();
+    }
+  }
+
+  /**
+   * Add the fingertip's position to the stroke being drawn
+   * @param {Object} cursor - Cursor from HandCursor
+   */
+  addPoint(cursor) {
+    const stroke = this.currentStroke;
+    if (!stroke || cursor.handId !== stroke.handId) return;
+
+    stroke.points.push({
+      x: (cursor.normalizedX - this.region.left) / this.region.width,
+      y: (cursor.normalizedY - this.region.top) / this.region.height
+    });
+
+    if (this.progressCallbacks.length > 0) {
+      const progress = this.evaluateStroke(stroke.points, this.strokes.length);
+      this.progressCallbacks.forEach(callback => callback(progress));
+    }
+  }
+
+  /**
+   * Finish the stroke being drawn and evaluate it
+   */
+  finishStroke() {
+    const { points } = this.currentStroke;
+    this.currentStroke = null;
+
+    if (points.length < 2 || pathLength(points) < this.minStrokeLength) return;
+
+    this.strokes.push(points);
+    const evaluation = this.evaluateStroke(points, this.strokes.length - 1);
+    this.strokeCallbacks.forEach(callback => callback(evaluation));
+
+    if (this.strokes.length >= this.reference.length) {
+      this.isComplete = true;
+      const result = this.getResult();
+      this.completeCallbacks.forEach(callback => callback(result));
+    }
+  }
+
+  /**
+   * Compare a drawn stroke with the reference stroke at its place in the
+   * writing order
+   * @param {Array} points - Drawn points in glyph coordinates
+   * @param {Number} index - Place of the stroke in the writing order
+   * @returns {Object} - { index, coverage, precision, directionCorrect,
+   *   matchedStroke, orderCorrect }; coverage and precision from 0 to 1
+   */
+  evaluateStroke(points, index) {
+    const reference = this.reference[index];
+    if (!reference) {
+      // More strokes than the glyph has: nothing to compare with
+      return {
+        index,
+        coverage: 0,
+        precision: 0,
+        directionCorrect: false,
+        matchedStroke: this.findMatchingStroke(points),
+        orderCorrect: false
+      };
+    }
+
+    const { coverage, precision } = this.compare(points, reference);
+    const matchedStroke = this.findMatchingStroke(points);
+
+    return {
+      index,
+      coverage,
+      precision,
+      directionCorrect: this.isDirectionCorrect(points, reference),
+      matchedStroke,
+      orderCorrect: matchedStroke === index
+    };
+  }
+
+  /**
+   * Measure how much of a reference stroke a drawing covers, and how much of
+   * the drawing is on it
+   * @param {Array} points - Drawn points
+   * @param {Array} reference - Reference stroke points
+   * @returns {Object} - { coverage, precision }
+   */
+  compare(points, reference) {
+    const covered = reference.filter(point => nearestPoint(points, point).distance <= this.tolerance);
+    const onStroke = points.filter(point => nearestPoint(reference, point).distance <= this.tolerance);
+
+    return {
+      coverage: covered.length / reference.length,
+      precision: onStroke.length / points.length
+    };
+  }
+
+  /**
+   * Find the reference stroke a drawing covers best
+   * @param {Array} points - Drawn points
+   * @returns {Number} - Index of the reference stroke, or -1 if it covers none
+   */
+  findMatchingStroke(points) {
+    let best = { index: -1, score: 0 };
+    this.reference.forEach((reference, index) => {
+      const { coverage, precision } = this.compare(points, reference);
+      const score = coverage * precision;
+      if (score > best.score) best = { index, score };
+    });
+    return best.index;
+  }
+
+  /**
+   * Check that a drawing goes along a reference stroke the way it is written.
+   * Each drawn point is matched to its nearest reference point; the drawing
+   * should move forwards along the reference more than backwards.
+   * @param {Array} points - Drawn points
+   * @param {Array} reference - Reference stroke points
+   * @returns {Boolean} - True if drawn in the writing direction
+   */
+  isDirectionCorrect(points, reference) {
+    // On closed strokes (O, 0) the end meets the start, so a step across
+    // that seam is a short step, not a jump back
+    const isClosed = distance2D(reference[0], reference[reference.length - 1]) <= this.tolerance;
+    const count = reference.length;
+
+    let forwards = 0;
+    let backwards = 0;
+    let previous = null;
+
+    points.forEach(point => {
+      const nearest = nearestPoint(reference, point);
+      if (nearest.distance > this.tolerance) return;
+
+      if (previous !== null) {
+        let step = nearest.index - previous;
+        if (isClosed && Math.abs(step) > count / 2) {
+          step -= Math.sign(step) * count;
+        }
+        if (step > 0) forwards += step;
+        if (step < 0) backwards -= step;
+      }
+      previous = nearest.index;
+    });
+
+    return forwards > backwards;
+  }
+
+  /**
+   * Evaluate everything drawn so far against the whole glyph
+   * @returns {Object} - { character, strokes (evaluation of each reference
+   *   stroke, null if not drawn yet), accuracy (0-1), directionCorrect (every
+   *   stroke the right way), strokeOrderCorrect (every stroke in its place),
+   *   complete }
+   */
+  getResult() {
+    const strokes = this.reference.map((reference, index) => (
+      this.strokes[index] ? this.evaluateStroke(this.strokes[index], index) : null
+    ));
+    const drawn = strokes.filter(Boolean);
+
+    const accuracy = strokes.reduce((total, stroke) => (
+      total + (stroke ? (stroke.coverage + stroke.precision) / 2 : 0)
+    ), 0) / strokes.length;
+
+    return {
+      character: this.character,
+      strokes,
+      accuracy,
+      directionCorrect: drawn.length > 0 && drawn.every(stroke => stroke.directionCorrect),
+      strokeOrderCorrect: drawn.length > 0 && drawn.every(stroke => stroke.orderCorrect),
+      complete: this.isComplete
+    };
+  }
+}
+
+export default TraceSession;
@@ -0,0 +1,170 @@
+// src/core/input/tracking/hand-tracker.js
+
+/**
+ * Hand Tracker
+ * Gives each hand a persistent ID across frames. MediaPipe may reorder
+ * hands or flip their handedness label from one frame to the next, so hands
+ * are matched to the previous frame by wrist position (with a little motion
+ * prediction) and hand shape instead. IDs survive short dropouts.
+ */
+import { distance3D } from '../gestures/geometry.js';
+
+class HandTracker {
+  /**
+   * @param {Object} options - Resolved input options
+   */
+  constructor(options) {
+    this.options = options;
+    this.reset();
+  }
+
+  /**
+   * Apply new options
+   * @param {Object} options - Resolved input options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Forget all tracked hands
+   */
+  reset() {
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Match the hands in a frame to tracked hands
+   * @param {Object} results - Results in the MediaPipe Hands shape
+   * @param {Number} [timestamp] - Time of the frame (ms)
+   * @returns {Object} - Copy of the results with a multiHandIds array that
+   *   parallels multiHandLandmarks
+   */
+  update(results, timestamp = Date.now()) {
+    const { multiHandLandmarks, multiHandedness } = results;
+    const { handMatchDistance, handDropoutTime } = this.options;
+
+    const hands = multiHandLandmarks.map((landmarks, handIndex) => ({
+      landmarks,
+      handedness: multiHandedness[handIndex].label,
+      shape: this.getShape(landmarks)
+    }));
+
+    // Score every hand against every tracked hand
+    const pairs = [];
+    hands.forEach((hand, handIndex) => {
+      this.tracks.forEach(track => {
+        const cost = this.matchCost(track, hand, timestamp);
+        if (cost < handMatchDistance) {
+          pairs.push({ handIndex, track, cost });
+        }
+      });
+    });
+
+    // Greedily take the closest pairs first
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    const ids = new Array(hands.length).fill(null);
+    const matchedTracks = new Set();
+
+    pairs.forEach(({ handIndex, track }) => {
+      if (ids[handIndex] !== null || matchedTracks.has(track)) return;
+
+      ids[handIndex] = track.id;
+      matchedTracks.add(track);
+      this.updateTrack(track, hands[handIndex], timestamp);
+    });
+
+    // Hands without a match are new
+    hands.forEach((hand, handIndex) => {
+      if (ids[handIndex] !== null) return;
+
+      const track = {
+        id: `hand-${this.nextId++}`,
+        wrist: null,
+        velocity: { x: 0, y: 0 },
+        lastSeen: timestamp
+      };
+      this.updateTrack(track, hand, timestamp);
+      this.tracks.push(track);
+      ids[handIndex] = track.id;
+    });
+
+    // Drop hands that have been gone too long
+    this.tracks = this.tracks.filter(track => timestamp - track.lastSeen <= handDropoutTime);
+
+    return { ...results, multiHandIds: ids };
+  }
+
+  /**
+   * How different a hand is from a tracked hand. Roughly in units of
+   * normalized wrist distance.
+   * @param {Object} track - Tracked hand
+   * @param {Object} hand - Hand in the current frame
+   * @param {Number} timestamp - Time of the frame (ms)
+   * @returns {Number} - Lower is a better match
+   */
+  matchCost(track, hand, timestamp) {
+    // Predict where the tracked wrist is now, limited to short gaps
+    const dt = Math.min(timestamp - track.lastSeen, 200) / 1000;
+    const predicted = {
+      x: track.wrist.x + track.velocity.x * dt,
+      y: track.wrist.y + track.velocity.y * dt,
+      z: track.wrist.z
+    };
+
+    const wristDistance = distance3D(predicted, hand.landmarks[0]);
+
+    // Average landmark difference in palm sizes
+    const shapeDistance = hand.shape.reduce(
+      (sum, point, i) => sum + distance3D(point, track.shape[i]), 0
+    ) / hand.shape.length;
+
+    // Labels flip, so a mismatch only counts a little
+    const handednessPenalty = hand.handedness === track.handedness ? 0 : 0.05;
+
+    return wristDistance + shapeDistance * 0.1 + handednessPenalty;
+  }
+
+  /**
+   * Record a hand's latest position in its track
+   * @param {Object} track - Tracked hand
+   * @param {Object} hand - Hand in the current frame
+   * @param {Number} timestamp - Time of the frame (ms)
+   */
+  updateTrack(track, hand, timestamp) {
+    const wrist = hand.landmarks[0];
+    const dt = (timestamp - track.lastSeen) / 1000;
+
+    if (track.wrist && dt > 0) {
+      track.velocity = {
+        x: (wrist.x - track.wrist.x) / dt,
+        y: (wrist.y - track.wrist.y) / dt
+      };
+    }
+
+    track.wrist = { x: wrist.x, y: wrist.y, z: wrist.z };
+    track.shape = hand.shape;
+    track.handedness = hand.handedness;
+    track.lastSeen = timestamp;
+  }
+
+  /**
+   * Landmarks relative to the wrist, in palm sizes
+   * @param {Array} landmarks - Hand landmarks
+   * @returns {Array} - Wrist-relative, size-normalized points
+   */
+  getShape(landmarks) {
+    const wrist = landmarks[0];
+    const palmSize = distance3D(wrist, landmarks[9]) || 1;
+
+    return landmarks.map(landmark => ({
+      x: (landmark.x - wrist.x) / palmSize,
+      y: (landmark.y - wrist.y) / palmSize,
+      z: (landmark.z - wrist.z) / palmSize
+    }));
+  }
+}
+
+export default HandTracker;
@@ -0,0 +1,171 @@
+// src/core/input/workers/hand-inference-worker.js
+
+/**
+ * Hand Inference Worker
+ * Runs MediaPipe Hands, hand tracking, smoothing and gesture detection off
+ * the main thread for MediaPipeProvider's worker mode. Video frames arrive
+ * as ImageBitmaps; hands and gestures go back as messages.
+ *
+ * Messages in:
+ *   { type: 'init', options, handsOptions, assetPath }
+ *   { type: 'options', options, handsOptions }
+ *   { type: 'frame', image, timestamp } - image is transferred and closed here
+ *   { type: 'registerGesture', definition }
+ *   { type: 'unregisterGesture', name }
+ *   { type: 'thresholds', thresholds }
+ *   { type: 'reset' }
+ *   { type: 'close' }
+ *
+ * Messages out:
+ *   { type: 'ready' }
+ *   { type: 'error', message } - initialization failed
+ *   { type: 'results', rawResults, handResults, timestamp }
+ *   { type: 'gesture', gesture, handedness, landmarks }
+ *   { type: 'gestureEvent', event } - gesture lifecycle event
+ *   { type: 'frameDone', timestamp } - after the frame's results and gestures
+ */
+import { Hands } from '@mediapipe/hands';
+import GestureEngine from '../gestures/gesture-engine.js';
+import { addHandOrientations } from '../gestures/hand-orientation.js';
+import LandmarkFilter from '../filters/landmark-filter.js';
+import HandTracker from '../tracking/hand-tracker.js';
+
+let options = null;
+let hands = null;
+let gestureEngine = null;
+let handTracker = null;
+let landmarkFilter = null;
+
+// Unregister functions of custom gestures, by name
+const customGestures = {};
+
+// Time of the frame being processed
+let frameTimestamp = 0;
+
+/**
+ * Load MediaPipe Hands and set up the pipeline
+ * @param {Object} message - The 'init' message
+ */
+async function initialize(message) {
+  options = message.options;
+  gestureEngine = new GestureEngine(options);
+  handTracker = new HandTracker(options);
+  landmarkFilter = new LandmarkFilter(options);
+
+  gestureEngine.onGestureDetected((gesture, handedness, landmarks) => {
+    self.postMessage({ type: 'gesture', gesture, handedness, landmarks });
+  });
+  gestureEngine.onGestureEvent(event => {
+    self.postMessage({ type: 'gestureEvent', event });
+  });
+
+  hands = new Hands({
+    locateFile: file => `${message.assetPath}${file}`
+  });
+  await hands.setOptions(message.handsOptions);
+  hands.onResults(handleResults);
+  await hands.initialize();
+}
+
+/**
+ * Run MediaPipe's results through tracking, smoothing and gesture detection,
+ * as MediaPipeProvider.handleResults does in the main thread
+ * @param {Object} results - Results from MediaPipe Hands
+ */
+function handleResults(results) {
+  if (!results) return;
+
+  // Only the landmarks are sent back, not MediaPipe's image. Frames without
+  // hands lack these fields but still go through, so held gestures end.
+  const rawResults = {
+    multiHandLandmarks: results.multiHandLandmarks || [],
+    multiHandedness: results.multiHandedness || []
+  };
+
+  const trackedResults = handTracker.update(rawResults, frameTimestamp);
+
+  const { smoothHandUpdates, smoothGestures } = options;
+  const smoothedResults = (smoothHandUpdates || smoothGestures)
+    ? landmarkFilter.apply(trackedResults, frameTimestamp)
+    : trackedResults;
+
+  self.postMessage({
+    type: 'results',
+    rawResults,
+    handResults: addHandOrientations(smoothHandUpdates ? smoothedResults : trackedResults),
+    timestamp: frameTimestamp
+  });
+
+  gestureEngine.processResults(smoothGestures ? smoothedResults : trackedResults, frameTimestamp);
+}
+
+/**
+ * Run inference on one video frame
+ * @param {Object} message - The 'frame' message
+ */
+async function processFrame({ image, timestamp }) {
+  frameTimestamp = timestamp;
+  try {
+    await hands.send({ image });
+  } finally {
+    image.close();
+    self.postMessage({ type: 'frameDone', timestamp });
+  }
+}
+
+self.onmessage = async ({ data: message }) => {
+  switch (message.type) {
+    case 'init':
+      try {
+        await initialize(message);
+        self.postMessage({ type: 'ready' });
+      } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+      }
+      break;
+
+    case 'options':
+      options = message.options;
+      gestureEngine.setOptions(options);
+      handTracker.setOptions(options);
+      landmarkFilter.setOptions(options);
+      await hands.setOptions(message.handsOptions);
+      break;
+
+    case 'frame':
+      await processFrame(message);
+      break;
+
+    case 'registerGesture':
+      customGestures[message.definition.name] = gestureEngine.registerGesture(message.definition);
+      break;
+
+    case 'unregisterGesture':
+      if (customGestures[message.name]) {
+        customGestures[message.name]();
+        delete customGestures[message.name];
+      }
+      break;
+
+    case 'thresholds':
+      gestureEngine.setThresholds(message.thresholds);
+      break;
+
+    case 'reset':
+      gestureEngine.resetState();
+      handTracker.reset();
+      landmarkFilter.reset();
+      break;
+
+    case 'close':
+      if (hands) {
+        await hands.close();
+        hands = null;
+      }
+      self.close();
+      break;
+
+    default:
+      console.warn(`Unknown hand inference worker message '${message.type}'`);
+  }
+};
@@ -0,0 +1,105 @@
+// src/ui/DwellTarget.jsx
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useTargetManager } from './HandTargeting';
+import './DwellTarget.css';
+
+// Radius of the ring in its 100 x 100 view box
+const RING_RADIUS = 44;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+/**
+ * A ring that fills up as progress goes from 0 to 1
+ * @param {Object} props
+ * @param {Number} props.progress - How full the ring is (0-1)
+ * @param {Number} [props.size=72] - Diameter (px)
+ */
+export function DwellProgressRing({ progress, size = 72 }) {
+  return (
+    <svg
+      className="dwell-progress-ring"
+      width={size}
+      height={size}
+      viewBox="0 0 100 100"
+      aria-hidden="true"
+    >
+      <circle className="dwell-progress-ring-track" cx="50" cy="50" r={RING_RADIUS} />
+      <circle
+        className="dwell-progress-ring-fill"
+        cx="50"
+        cy="50"
+        r={RING_RADIUS}
+        strokeDasharray={RING_CIRCUMFERENCE}
+        strokeDashoffset={RING_CIRCUMFERENCE * (1 - progress)}
+      />
+    </svg>
+  );
+}
+
+/**
+ * Makes its children selectable by hand inside HandTargeting: resting the
+ * hand cursor on them fills a progress ring, then selects. Pinching or
+ * grabbing over them selects straight away.
+ * @param {Object} props
+ * @param {Function} props.onSelect - Called with the select event
+ * @param {Number} [props.dwellTime] - Time to rest on the target (ms)
+ * @param {Boolean} [props.disabled] - Not selectable while true
+ * @param {Number} [props.ringSize] - Diameter of the progress ring (px)
+ */
+function DwellTarget({ onSelect, dwellTime, disabled = false, ringSize, children }) {
+  const targetManager = useTargetManager();
+  const elementRef = useRef(null);
+  // Progress of each hand resting on the target, by hand ID
+  const [progress, setProgress] = useState({});
+
+  // The registration outlives renders, so it reads the latest props here
+  const propsRef = useRef({ onSelect, disabled });
+  propsRef.current = { onSelect, disabled };
+
+  useEffect(() => {
+    if (!targetManager || !elementRef.current) return;
+
+    const setHandProgress = (handId, value) => {
+      setProgress(previous => {
+        const { [handId]: old, ...rest } = previous;
+        return value === null ? rest : { ...rest, [handId]: value };
+      });
+    };
+
+    const target = {
+      element: elementRef.current,
+      dwellTime,
+      onEnter: event => setHandProgress(event.handId, 0),
+      onDwellProgress: event => setHandProgress(event.handId, event.progress),
+      onLeave: event => setHandProgress(event.handId, null),
+      onSelect: event => propsRef.current.onSelect(event)
+    };
+
+    // Read on every hit test, so disabling needs no new registration
+    Object.defineProperty(target, 'disabled', {
+      get: () => propsRef.current.disabled
+    });
+
+    const unregister = targetManager.registerTarget(target);
+    return () => {
+      unregister();
+      setProgress({});
+    };
+  }, [targetManager, dwellTime]);
+
+  const values = Object.values(progress);
+  const isHovered = values.length > 0;
+
+  return (
+    <div ref={elementRef} className={`dwell-target ${isHovered ? 'hovered' : ''}`}>
+      {children}
+      {isHovered && (
+        <div className="dwell-target-ring">
+          <DwellProgressRing progress={Math.max(...values)} size={ringSize} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DwellTarget;
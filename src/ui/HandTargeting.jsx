@@ -0,0 +1,114 @@
+// src/ui/HandTargeting.jsx
+
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import InputManager from '../core/input/input-manager';
+import './HandTargeting.css';
+
+// The running TargetManager, or null while the camera isn't tracking
+const TargetManagerContext = createContext(null);
+
+/**
+ * Get the TargetManager of the surrounding HandTargeting, for registering
+ * targets. Null outside HandTargeting or before tracking has started.
+ * @returns {TargetManager|null} - The target manager
+ */
+export function useTargetManager() {
+  return useContext(TargetManagerContext);
+}
+
+/**
+ * Tracks the hands while mounted and enabled, shows their cursors and lets
+ * DwellTarget children be selected by hand. The mouse keeps working if
+ * there's no camera.
+ * @param {Object} props
+ * @param {Boolean} [props.enabled=true] - Whether to use the camera; leave it
+ *   off until the user asks for hand control, so the page doesn't ask for
+ *   camera access as soon as it loads
+ * @param {String} [props.provider='mediapipe'] - Input provider
+ * @param {String|Object} [props.options='toddler'] - Input options or preset
+ *   name. Tracking restarts only when their content changes, so an inline
+ *   object is fine.
+ * @param {Object} [props.targetOptions] - TargetManager options (dwell time,
+ *   select gestures, cursor). Compared by content like `options`.
+ */
+function HandTargeting({ enabled = true, provider = 'mediapipe', options = 'toddler', targetOptions, children }) {
+  const videoRef = useRef(null);
+  const [targetManager, setTargetManager] = useState(null);
+  const [cursors, setCursors] = useState({});
+
+  // Compared by content rather than identity
+  const optionsKey = typeof options === 'string' ? options : JSON.stringify(options);
+  const targetOptionsKey = JSON.stringify(targetOptions);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let isMounted = true;
+    let manager = null;
+    let targets = null;
+
+    // Without a camera, targets are simply used with the mouse
+    try {
+      manager = new InputManager(provider, typeof options === 'string'
+        ? { preset: options, fallbackProviders: [] }
+        : { fallbackProviders: [], ...options });
+    } catch (error) {
+      console.error('Error initializing hand targeting:', error);
+      return;
+    }
+
+    manager.onError(({ provider: failedProvider, phase, message }) => {
+      console.warn(`Hand targeting unavailable: ${failedProvider} failed to ${phase}: ${message}`);
+    });
+
+    manager.onReady(async () => {
+      if (!isMounted) return;
+
+      try {
+        manager.setVideoElement(videoRef.current);
+        await manager.startTracking();
+      } catch (error) {
+        return; // Reported through onError
+      }
+      if (!isMounted) return;
+
+      targets = manager.createTargetManager(targetOptions);
+      targets.cursor.onMove(cursor => {
+        setCursors(previous => ({ ...previous, [cursor.handId]: cursor }));
+      });
+      targets.cursor.onHide(cursor => {
+        setCursors(previous => {
+          const { [cursor.handId]: hidden, ...rest } = previous;
+          return rest;
+        });
+      });
+      targets.start();
+      setTargetManager(targets);
+    });
+
+    // Turn the camera off when leaving
+    return () => {
+      isMounted = false;
+      if (targets) targets.stop();
+      manager.dispose();
+      setTargetManager(null);
+      setCursors({});
+    };
+  }, [enabled, provider, optionsKey, targetOptionsKey]);
+
+  return (
+    <TargetManagerContext.Provider value={targetManager}>
+      {children}
+      <video ref={videoRef} className="hand-targeting-video" playsInline muted></video>
+      {Object.values(cursors).map(cursor => (
+        <div
+          key={cursor.handId}
+          className="hand-targeting-cursor"
+          style={{ left: cursor.clientX, top: cursor.clientY }}
+        ></div>
+      ))}
+    </TargetManagerContext.Provider>
+  );
+}
+
+export default HandTargeting;
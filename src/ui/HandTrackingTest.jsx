@@ -3,65 +3,109 @@
 
 import React, { useEffect, useRef, useState } from 'react';
 import InputManager from '../core/input/input-manager';
+import { PRESETS } from '../core/input/options';
 import './HandTrackingTest.css';
 
+// Providers the switch button cycles through: every registered provider
+// that works without a recording to play
+const PROVIDERS = InputManager.listProviders()
+  .filter(({ capabilities }) => !capabilities.needsRecording)
+  .map(({ name }) => name);
+
+// Child-friendly explanations of camera problems, by error reason
+const CAMERA_MESSAGES = {
+  'denied': "The camera is switched off for this page. Ask a grown-up to allow the camera in the browser settings, then try again.",
+  'not-found': "We can't find a camera. Check that one is plugged in, then try again.",
+  'in-use': 'Another app is using the camera. Close it, then try again.',
+  'constraints': "This camera can't run with these settings. Try another camera.",
+  'unsupported': "This browser can't use the camera. Try the pointer provider instead."
+};
+
+// Explain an error, in friendly words for camera problems
+const describeError = (err) => CAMERA_MESSAGES[err.reason] || `Error: ${err.message}`;
+
 function HandTrackingTest() {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const videoContainerRef = useRef(null);
   const [inputManager, setInputManager] = useState(null);
   const [isTracking, setIsTracking] = useState(false);
   const [detectedGesture, setDetectedGesture] = useState('None');
   const [provider, setProvider] = useState('mediapipe');
+  const [preset, setPreset] = useState('older-child');
   const [error, setError] = useState(null);
   const [isInitializing, setIsInitializing] = useState(true);
 
+  // Calibration state
+  const [childId, setChildId] = useState('default');
+  const [calibrationStatus, setCalibrationStatus] = useState(null);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+
+  // Cameras to choose from, known once camera access is granted
+  const [cameras, setCameras] = useState([]);
+  const [cameraId, setCameraId] = useState('');
+  // Inference rate and timing, for providers that schedule camera frames
+  const [frameStats, setFrameStats] = useState(null);
+  // Hand cursors over the video, by hand ID
+  const [cursors, setCursors] = useState({});
+  // Orientation of each hand in the latest frame
+  const [orientations, setOrientations] = useState([]);
+  const calibrationRef = useRef(null);
+
   // Store detailed gesture info
   const [gestureDetails, setGestureDetails] = useState({
     direction: null,
     strength: null,
     speed: null,
     duration: null,
-    vector: null
+    vector: null,
+    confidence: null
   });
 
   // Initialize input manager
   useEffect(() => {
     let isMounted = true;
+    let manager = null;
     setIsInitializing(true);
+    setInputManager(null);
 
-    const initializeManager = async () => {
-      try {
-        const manager = new InputManager(provider);
-
-        // Use the onReady callback to ensure manager is initialized
-        manager.onReady(() => {
-          if (isMounted) {
-            console.log('Input manager initialized successfully');
-            setInputManager(manager);
-            setIsInitializing(false);
-            setError(null);
-          }
-        });
-      } catch (err) {
+    try {
+      manager = new InputManager(provider, preset);
+
+      // Show which provider failed, including ones that were fallen back from
+      manager.onError(({ provider: failedProvider, phase, message, reason }) => {
         if (isMounted) {
-          console.error('Error initializing input manager:', err);
-          setError(`Initialization error: ${err.message}`);
+          setError(CAMERA_MESSAGES[reason] || `${failedProvider} failed to ${phase}: ${message}`);
+        }
+      });
+
+      // Stop waiting if no provider could be loaded
+      manager.onStateChange(state => {
+        if (isMounted && state === 'failed') {
           setIsInitializing(false);
         }
-      }
-    };
+      });
 
-    initializeManager();
+      // Use the onReady callback to ensure manager is initialized
+      manager.onReady(() => {
+        if (isMounted) {
+          console.log('Input manager initialized successfully');
+          setInputManager(manager);
+          setIsInitializing(false);
+        }
+      });
+    } catch (err) {
+      console.error('Error initializing input manager:', err);
+      setError(`Initialization error: ${err.message}`);
+      setIsInitializing(false);
+    }
 
-    // Clean up on unmount
+    // Release the camera and callbacks on unmount or provider switch
     return () => {
       isMounted = false;
-      if (inputManager && inputManager.isInitialized && isTracking) {
-        try {
-          inputManager.stopTracking();
-        } catch (err) {
-          console.error('Error stopping tracking on cleanup:', err);
-        }
+      if (manager) {
+        manager.dispose();
       }
     };
   }, [provider]);
@@ -99,6 +143,49 @@ function HandTrackingTest() {
     };
   }, [inputManager, videoRef, canvasRef]);
 
+  // Show a cursor on each fingertip. The whole picture is the active
+  // region here, so the cursor sits on the finger in the video.
+  useEffect(() => {
+    if (!inputManager || !videoContainerRef.current) return;
+
+    const handCursor = inputManager.createHandCursor({
+      element: videoContainerRef.current,
+      activeRegion: { width: 1, height: 1 }
+    });
+
+    handCursor.onMove(cursor => {
+      setCursors(previous => ({ ...previous, [cursor.handId]: cursor }));
+    });
+    handCursor.onHide(cursor => {
+      setCursors(previous => {
+        const { [cursor.handId]: hidden, ...rest } = previous;
+        return rest;
+      });
+    });
+    handCursor.start();
+
+    return () => {
+      handCursor.stop();
+      setCursors({});
+    };
+  }, [inputManager]);
+
+  // Clear the orientation readout when tracking stops
+  useEffect(() => {
+    if (!isTracking) setOrientations([]);
+  }, [isTracking]);
+
+  // Poll the inference statistics while tracking
+  useEffect(() => {
+    if (!inputManager || !isTracking) {
+      setFrameStats(null);
+      return;
+    }
+
+    const interval = setInterval(() => setFrameStats(inputManager.getFrameStats()), 1000);
+    return () => clearInterval(interval);
+  }, [inputManager, isTracking]);
+
   // Handle starting/stopping tracking
   const toggleTracking = async () => {
     try {
@@ -125,6 +212,10 @@ function HandTrackingTest() {
           // Register hand update callback
           inputManager.onHandUpdate(results => {
             drawResults(results);
+            setOrientations(results.multiHandedness.map((handedness, handIndex) => ({
+              handedness: handedness.label,
+              ...results.multiHandOrientations[handIndex]
+            })));
           });
 
           // Register gesture detection callback with enhanced details
@@ -138,7 +229,8 @@ function HandTrackingTest() {
               strength: null,
               speed: null,
               duration: null,
-              vector: null
+              vector: null,
+              confidence: gesture.confidence ?? null
             };
 
             // Add direction for pointing gesture
@@ -176,6 +268,21 @@ function HandTrackingTest() {
               }
             }
 
+            // Add finger count
+            if (gesture.name === 'count') {
+              displayText = `${gesture.name} ${gesture.count} (${handedness})`;
+            }
+
+            // Add the shape drawn in the air
+            if (gesture.name === 'shape') {
+              displayText = `${gesture.name} ${gesture.shape} (score: ${gesture.score.toFixed(2)})`;
+            }
+
+            // Add direction and scale for two-handed stretch
+            if (gesture.name === 'stretch') {
+              displayText = `${gesture.name} ${gesture.direction} (scale: ${gesture.scale.toFixed(2)})`;
+            }
+
             setDetectedGesture(displayText);
             setGestureDetails(details);
           });
@@ -183,29 +290,46 @@ function HandTrackingTest() {
           await inputManager.startTracking();
           setIsTracking(true);
           setError(null);
+
+          // Camera names are available now that access is granted
+          if (inputManager.getCameraSettings()) {
+            setCameras(await inputManager.listCameras());
+            setCameraId(inputManager.getCameraSettings().deviceId || '');
+          }
         }
       }
     } catch (err) {
       console.error('Error toggling tracking:', err);
-      setError(`Error: ${err.message}`);
+      setError(describeError(err));
       setIsTracking(false);
     }
   };
 
+  // Switch to another camera, while running or for the next start
+  const changeCamera = async (event) => {
+    const nextCameraId = event.target.value;
+    setCameraId(nextCameraId);
+
+    try {
+      await inputManager.setCamera({ deviceId: nextCameraId || null });
+      setError(null);
+    } catch (err) {
+      console.error('Error switching camera:', err);
+      setError(describeError(err));
+    }
+  };
+
   // Change input provider
   const toggleProvider = () => {
-    // First stop tracking if active
-    if (isTracking && inputManager) {
-      try {
-        inputManager.stopTracking();
-      } catch (error) {
-        console.error('Error stopping tracking before provider switch:', error);
-      }
-    }
+    // The current manager is disposed when the provider changes, which
+    // also stops tracking
 
-    // Toggle provider
-    setProvider(prev => prev === 'mediapipe' ? 'mock' : 'mediapipe');
+    // Move to the next provider
+    setProvider(prev => PROVIDERS[(PROVIDERS.indexOf(prev) + 1) % PROVIDERS.length]);
     setIsTracking(false);
+    setIsRecording(false);
+    setCameras([]);
+    setCameraId('');
     setDetectedGesture('None');
     setGestureDetails({
       direction: null,
@@ -217,6 +341,85 @@ function HandTrackingTest() {
     setError(null);
   };
 
+  // Switch detector option presets live
+  const changePreset = async (event) => {
+    const nextPreset = event.target.value;
+    setPreset(nextPreset);
+
+    if (inputManager) {
+      try {
+        await inputManager.updateOptions(nextPreset);
+      } catch (err) {
+        console.error('Error updating options:', err);
+        setError(`Error: ${err.message}`);
+      }
+    }
+  };
+
+  // Record the session, downloading it as JSON when stopped
+  const toggleRecording = () => {
+    if (!inputManager) return;
+
+    try {
+      if (isRecording) {
+        const recording = inputManager.stopRecording();
+        inputManager.downloadRecording(recording);
+        setIsRecording(false);
+      } else {
+        inputManager.startRecording();
+        setIsRecording(true);
+      }
+    } catch (err) {
+      console.error('Error toggling recording:', err);
+      setError(`Error: ${err.message}`);
+    }
+  };
+
+  // Run the guided calibration and save the profile for the child
+  const runCalibration = async () => {
+    if (!inputManager || !isTracking) {
+      setError('Start tracking before calibrating');
+      return;
+    }
+
+    // Clicking again while calibrating cancels
+    if (calibrationRef.current) {
+      calibrationRef.current.cancel();
+      return;
+    }
+
+    const calibration = inputManager.createCalibration();
+    calibrationRef.current = calibration;
+    setIsCalibrating(true);
+
+    calibration.onStepChange(step => {
+      setCalibrationStatus(`Step ${step.index + 1} of ${step.total}: ${step.instruction}`);
+    });
+
+    try {
+      const profile = await calibration.start();
+      inputManager.setCalibrationProfile(profile);
+      inputManager.saveCalibrationProfile(childId, profile);
+      setCalibrationStatus(`Calibration saved for ${childId}`);
+    } catch (err) {
+      console.error('Calibration failed:', err);
+      setCalibrationStatus(`Calibration stopped: ${err.message}`);
+    } finally {
+      calibrationRef.current = null;
+      setIsCalibrating(false);
+    }
+  };
+
+  // Load the saved calibration profile for the child
+  const loadCalibration = () => {
+    if (!inputManager) return;
+
+    const profile = inputManager.loadCalibrationProfile(childId);
+    setCalibrationStatus(profile
+      ? `Using calibration for ${childId}`
+      : `No calibration saved for ${childId}`);
+  };
+
   // Draw hand tracking results on canvas
   const drawResults = (results) => {
     if (!canvasRef.current) return;
@@ -230,7 +433,7 @@ function HandTrackingTest() {
 
     // Draw hand landmarks if available
     if (results.multiHandLandmarks) {
-      for (const landmarks of results.multiHandLandmarks) {
+      results.multiHandLandmarks.forEach((landmarks, handIndex) => {
         // Draw connections
         drawHandConnections(ctx, landmarks, width, height);
 
@@ -247,7 +450,18 @@ function HandTrackingTest() {
           );
           ctx.fill();
         }
-      }
+
+        // Label the hand with its persistent ID
+        if (results.multiHandIds) {
+          ctx.fillStyle = '#FFFFFF';
+          ctx.font = '16px sans-serif';
+          ctx.fillText(
+            results.multiHandIds[handIndex],
+            landmarks[0].x * width + 10,
+            landmarks[0].y * height + 20
+          );
+        }
+      });
     }
   };
 
@@ -319,6 +533,13 @@ function HandTrackingTest() {
             </div>
           )}
 
+          {gestureDetails.confidence !== null && (
+            <div className="detail-item">
+              <span className="detail-label">Confidence:</span>
+              <span className="detail-value">{gestureDetails.confidence.toFixed(2)}</span>
+            </div>
+          )}
+
           {gestureDetails.duration && (
             <div className="detail-item">
               <span className="detail-label">Duration:</span>
@@ -392,12 +613,78 @@ function HandTrackingTest() {
           disabled={isInitializing}
           className="provider-button"
         >
-          Using: {provider} (Click to switch)
+          Using: {inputManager ? inputManager.providerName : provider} (Click to switch)
         </button>
+        <button
+          onClick={toggleRecording}
+          disabled={isInitializing}
+          className="record-button"
+        >
+          {isRecording ? 'Stop & Download Recording' : 'Record'}
+        </button>
+        <select
+          value={preset}
+          onChange={changePreset}
+          disabled={isInitializing}
+          className="preset-select"
+        >
+          {Object.keys(PRESETS).map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        {cameras.length > 1 && (
+          <select
+            value={cameraId}
+            onChange={changeCamera}
+            className="camera-select"
+          >
+            {cameras.map((camera, index) => (
+              <option key={camera.deviceId} value={camera.deviceId}>
+                {camera.label || `Camera ${index + 1}`}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
 
+      <div className="calibration">
+        <label>
+          Child:
+          <input
+            type="text"
+            value={childId}
+            onChange={event => setChildId(event.target.value)}
+          />
+        </label>
+        <button onClick={runCalibration} disabled={isInitializing}>
+          {isCalibrating ? 'Cancel Calibration' : 'Calibrate'}
+        </button>
+        <button onClick={loadCalibration} disabled={isInitializing}>
+          Load Calibration
+        </button>
+      </div>
+
+      {calibrationStatus && <div className="status">{calibrationStatus}</div>}
       {isInitializing && <div className="status">Initializing input manager...</div>}
       {error && <div className="error">{error}</div>}
+      {frameStats && (
+        <div className="frame-stats">
+          {frameStats.fps} / {frameStats.frameRate || '∞'} fps
+          {' · '}inference {frameStats.inferenceMs.toFixed(1)}ms
+          {' · '}model {frameStats.modelComplexity}
+          {' · '}dropped {frameStats.droppedFrames}
+          {' · '}skipped {frameStats.skippedFrames}
+          {frameStats.worker && ' · worker'}
+        </div>
+      )}
+      {orientations.map((orientation, handIndex) => (
+        <div key={handIndex} className="frame-stats">
+          {orientation.handedness}: palm {orientation.palmFacing ? 'facing' : 'away'}
+          {' · '}roll {orientation.roll.toFixed(0)}°
+          {' · '}pitch {orientation.pitch.toFixed(0)}°
+          {' · '}yaw {orientation.yaw.toFixed(0)}°
+        </div>
+      ))}
 
       <div className="gesture-display">
         <p>Detected Gesture: <strong>{detectedGesture}</strong></p>
@@ -408,7 +695,7 @@ function HandTrackingTest() {
         {renderDirectionDiagram()}
       </div>
 
-      <div className="video-container">
+      <div className="video-container" ref={videoContainerRef}>
         <video
           ref={videoRef}
           className="input-video"
@@ -419,6 +706,13 @@ function HandTrackingTest() {
           ref={canvasRef}
           className="output-canvas"
         ></canvas>
+        {Object.values(cursors).map(cursor => (
+          <div
+            key={cursor.handId}
+            className="hand-cursor"
+            style={{ left: cursor.x, top: cursor.y }}
+          ></div>
+        ))}
       </div>
 
       <div className="instructions">
@@ -430,6 +724,11 @@ function HandTrackingTest() {
           <li><strong>Pinch:</strong> Touch your thumb and index finger together</li>
           <li><strong>Wave:</strong> Move your open hand side to side</li>
           <li><strong>Swipe:</strong> Quick hand movement in any direction</li>
+          <li><strong>Count:</strong> Hold up some fingers (thumb included) - use both hands to count to ten</li>
+          <li><strong>Clap:</strong> Bring both palms together quickly</li>
+          <li><strong>Stretch:</strong> Move both hands apart or together ("make it bigger")</li>
+          <li><strong>Hands together:</strong> Hold both hands together</li>
+          <li><strong>Shape:</strong> Point or pinch, draw a circle, triangle, square, star, line or zigzag in the air, then let go</li>
         </ul>
       </div>
     </div>
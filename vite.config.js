@@ -1,8 +1,69 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createReadStream, readdirSync, readFileSync } from 'node:fs';
+import { extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// MediaPipe Hands loads its WASM and model files at runtime. Serve them from
+// the app itself instead of a CDN, so it works offline and on networks that
+// block CDNs.
+const MEDIAPIPE_HANDS_DIR = fileURLToPath(new URL('./node_modules/@mediapipe/hands', import.meta.url));
+const MEDIAPIPE_ASSET_DIR = 'mediapipe/hands';
+const MEDIAPIPE_SKIPPED_FILES = ['package.json', 'README.md', 'index.d.ts'];
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm'
+};
+
+function mediapipeAssets() {
+  const files = readdirSync(MEDIAPIPE_HANDS_DIR)
+    .filter(file => !MEDIAPIPE_SKIPPED_FILES.includes(file));
+  let base = '/';
+
+  return {
+    name: 'mediapipe-assets',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    // Dev server: serve the files straight from node_modules
+    configureServer(server) {
+      const prefix = `${base}${MEDIAPIPE_ASSET_DIR}/`;
+
+      server.middlewares.use((req, res, next) => {
+        const path = req.url.split('?')[0];
+        if (!path.startsWith(prefix)) return next();
+
+        // Unknown files 404 rather than falling back to index.html
+        const file = path.slice(prefix.length);
+        if (!files.includes(file)) {
+          res.statusCode = 404;
+          res.end();
+          return;
+        }
+
+        res.setHeader('Content-Type', CONTENT_TYPES[extname(file)] || 'application/octet-stream');
+        createReadStream(join(MEDIAPIPE_HANDS_DIR, file)).pipe(res);
+      });
+    },
+
+    // Build: copy the files into the output
+    generateBundle() {
+      files.forEach(file => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${MEDIAPIPE_ASSET_DIR}/${file}`,
+          source: readFileSync(join(MEDIAPIPE_HANDS_DIR, file))
+        });
+      });
+    }
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeAssets()],
   server: {
     host: true,
     open: true